@@ -0,0 +1,277 @@
+#!/usr/bin/env node
+/**
+ * Headless Command-Line Runner for 3D Game of Life
+ * Runs the same engine as the browser app (web/js) without a DOM: seeds a grid from a seed or
+ * pattern file, steps it for N generations, prints per-generation statistics as CSV or JSON and
+ * optionally writes the final generation as a pattern file.
+ *
+ *   node cli/gol3d.js --rule crystal --generations 200 --seed 42
+ *   node cli/gol3d.js --pattern glider.rle3d.json --backend unbounded --format json --output end.vox
+ *
+ * Run with --help for every option.
+ */
+
+import { readFile, writeFile } from 'node:fs/promises';
+import { existsSync } from 'node:fs';
+import { fileURLToPath } from 'node:url';
+import { parseArgs } from 'node:util';
+
+import { RuleEngine, DEFAULT_PRESET } from '../web/js/rules.js';
+import { RuleRegistry } from '../web/js/ruleRegistry.js';
+import { BACKENDS, createSimulationGrid } from '../web/js/simulationHost.js';
+import { BOUNDARY_MODES } from '../web/js/simulation.js';
+import { DEFAULT_SEEDING, SEED_STRATEGIES } from '../web/js/seeding.js';
+import { PATTERN_FORMATS, detectFormat, decodePattern, encodePattern } from '../web/js/patterns.js';
+import { parseSeed } from '../web/js/random.js';
+
+const RULES_PATH = fileURLToPath(new URL('../web/rules', import.meta.url));
+
+const OPTIONS = {
+    'rule': { type: 'string', short: 'r' },
+    'generations': { type: 'string', short: 'n', default: '100' },
+    'size': { type: 'string', short: 's', default: '40' },
+    'backend': { type: 'string', default: 'dense' },
+    'boundary': { type: 'string' },
+    'seed': { type: 'string' },
+    'seeding': { type: 'string', default: DEFAULT_SEEDING.strategy },
+    'radius': { type: 'string', default: String(DEFAULT_SEEDING.radius) },
+    'density': { type: 'string', default: String(DEFAULT_SEEDING.density) },
+    'thickness': { type: 'string', default: String(DEFAULT_SEEDING.thickness) },
+    'pattern': { type: 'string', short: 'p' },
+    'format': { type: 'string', short: 'f', default: 'csv' },
+    'stats': { type: 'string' },
+    'output': { type: 'string', short: 'o' },
+    'output-format': { type: 'string' },
+    'stop-on-cycle': { type: 'boolean', default: false },
+    'list-rules': { type: 'boolean', default: false },
+    'help': { type: 'boolean', short: 'h', default: false }
+};
+
+const USAGE = `Usage: gol3d [options]
+
+Rules and grid
+  -r, --rule <rule>         Preset key, rule JSON file or rule string such as "B5/S4-6" (default: ${DEFAULT_PRESET})
+  -n, --generations <n>     Generations to run (default: 100)
+  -s, --size <n>            Grid size (default: 40)
+      --backend <name>      ${Object.keys(BACKENDS).join(' | ')} (default: dense)
+      --boundary <mode>     ${Object.keys(BOUNDARY_MODES).join(' | ')} (default: the rule's, else wall)
+
+Seeding
+      --seed <seed>         Integer or any text; the same seed replays the same run
+      --seeding <strategy>  ${Object.keys(SEED_STRATEGIES).filter(key => key !== 'pattern').join(' | ')} (default: ${DEFAULT_SEEDING.strategy})
+      --radius <n>          Seed radius (default: ${DEFAULT_SEEDING.radius})
+      --density <0..1>      Fill density for random, blobs and symmetric (default: ${DEFAULT_SEEDING.density})
+      --thickness <n>       Shell thickness (default: ${DEFAULT_SEEDING.thickness})
+  -p, --pattern <file>      Seed from a pattern file (${Object.keys(PATTERN_FORMATS).join(', ')}); its rule
+                            is used unless --rule is given
+
+Output
+  -f, --format <csv|json>   Statistics format (default: csv)
+      --stats <file>        Write statistics to a file instead of stdout
+  -o, --output <file>       Write the final generation's live cells as a pattern file
+      --output-format <f>   Pattern format, otherwise taken from the output file name
+      --stop-on-cycle       Stop early on extinction, a still life or an oscillator
+      --list-rules          List the rule presets and exit
+  -h, --help                Show this help
+`;
+
+/**
+ * Rule registry reading presets from web/rules on disk instead of over HTTP.
+ */
+class FileRuleRegistry extends RuleRegistry {
+    async fetchJSON(path) {
+        return JSON.parse(await readFile(path, 'utf8'));
+    }
+}
+
+async function main(argv) {
+    const { values: args } = parseArgs({ args: argv, options: OPTIONS });
+
+    if (args.help) {
+        process.stdout.write(USAGE);
+        return;
+    }
+
+    const registry = new FileRuleRegistry(RULES_PATH);
+    await registry.load();
+
+    if (args['list-rules']) {
+        for (const { key, name, description } of registry.list()) {
+            process.stdout.write(`${key.padEnd(16)} ${name} - ${description}\n`);
+        }
+        return;
+    }
+
+    const generations = parseInteger(args.generations, 'generations', 0);
+    const size = parseInteger(args.size, 'size', 1);
+    const backend = parseChoice(args.backend, 'backend', BACKENDS);
+    const format = parseChoice(args.format, 'format', { csv: true, json: true });
+    if (size > BACKENDS[backend].maxSize) {
+        console.warn(`Size ${size} is above the ${backend} backend's usual limit of ${BACKENDS[backend].maxSize}`);
+    }
+
+    const pattern = args.pattern ? await loadPattern(args.pattern) : null;
+    const ruleEngine = new RuleEngine(registry, DEFAULT_PRESET);
+    if (pattern && pattern.rule && args.rule === undefined) {
+        ruleEngine.loadCustom({ name: pattern.name || 'Pattern Rule', rule: pattern.rule });
+    } else {
+        await loadRule(ruleEngine, registry, args.rule || DEFAULT_PRESET);
+    }
+
+    const boundary = args.boundary === undefined
+        ? (ruleEngine.config.boundary || 'wall')
+        : parseChoice(args.boundary, 'boundary', BOUNDARY_MODES);
+    if (backend === 'unbounded' && args.boundary !== undefined) {
+        console.warn(`The unbounded backend has no edges, so --boundary ${boundary} has no effect`);
+    }
+
+    const seeding = pattern
+        ? { strategy: 'pattern', pattern: pattern.cells }
+        : {
+            strategy: parseChoice(args.seeding, 'seeding', SEED_STRATEGIES),
+            radius: parseInteger(args.radius, 'radius', 1),
+            density: parseNumber(args.density, 'density', 0, 1),
+            thickness: parseInteger(args.thickness, 'thickness', 1)
+        };
+    const seed = args.seed === undefined ? null : parseSeed(args.seed);
+    if (seed !== null) seeding.seed = seed;
+
+    const grid = createSimulationGrid(backend, ruleEngine, size, boundary);
+    grid.reset(seeding);
+
+    const stats = new StatsWriter(format, args.stats);
+    stats.begin({
+        rule: ruleEngine.name,
+        ruleString: ruleEngine.config.adaptive ? null : ruleEngine.getRuleString(),
+        backend,
+        size,
+        boundary,
+        seed: grid.seed,
+        seeding: { ...seeding, pattern: pattern ? args.pattern : undefined }
+    });
+    stats.row(grid);
+
+    for (let i = 0; i < generations; i++) {
+        grid.step();
+        stats.row(grid);
+        if (args['stop-on-cycle'] && grid.cycleStatus.state !== 'running') break;
+    }
+    await stats.end(grid.cycleStatus);
+
+    if (args.output) {
+        await writePattern(grid, ruleEngine, args.output, args['output-format']);
+    }
+}
+
+/**
+ * Resolve --rule: a preset key, a JSON rule file, or a rule string.
+ */
+async function loadRule(ruleEngine, registry, rule) {
+    if (registry.has(rule)) {
+        ruleEngine.loadPreset(rule);
+    } else if (rule.endsWith('.json') && existsSync(rule)) {
+        ruleEngine.loadCustom(JSON.parse(await readFile(rule, 'utf8')));
+    } else {
+        ruleEngine.loadCustom({ name: rule, rule });
+    }
+}
+
+async function loadPattern(path) {
+    const bytes = new Uint8Array(await readFile(path));
+    return decodePattern(bytes, detectFormat(path, bytes));
+}
+
+async function writePattern(grid, ruleEngine, path, formatName) {
+    const format = formatName
+        ? parseChoice(formatName, 'output-format', PATTERN_FORMATS)
+        : Object.keys(PATTERN_FORMATS).find(key => path.toLowerCase().endsWith(PATTERN_FORMATS[key].extension))
+            || detectFormat(path, new Uint8Array(0));
+
+    const cells = [];
+    for (const cell of grid.getVisibleCells()) {
+        if (cell.state === 1) cells.push(cell.x, cell.y, cell.z);
+    }
+    const pattern = { name: ruleEngine.name, rule: ruleEngine.getPortableRuleString(), cells };
+    await writeFile(path, encodePattern(pattern, format));
+}
+
+/**
+ * Per-generation statistics: CSV rows streamed as the run goes, or one JSON document at the end.
+ */
+class StatsWriter {
+    constructor(format, path) {
+        this.format = format;
+        this.path = path;
+        this.lines = [];
+        this.rows = [];
+    }
+
+    begin(run) {
+        this.run = run;
+        if (this.format === 'csv') {
+            this.write('generation,population,births,deaths,phase,cycle,period');
+        }
+    }
+
+    row(grid) {
+        const row = {
+            generation: grid.generation,
+            population: grid.totalCount,
+            births: grid.births,
+            deaths: grid.deaths,
+            phase: grid.isAdaptive() ? grid.phase : null,
+            cycle: grid.cycleStatus.state,
+            period: grid.cycleStatus.period
+        };
+        if (this.format === 'csv') {
+            this.write(Object.values(row).map(value => (value === null ? '' : value)).join(','));
+        } else {
+            this.rows.push(row);
+        }
+    }
+
+    async end(cycleStatus) {
+        if (this.format === 'json') {
+            this.write(JSON.stringify({ ...this.run, cycle: cycleStatus, generations: this.rows }, null, 2));
+        }
+        if (this.path) {
+            await writeFile(this.path, this.lines.join('\n') + '\n');
+        }
+    }
+
+    write(line) {
+        if (this.path) {
+            this.lines.push(line);
+        } else {
+            process.stdout.write(line + '\n');
+        }
+    }
+}
+
+function parseInteger(text, name, min) {
+    const value = Number(text);
+    if (!Number.isInteger(value) || value < min) {
+        throw new Error(`--${name} must be an integer of at least ${min}, got "${text}"`);
+    }
+    return value;
+}
+
+function parseNumber(text, name, min, max) {
+    const value = Number(text);
+    if (!Number.isFinite(value) || value < min || value > max) {
+        throw new Error(`--${name} must be a number from ${min} to ${max}, got "${text}"`);
+    }
+    return value;
+}
+
+function parseChoice(text, name, choices) {
+    if (!Object.prototype.hasOwnProperty.call(choices, text)) {
+        throw new Error(`--${name} must be one of ${Object.keys(choices).join(', ')}, got "${text}"`);
+    }
+    return text;
+}
+
+main(process.argv.slice(2)).catch((err) => {
+    console.error(`gol3d: ${err.message}`);
+    process.exitCode = 1;
+});
@@ -0,0 +1,91 @@
+/**
+ * Golden-output tests: each fixture in test/fixtures describes a starting configuration and the
+ * expected population, births, deaths and cells (listed, or hashed for large runs) of every
+ * generation. Every fixture runs on each backend it lists, so the backends are checked
+ * against each other as well as against the recorded output.
+ *
+ * After an intended behavior change, regenerate the expected output with
+ *   UPDATE_GOLDEN=1 npm test
+ * and review the fixture diff.
+ */
+
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+import { readdirSync, readFileSync, writeFileSync } from 'node:fs';
+
+import { createGrid, cellList, cellHash } from './helpers.js';
+
+const FIXTURES = new URL('./fixtures/', import.meta.url);
+const UPDATE = !!process.env.UPDATE_GOLDEN;
+
+function runFixture(fixture, backend) {
+    const grid = createGrid({
+        preset: fixture.preset,
+        rule: fixture.rule,
+        size: fixture.size,
+        boundary: fixture.boundary,
+        backend
+    });
+    if (fixture.cells) {
+        grid.setCells(fixture.cells);
+    } else {
+        grid.reset(fixture.seeding);
+    }
+
+    const record = () => {
+        const entry = {
+            generation: grid.generation,
+            population: grid.totalCount,
+            births: grid.births,
+            deaths: grid.deaths
+        };
+        if (grid.isAdaptive()) entry.phase = grid.phase;
+        if (fixture.record === 'cells') {
+            entry.cells = cellList(grid);
+        } else {
+            entry.hash = cellHash(grid);
+        }
+        return entry;
+    };
+
+    const generations = [record()];
+    for (let i = 0; i < fixture.generations; i++) {
+        grid.step();
+        generations.push(record());
+    }
+    return generations;
+}
+
+// Indented JSON, but with arrays of numbers and strings kept on one line
+function formatFixture(fixture) {
+    const json = JSON.stringify(fixture, null, 4);
+    return json.replace(/\[\s*([^[\]{}]*?)\s*\]/g, (match, items) => `[${items.replace(/,\s+/g, ', ')}]`) + '\n';
+}
+
+const files = readdirSync(FIXTURES).filter(name => name.endsWith('.json')).sort();
+
+describe('golden runs', () => {
+    for (const file of files) {
+        const url = new URL(file, FIXTURES);
+        const fixture = JSON.parse(readFileSync(url, 'utf8'));
+        const backends = fixture.backends || ['dense', 'sparse'];
+
+        if (UPDATE) {
+            test(`${file}: update`, () => {
+                fixture.expected = runFixture(fixture, backends[0]);
+                writeFileSync(url, formatFixture(fixture));
+            });
+            continue;
+        }
+
+        for (const backend of backends) {
+            test(`${file} (${backend}): ${fixture.description}`, () => {
+                const actual = runFixture(fixture, backend);
+                assert.equal(actual.length, fixture.expected.length, 'generation count');
+                for (let i = 0; i < actual.length; i++) {
+                    assert.deepEqual(actual[i], fixture.expected[i], `generation ${i}`);
+                }
+            });
+        }
+    }
+});
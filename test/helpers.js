@@ -0,0 +1,66 @@
+/**
+ * Shared helpers for the test suite: preset loading, grid construction and a
+ * backend-independent view of a grid's cells for golden comparisons.
+ */
+
+import { readFileSync } from 'node:fs';
+
+import { RuleEngine } from '../web/js/rules.js';
+import { createSimulationGrid } from '../web/js/simulationHost.js';
+import { packKey } from '../web/js/sparseSimulation.js';
+import { SignatureBuilder } from '../web/js/cycleDetector.js';
+
+/**
+ * A preset's JSON from web/rules.
+ */
+export function loadPresetConfig(key) {
+    return JSON.parse(readFileSync(new URL(`../web/rules/${key}.json`, import.meta.url), 'utf8'));
+}
+
+/**
+ * RuleEngine for a preset key from web/rules, a rule string or a full config.
+ */
+export function createEngine({ preset, rule, config } = {}) {
+    const engine = new RuleEngine();
+    if (preset) {
+        engine.loadCustom(loadPresetConfig(preset));
+    } else if (rule) {
+        engine.loadCustom({ name: rule, rule });
+    } else {
+        engine.loadCustom(config || loadPresetConfig('3d-life'));
+    }
+    return engine;
+}
+
+/**
+ * SimulationGrid for the given rule (see createEngine) and grid settings.
+ */
+export function createGrid({ preset, rule, config, size = 12, boundary = 'wall', backend = 'dense' } = {}) {
+    return createSimulationGrid(backend, createEngine({ preset, rule, config }), size, boundary);
+}
+
+/**
+ * Every simulated cell as sorted "x,y,z" strings, with ":state" appended for dying cells.
+ */
+export function cellList(grid) {
+    const { coords, states } = grid.exportCells();
+    const cells = [];
+    for (let i = 0; i < states.length; i++) {
+        const cell = `${coords[i * 3]},${coords[i * 3 + 1]},${coords[i * 3 + 2]}`;
+        cells.push(states[i] === 1 ? cell : `${cell}:${states[i]}`);
+    }
+    return cells.sort();
+}
+
+/**
+ * Order-independent hash of every simulated cell and its state. Unlike
+ * SimulationGrid.cellSignature it is keyed by coordinates, so it matches across backends.
+ */
+export function cellHash(grid) {
+    const { coords, states } = grid.exportCells();
+    const signature = new SignatureBuilder();
+    for (let i = 0; i < states.length; i++) {
+        signature.add(packKey(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]), states[i]);
+    }
+    return signature.toString();
+}
@@ -0,0 +1,118 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RulePreview } from '../web/js/rulePreview.js';
+import { DEFAULT_SEEDING } from '../web/js/seeding.js';
+import { createColorizer, cssColor } from '../web/js/colorModes.js';
+import { createGrid, loadPresetConfig, cellList } from './helpers.js';
+
+// Canvas whose 2D context accepts every drawing call and counts the cells painted
+function fakeCanvas() {
+    const counts = { fillRect: 0 };
+    const ctx = new Proxy({}, {
+        get: (target, key) => key in target ? target[key] : () => {
+            if (key === 'fillRect') counts.fillRect++;
+        },
+        set: (target, key, value) => {
+            target[key] = value;
+            return true;
+        }
+    });
+    return { width: 240, height: 240, getContext: () => ctx, counts };
+}
+
+describe('RulePreview', () => {
+    test('runs the edited rule in 3D, generation for generation', () => {
+        const preview = new RulePreview(fakeCanvas());
+        preview.setRules(loadPresetConfig('crystal'));
+
+        const grid = createGrid({ preset: 'crystal', size: 20 });
+        grid.reset({ ...DEFAULT_SEEDING, seed: 1 });
+        for (let i = 0; i < 12; i++) {
+            preview.step();
+            grid.step();
+        }
+        assert.deepEqual(cellList(preview.grid), cellList(grid));
+        assert.equal(preview.getStats().population, grid.totalCount);
+    });
+
+    test('only a change to the rule itself restarts the run', () => {
+        const preview = new RulePreview(fakeCanvas());
+        preview.setRules({ name: 'First', rule: 'B5/S4-6' });
+        preview.step();
+        preview.setRules({ name: 'Renamed', description: 'same rule', rule: 'B5/S4-6' });
+        assert.equal(preview.grid.generation, 1);
+        preview.setRules({ name: 'Renamed', rule: 'B5/S4-7' });
+        assert.equal(preview.grid.generation, 0);
+    });
+
+    test('the panel boundary applies unless the rule declares one', () => {
+        const preview = new RulePreview(fakeCanvas(), { boundary: 'wrap' });
+        preview.setRules({ rule: 'B5/S4-6' });
+        assert.equal(preview.grid.boundary, 'wrap');
+
+        preview.step();
+        preview.setBoundary('mirror');
+        assert.equal(preview.grid.boundary, 'mirror');
+        assert.equal(preview.grid.generation, 0);
+
+        preview.setRules({ rule: 'B5/S4-6', boundary: 'wall' });
+        preview.setBoundary('wrap');
+        assert.equal(preview.grid.boundary, 'wall');
+    });
+
+    test('cells take the main view\'s color mode and palette', () => {
+        const canvas = fakeCanvas();
+        const styles = new Set();
+        const ctx = canvas.getContext();
+        const preview = new RulePreview({ ...canvas, getContext: () => new Proxy(ctx, {
+            set: (target, key, value) => {
+                if (key === 'fillStyle') styles.add(value);
+                return true;
+            }
+        }) });
+        preview.setMode('slices');
+        preview.setRules(loadPresetConfig('crystal'));
+        const stateCount = preview.grid.ruleEngine.stateCount;
+        const cell = preview.grid.getVisibleCells()[0];
+
+        for (const [mode, palette] of [['position', 'viridis'], ['age', 'plasma']]) {
+            styles.clear();
+            preview.setColors(mode, palette);
+            const rgb = [0, 0, 0];
+            createColorizer(mode, palette, { gridSize: preview.size, stateCount })(cell, rgb, 0);
+            assert.ok(styles.has(cssColor(rgb)), mode);
+        }
+    });
+
+    test('a settled run starts over', () => {
+        const preview = new RulePreview(fakeCanvas());
+        preview.setRules({ rule: 'B/S' });
+        preview.step();
+        assert.equal(preview.getStats().status, 'Extinct');
+        for (let i = 0; i < 21; i++) preview.step();
+        assert.equal(preview.grid.generation, 0);
+        assert.ok(preview.grid.totalCount > 0);
+    });
+
+    test('adaptive rules report their phase', () => {
+        const preview = new RulePreview(fakeCanvas());
+        preview.setRules(loadPresetConfig('adaptive'));
+        assert.match(preview.getStats().status, /^(Growth|Stable|Decay)$/);
+    });
+
+    test('both modes draw every cell', () => {
+        const canvas = fakeCanvas();
+        const preview = new RulePreview(canvas);
+        preview.setRules(loadPresetConfig('crystal'));
+        const cells = preview.grid.getVisibleCells().length;
+
+        for (const mode of ['rotate', 'slices']) {
+            canvas.counts.fillRect = 0;
+            preview.setMode(mode);
+            // Background, plus one tile per z layer when slicing
+            const extra = mode === 'slices' ? 1 + preview.size : 1;
+            assert.equal(canvas.counts.fillRect, cells + extra, mode);
+        }
+    });
+});
@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RuleRegistry, ruleSlug } from '../web/js/ruleRegistry.js';
+import { RuleValidationError } from '../web/js/ruleValidation.js';
+import { loadPresetConfig } from './helpers.js';
+
+// Web Storage stand-in holding strings, like localStorage
+function memoryStorage(initial = {}) {
+    const items = new Map(Object.entries(initial));
+    return {
+        getItem: (key) => items.has(key) ? items.get(key) : null,
+        setItem: (key, value) => items.set(key, String(value)),
+        items
+    };
+}
+
+function registryWith(storage) {
+    const registry = new RuleRegistry();
+    registry.register('crystal', loadPresetConfig('crystal'));
+    registry.loadLibrary(storage);
+    return registry;
+}
+
+describe('rule library', () => {
+    test('saved rules are listed after the presets and persisted', () => {
+        const storage = memoryStorage();
+        const registry = registryWith(storage);
+        const key = registry.saveToLibrary({ name: 'Slow Crystal', rule: 'B5/S4-6' });
+
+        assert.equal(key, 'my-slow-crystal');
+        assert.equal(registry.isLibraryRule(key), true);
+        assert.equal(registry.isLibraryRule('crystal'), false);
+        assert.deepEqual(registry.list().map(entry => [entry.key, entry.library]), [
+            ['crystal', false],
+            ['my-slow-crystal', true]
+        ]);
+
+        // A fresh registry on the same storage gets the rule back
+        const reloaded = registryWith(storage);
+        assert.deepEqual(reloaded.get(key), { name: 'Slow Crystal', rule: 'B5/S4-6' });
+        assert.equal(reloaded.isLibraryRule(key), true);
+    });
+
+    test('saving the same name replaces the rule', () => {
+        const registry = registryWith(memoryStorage());
+        registry.saveToLibrary({ name: 'Mine', rule: 'B5/S4-6' });
+        registry.saveToLibrary({ name: 'Mine', rule: 'B6/S5-7', description: 'second try' });
+
+        assert.equal(registry.list().filter(entry => entry.library).length, 1);
+        assert.equal(registry.get('my-mine').rule, 'B6/S5-7');
+    });
+
+    test('invalid rules are refused', () => {
+        const storage = memoryStorage();
+        const registry = registryWith(storage);
+        assert.throws(() => registry.saveToLibrary({ name: 'Broken', survive: [4] }), RuleValidationError);
+        assert.equal(registry.has('my-broken'), false);
+        assert.equal(storage.items.size, 0);
+    });
+
+    test('removed rules are gone after a reload', () => {
+        const storage = memoryStorage();
+        const registry = registryWith(storage);
+        registry.saveToLibrary({ name: 'Temp', rule: 'B5/S4-6' });
+
+        assert.equal(registry.removeFromLibrary('crystal'), false);
+        assert.equal(registry.removeFromLibrary('my-temp'), true);
+        assert.equal(registry.has('my-temp'), false);
+        assert.equal(registryWith(storage).has('my-temp'), false);
+    });
+
+    test('unreadable or invalid stored rules are skipped', (t) => {
+        t.mock.method(console, 'warn', () => {});
+        const storage = memoryStorage({
+            'gol3d.ruleLibrary': JSON.stringify({
+                'my-good': { name: 'Good', rule: 'B5/S4-6' },
+                'my-bad': { name: 'Bad', adaptive: true }
+            })
+        });
+        const registry = registryWith(storage);
+        assert.equal(registry.has('my-good'), true);
+        assert.equal(registry.has('my-bad'), false);
+
+        for (const stored of ['{not json', 'null', '[1, 2]', '"rules"']) {
+            assert.doesNotThrow(() => registryWith(memoryStorage({ 'gol3d.ruleLibrary': stored })), stored);
+        }
+        assert.equal(console.warn.mock.callCount(), 5);
+    });
+
+    test('rule names become file and key slugs', () => {
+        assert.equal(ruleSlug('Slow Crystal (v2)'), 'slow-crystal-v2');
+        assert.equal(ruleSlug('  '), 'rule');
+    });
+});
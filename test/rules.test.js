@@ -0,0 +1,256 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { RuleEngine, DEFAULT_RULE, DEFAULT_PRESET } from '../web/js/rules.js';
+import { validateRule, RuleValidationError } from '../web/js/ruleValidation.js';
+import { parseNeighborSet, formatNeighborSet, parseRuleString, formatRuleString } from '../web/js/ruleNotation.js';
+import { loadPresetConfig } from './helpers.js';
+
+function range(low, high) {
+    const counts = [];
+    for (let n = low; n <= high; n++) counts.push(n);
+    return counts;
+}
+
+function load(config) {
+    const engine = new RuleEngine();
+    engine.loadCustom(config);
+    return engine;
+}
+
+describe('RuleEngine.loadCustom', () => {
+    test('legacy survive range and birth threshold', () => {
+        const engine = load({ survive: [4, 5], birth: 5 });
+        assert.deepEqual(engine.getRuleSets(), { survive: [4, 5], birth: range(5, 26) });
+        assert.equal(engine.getRuleString(), 'B5-26/S4-5');
+        assert.equal(engine.stateCount, 2);
+        assert.equal(engine.name, 'Custom Rules');
+    });
+
+    test('neighbor-count set strings', () => {
+        const engine = load({ name: 'Sets', survive: '4,6-8', birth: '5' });
+        assert.deepEqual(engine.getRuleSets(), { survive: [4, 6, 7, 8], birth: [5] });
+        assert.equal(engine.name, 'Sets');
+    });
+
+    test('B/S rule strings', () => {
+        const engine = load({ rule: 'B5,7/S6-8' });
+        assert.deepEqual(engine.getRuleSets(), { survive: [6, 7, 8], birth: [5, 7] });
+    });
+
+    test('Bays compact rule strings', () => {
+        const engine = load({ rule: '4555' });
+        assert.deepEqual(engine.getRuleSets(), { survive: [4, 5], birth: [5] });
+    });
+
+    test('Generations state count from the rule string', () => {
+        const engine = load({ rule: 'B4/S4/C5' });
+        assert.equal(engine.stateCount, 5);
+        assert.equal(engine.isGenerations(), true);
+        assert.equal(engine.getRuleString(), 'B4/S4/C5');
+    });
+
+    test('numeric states is a Generations count, not an adaptive table', () => {
+        const engine = load({ rule: 'B4/S4', states: 5 });
+        assert.equal(engine.stateCount, 5);
+        assert.equal(engine.config.adaptive, undefined);
+    });
+
+    test('adaptive state tables, including rule strings per state', () => {
+        const engine = load({
+            name: 'Mixed',
+            states: {
+                growth: { rule: 'B4/S3-6' },
+                decay: { survive: [6, 8], birth: 9 },
+                stable: { survive: '4-5', birth: '6' }
+            }
+        });
+        assert.equal(engine.config.adaptive, true);
+        assert.deepEqual(engine.getRuleSets('growth'), { survive: [3, 4, 5, 6], birth: [4] });
+        assert.deepEqual(engine.getRuleSets('decay'), { survive: [6, 7, 8], birth: range(9, 26) });
+        assert.deepEqual(engine.getRuleSets('stable'), { survive: [4, 5], birth: [6] });
+    });
+
+    test('neighborhood sets the neighbor count', () => {
+        const engine = load({ rule: 'B1/S1-2', neighborhood: 'von-neumann' });
+        assert.equal(engine.maxNeighbors, 6);
+        assert.equal(engine.neighborhood.type, 'von-neumann');
+    });
+
+    test('every bundled preset loads', () => {
+        for (const key of ['3d-life', 'conway-classic', 'crystal', 'bays-4555', '445', 'amoeba', 'adaptive']) {
+            const engine = load(loadPresetConfig(key));
+            assert.ok(engine.name, key);
+        }
+    });
+
+    test('the default preset is the built-in fallback rule', () => {
+        assert.equal(load(loadPresetConfig(DEFAULT_PRESET)).getRuleString(), load(DEFAULT_RULE).getRuleString());
+        assert.equal(new RuleEngine().name, DEFAULT_RULE.name);
+    });
+
+    test('malformed rules throw', () => {
+        assert.throws(() => load({ rule: 'B99/S1' }), /exceeds the maximum/);
+        assert.throws(() => load({ rule: 'not a rule' }), /Unrecognized rule string/);
+        assert.throws(() => load({ rule: 'B4/S4', states: 1 }), /states: must be an integer/);
+        assert.throws(() => load({ rule: 'B4/S4', neighborhood: 'hexagonal' }), /Unknown neighborhood/);
+        assert.throws(() => load({ survive: 4, birth: 5 }), /survive: must be/);
+    });
+
+    test('a rejected rule leaves the current one in place', () => {
+        const engine = load({ rule: 'B5/S4-5' });
+        assert.throws(
+            () => engine.loadCustom({ states: { growth: { rule: 'B4/S4' }, stable: { rule: 'B4/S4' } } }),
+            RuleValidationError
+        );
+        assert.equal(engine.getRuleString(), 'B5/S4-5');
+        assert.equal(engine.config.adaptive, undefined);
+    });
+});
+
+describe('rule validation', () => {
+    function fields(config) {
+        return validateRule(config).map(problem => `${problem.field}: ${problem.message}`);
+    }
+
+    test('valid rules have no problems', () => {
+        for (const key of ['3d-life', 'crystal', '445', 'adaptive']) {
+            assert.deepEqual(validateRule(loadPresetConfig(key)), [], key);
+        }
+        assert.deepEqual(validateRule({ survive: '4,6-8', birth: 5, boundary: 'wrap' }), []);
+    });
+
+    test('missing adaptive states are named', () => {
+        assert.deepEqual(fields({
+            adaptive: true,
+            states: { growth: { survive: [3, 6], birth: 9 }, stable: { rule: 'B4/S4' } }
+        }), ['states.decay: missing']);
+    });
+
+    test('survive must be a [min, max] pair or a set', () => {
+        assert.match(fields({ survive: [4], birth: 5 })[0], /^survive: must be \[min, max\]/);
+        assert.match(fields({ survive: [6, 4], birth: 5 })[0], /^survive: min 6 is greater than max 4/);
+        assert.match(fields({ survive: [4, 5.5], birth: 5 })[0], /^survive: min and max must be whole numbers/);
+        assert.match(fields({ birth: 5 })[0], /^survive: missing/);
+    });
+
+    test('problems inside adaptive states carry the state path', () => {
+        const problems = fields({
+            states: {
+                growth: { survive: [3, 6], birth: '5,30' },
+                decay: { survive: 'x', birth: 9 },
+                stable: { rule: 7 },
+                stabel: { rule: 'B4/S4' }
+            }
+        });
+        assert.deepEqual(problems, [
+            'states.growth.birth: Neighbor count 30 exceeds the maximum of 26',
+            'states.decay.survive: Invalid neighbor count "x"',
+            'states.stable.rule: must be a rule string like "B5/S4-5"',
+            'states.stabel: unknown state, expected one of growth, decay, stable'
+        ]);
+    });
+
+    test('counts are checked against the rule neighborhood', () => {
+        assert.deepEqual(fields({ rule: 'B7/S1', neighborhood: 'von-neumann' }), [
+            'rule: Neighbor count 7 exceeds the maximum of 6'
+        ]);
+        assert.deepEqual(fields({ rule: '1/7/2/VN' }), ['rule: Neighbor count 7 exceeds the maximum of 6']);
+    });
+
+    test('every problem is reported, not just the first', () => {
+        const problems = fields({ name: 3, boundary: 'sphere', adaptive: true, survive: [4, 5], birth: 5 });
+        assert.equal(problems.length, 3);
+        assert.match(problems[0], /^name: /);
+        assert.match(problems[1], /^boundary: unknown mode "sphere"/);
+        assert.match(problems[2], /^states: adaptive rules need a table/);
+    });
+
+    test('the error lists the problems', () => {
+        const error = new RuleValidationError(validateRule({ survive: [4, 5] }));
+        assert.equal(error.problems.length, 1);
+        assert.equal(error.message, 'birth: missing, give a threshold number or a set string like "5,7"');
+        assert.throws(() => load(null), /a rule must be a JSON object/);
+    });
+
+    test('phase programs are checked against the rule phases and thresholds', () => {
+        const states = { bloom: { rule: 'B9/S3-15' }, rest: { rule: 'B11/S4-14' } };
+        assert.deepEqual(fields({
+            states,
+            thresholds: { high: '1%', low: 8 },
+            initial: 'rest',
+            hysteresis: 0.1,
+            transitions: [{ from: 'rest', to: 'bloom', below: 'low' }, { to: 'rest', above: 0.005 }]
+        }), []);
+
+        assert.deepEqual(fields({
+            states,
+            thresholds: { high: '120%', low: -1 },
+            initial: 'sleep',
+            hysteresis: 2,
+            transitions: [
+                { from: ['rest', 'wake'], to: 'bloom', below: 'lo' },
+                { to: 'rest', over: 'high' },
+                { to: 'bloom', above: 'toString' }
+            ]
+        }), [
+            'thresholds.high: must be a cell count, a fraction of the grid volume below 1, or a percentage like "0.5%"',
+            'thresholds.low: must be a cell count, a fraction of the grid volume below 1, or a percentage like "0.5%"',
+            'hysteresis: must be a number from 0 to 0.9',
+            'initial: unknown phase "sleep", expected one of bloom, rest',
+            'transitions[0].from[1]: unknown phase "wake", expected one of bloom, rest',
+            'transitions[0].below: must be a threshold name (high, low) or a threshold value',
+            'transitions[1].over: unknown key',
+            'transitions[2].above: must be a threshold name (high, low) or a threshold value'
+        ]);
+    });
+
+    test('default phases keep their thresholds and static rules have no phases', () => {
+        const adaptive = loadPresetConfig('adaptive');
+        assert.deepEqual(fields({ ...adaptive, thresholds: { upper: '2%' }, initial: 'stable' }), []);
+        assert.deepEqual(fields({ ...adaptive, hysteresis: 0.2 }), []);
+        assert.deepEqual(fields({ ...adaptive, transitions: [] }), [
+            'transitions: must be a list of transitions like { "to": "decay", "above": "upper" }'
+        ]);
+        assert.deepEqual(fields({ rule: 'B5/S4-5', initial: 'growth' }), ['initial: only adaptive rules have phases']);
+    });
+});
+
+describe('RuleEngine.nextState', () => {
+    test('birth and survival follow the tables', () => {
+        const engine = load({ rule: 'B5/S4-5' });
+        assert.equal(engine.nextState(0, 5, 1), 1);
+        assert.equal(engine.nextState(0, 4, 1), 0);
+        assert.equal(engine.nextState(1, 4, 1), 1);
+        assert.equal(engine.nextState(1, 6, 1), 0);
+    });
+
+    test('Generations cells fade through the dying states', () => {
+        const engine = load({ rule: 'B4/S4/C4' });
+        assert.equal(engine.nextState(1, 0, 1), 2);
+        assert.equal(engine.nextState(2, 4, 1), 3);
+        assert.equal(engine.nextState(3, 4, 1), 0);
+    });
+});
+
+describe('rule notation', () => {
+    test('neighbor sets parse and format round-trip', () => {
+        assert.deepEqual(parseNeighborSet('8, 4,6-7'), [4, 6, 7, 8]);
+        assert.deepEqual(parseNeighborSet(''), []);
+        assert.equal(formatNeighborSet([4, 6, 7, 8]), '4,6-8');
+        assert.throws(() => parseNeighborSet('7-5'), /reversed/);
+    });
+
+    test('rule strings parse and format round-trip', () => {
+        for (const rule of ['B5/S4-5', 'B4/S4/C5', 'B5,7/S6-8', 'B/S']) {
+            assert.equal(formatRuleString(parseRuleString(rule)), rule);
+        }
+    });
+
+    test('S/B order and Softology notation', () => {
+        assert.deepEqual(parseRuleString('S4-5/B5'), { survive: [4, 5], birth: [5] });
+        const softology = parseRuleString('4/4/5/M');
+        assert.equal(softology.states, 5);
+        assert.equal(softology.neighborhood, 'moore');
+    });
+});
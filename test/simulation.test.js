@@ -0,0 +1,580 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { foldCoordinate } from '../web/js/simulation.js';
+import { DEFAULT_SEEDING } from '../web/js/seeding.js';
+import { SimulationHost } from '../web/js/simulationHost.js';
+import { HistoryBuffer } from '../web/js/history.js';
+import { createGrid, loadPresetConfig, cellList, cellHash } from './helpers.js';
+
+describe('SimulationGrid indexing', () => {
+    test('calcIndex and getCoords round-trip over the whole padded array', () => {
+        const grid = createGrid({ size: 5 });
+        assert.equal(grid.xMax, 9);
+        assert.equal(grid.maxIndex, 9 * 9 * 9);
+
+        for (let index = 0; index < grid.maxIndex; index++) {
+            const { x, y, z } = grid.getCoords(index);
+            assert.equal(grid.calcIndex(x, y, z), index);
+        }
+    });
+
+    test('corners map to the ends of the array', () => {
+        const grid = createGrid({ size: 5 });
+        assert.equal(grid.calcIndex(0, 0, 0), 0);
+        assert.equal(grid.calcIndex(8, 8, 8), grid.maxIndex - 1);
+        assert.deepEqual(grid.getCoords(grid.maxIndex - 1), { x: 8, y: 8, z: 8 });
+        assert.deepEqual(grid.getCoords(1), { x: 1, y: 0, z: 0 });
+        assert.deepEqual(grid.getCoords(9), { x: 0, y: 1, z: 0 });
+        assert.deepEqual(grid.getCoords(81), { x: 0, y: 0, z: 1 });
+    });
+
+    test('isInVisibleRegion excludes the padding', () => {
+        const grid = createGrid({ size: 5 });
+        assert.equal(grid.isInVisibleRegion(2, 2, 2), true);
+        assert.equal(grid.isInVisibleRegion(6, 6, 6), true);
+        assert.equal(grid.isInVisibleRegion(1, 2, 2), false);
+        assert.equal(grid.isInVisibleRegion(2, 7, 2), false);
+    });
+});
+
+describe('foldCoordinate', () => {
+    test('wrap is periodic', () => {
+        assert.equal(foldCoordinate(-1, 10, 'wrap'), 9);
+        assert.equal(foldCoordinate(10, 10, 'wrap'), 0);
+        assert.equal(foldCoordinate(-11, 10, 'wrap'), 9);
+    });
+
+    test('mirror reflects about the faces', () => {
+        assert.equal(foldCoordinate(-1, 10, 'mirror'), 0);
+        assert.equal(foldCoordinate(-2, 10, 'mirror'), 1);
+        assert.equal(foldCoordinate(10, 10, 'mirror'), 9);
+        assert.equal(foldCoordinate(11, 10, 'mirror'), 8);
+    });
+
+    test('coordinates inside are unchanged', () => {
+        for (const mode of ['wrap', 'mirror']) {
+            assert.equal(foldCoordinate(4, 10, mode), 4);
+        }
+    });
+});
+
+describe('neighbor counting', () => {
+    // Run the neighbor pass for every live cell, as step() does before compiling
+    function countNeighbors(grid) {
+        for (const index of grid.visibleCells) grid.runRule(index);
+        const counts = new Map();
+        for (const index of grid.updateList) {
+            const { x, y, z } = grid.getCoords(index);
+            counts.set(`${x - grid.padding},${y - grid.padding},${z - grid.padding}`, grid.neighbors[index]);
+        }
+        return counts;
+    }
+
+    test('a cell in the middle reaches all 26 Moore neighbors', () => {
+        const grid = createGrid({ size: 6 });
+        grid.setCells([3, 3, 3]);
+        const counts = countNeighbors(grid);
+
+        assert.equal(counts.size, 27);
+        assert.equal(counts.get('3,3,3'), 0);
+        assert.equal(counts.get('2,2,2'), 1);
+        assert.equal(counts.get('4,4,4'), 1);
+    });
+
+    test('wall mode counts into the padding', () => {
+        const grid = createGrid({ size: 6, boundary: 'wall' });
+        grid.setCells([0, 0, 0]);
+        const counts = countNeighbors(grid);
+
+        assert.equal(counts.size, 27);
+        assert.equal(counts.get('-1,-1,-1'), 1);
+        assert.equal(counts.get('-1,0,0'), 1);
+    });
+
+    test('wall mode drops neighbors beyond the padded array', () => {
+        const grid = createGrid({ size: 6, boundary: 'wall' });
+        grid.setCells([-2, -2, -2]);
+        assert.equal(grid.totalCount, 1);
+        const counts = countNeighbors(grid);
+
+        // Only the octant towards the grid is inside the array: 2 * 2 * 2 cells including itself
+        assert.equal(counts.size, 8);
+        assert.equal(counts.get('-1,-1,-1'), 1);
+    });
+
+    test('cells outside the padded array are never added', () => {
+        const grid = createGrid({ size: 6, boundary: 'wall' });
+        grid.setCells([-3, 0, 0, 0, 8, 0]);
+        assert.equal(grid.totalCount, 0);
+    });
+
+    test('wrap mode counts across opposite faces', () => {
+        const grid = createGrid({ size: 6, boundary: 'wrap' });
+        grid.setCells([0, 0, 0]);
+        const counts = countNeighbors(grid);
+
+        assert.equal(counts.size, 27);
+        assert.equal(counts.get('5,5,5'), 1);
+        assert.equal(counts.get('5,0,1'), 1);
+        assert.equal(counts.has('-1,0,0'), false);
+    });
+
+    test('mirror mode reflects neighbors back onto the edge cells', () => {
+        const grid = createGrid({ size: 6, boundary: 'mirror' });
+        grid.setCells([0, 0, 0]);
+        const counts = countNeighbors(grid);
+
+        // Offsets with only -1 and 0 components fold back onto the cell itself
+        assert.equal(counts.get('0,0,0'), 7);
+        // (1, -1, 0) folds to (1, 0, 0), which the (1, 0, 0) offset also reaches
+        assert.equal(counts.get('1,0,0'), 4);
+        assert.equal(counts.get('1,1,1'), 1);
+        assert.equal(counts.size, 8);
+    });
+
+    test('neighbor counts are cleared after a step', () => {
+        const grid = createGrid({ size: 6 });
+        grid.setCells([2, 2, 2, 3, 2, 2]);
+        grid.step();
+        assert.ok(grid.neighbors.every(count => count === 0));
+        assert.ok(grid.inUpdateList.every(flag => flag === 0));
+        assert.deepEqual(grid.updateList, []);
+    });
+});
+
+describe('stepping', () => {
+    test('an isolated cell dies and is counted as a death', () => {
+        const grid = createGrid({ preset: '3d-life', size: 8 });
+        grid.setCells([4, 4, 4]);
+        grid.step();
+
+        assert.equal(grid.totalCount, 0);
+        assert.equal(grid.births, 0);
+        assert.equal(grid.deaths, 1);
+        assert.equal(grid.generation, 1);
+    });
+
+    test('births minus deaths is the population change', () => {
+        const grid = createGrid({ preset: 'crystal', size: 16 });
+        grid.reset({ strategy: 'random', radius: 5, density: 0.4, seed: 7 });
+        for (let i = 0; i < 10; i++) {
+            const before = grid.totalCount;
+            grid.step();
+            assert.equal(grid.totalCount - before, grid.births - grid.deaths);
+        }
+    });
+
+    test('the same seed gives the same run', () => {
+        const run = () => {
+            const grid = createGrid({ preset: 'amoeba', size: 16 });
+            grid.reset({ strategy: 'blobs', radius: 6, density: 0.3, seed: 1234 });
+            for (let i = 0; i < 8; i++) grid.step();
+            return cellList(grid);
+        };
+        assert.deepEqual(run(), run());
+    });
+
+    test('Generations rules keep dying cells until they fade', () => {
+        const grid = createGrid({ rule: 'B/S/C4', size: 8 });
+        grid.setCells([4, 4, 4]);
+
+        grid.step();
+        assert.deepEqual(cellList(grid), ['4,4,4:2']);
+        assert.equal(grid.totalCount, 0);
+        grid.step();
+        assert.deepEqual(cellList(grid), ['4,4,4:3']);
+        grid.step();
+        assert.deepEqual(cellList(grid), []);
+    });
+
+    test('only the evaluation of isolated live cells differs from the earlier engine', () => {
+        // Crystal from seed 1 on 20³ under the engine that skipped live cells without live
+        // neighbors, leaving them alive but unlisted
+        const before = [
+            '515:8tyjr9:xbz3wv', '260:vcrvmk:ape7v0', '722:18me27g:pyaba0', '752:1pvznuz:f9kb8j',
+            '1360:ijqsjo:4p3lec', '1366:aavcgr:zkxoex', '2105:8dys6y:1kw12uk', '2214:1dv05i1:1rc5vpl',
+            '3067:1607iu7:1nxuhut'
+        ];
+        const grid = createGrid({ preset: 'crystal', size: 20 });
+        grid.reset({ ...DEFAULT_SEEDING, seed: 1 });
+        for (let generation = 0; generation < 8; generation++) {
+            assert.equal(cellHash(grid), before[generation], `generation ${generation}`);
+            grid.step();
+        }
+
+        // The center is alive without live neighbors at generation 6. It now dies, so at
+        // generation 8 it is born among the 26 live cells around it; before, it lingered
+        // as a hidden live cell that failed to survive them
+        assert.deepEqual(cellList(grid).filter(cell => cell === '10,10,10'), ['10,10,10']);
+        grid.editCells([10, 10, 10], 0);
+        assert.equal(cellHash(grid), before[8]);
+    });
+
+    test('editCells adds and removes cells without resetting the generation', () => {
+        const grid = createGrid({ size: 8 });
+        grid.setCells([1, 1, 1, 2, 2, 2]);
+        grid.generation = 5;
+
+        grid.editCells([3, 3, 3], 1);
+        grid.editCells([1, 1, 1], 0);
+        assert.deepEqual(cellList(grid), ['2,2,2', '3,3,3']);
+        assert.equal(grid.totalCount, 2);
+        assert.equal(grid.generation, 5);
+    });
+});
+
+describe('SimulationHost', () => {
+    test('an invalid rule at init is reported and the grid still starts', () => {
+        const host = new SimulationHost();
+        const init = host.handle({ type: 'init', rules: { survive: [6, 4] }, backend: 'dense', size: 12, boundary: 'wall' });
+        assert.match(init.response.error, /^survive: min 6 is greater than max 4/);
+        assert.equal(init.response.cells, undefined);
+
+        const resized = host.handle({ type: 'setBackend', backend: 'sparse' }).response;
+        assert.equal(resized.error, undefined);
+        assert.equal(host.simulation.visibleSize, 12);
+        assert.equal(host.ruleEngine.getRuleString(), 'B5-26/S4-5');
+    });
+
+    test('messages before init fail with a clear error', () => {
+        assert.throws(() => new SimulationHost().handle({ type: 'step' }), /has not been initialized/);
+    });
+
+    test('the changes of each snapshot turn the previous one into it', () => {
+        const host = new SimulationHost();
+        // "x,y,z" -> state, kept up to date from the changes alone
+        const shown = new Map();
+        const key = (cells, i) => `${cells[i * 3]},${cells[i * 3 + 1]},${cells[i * 3 + 2]}`;
+        const messages = [
+            { type: 'init', rules: loadPresetConfig('crystal'), backend: 'dense', size: 16, boundary: 'wall' },
+            { type: 'reset', seeding: { ...DEFAULT_SEEDING, seed: 3 } },
+            { type: 'step' }, { type: 'step' }, { type: 'step' },
+            { type: 'seek', generation: 1 },
+            { type: 'editCells', cells: [0, 0, 0, 1, 1, 1], state: 1 },
+            { type: 'step' },
+            { type: 'setBackend', backend: 'sparse' }
+        ];
+        for (const message of messages) {
+            const { cells, states, added, changed, removed, bounds } = host.handle(message).response;
+            for (let i = 0; i < removed.length / 3; i++) {
+                assert.ok(shown.delete(key(removed, i)), message.type);
+            }
+            for (const i of added) {
+                assert.ok(!shown.has(key(cells, i)), message.type);
+                shown.set(key(cells, i), states[i]);
+            }
+            for (const i of changed) {
+                assert.notEqual(shown.get(key(cells, i)), states[i], message.type);
+                shown.set(key(cells, i), states[i]);
+            }
+
+            const expected = new Map();
+            for (let i = 0; i < states.length; i++) expected.set(key(cells, i), states[i]);
+            assert.deepEqual(shown, expected, message.type);
+            if (states.length) {
+                const axis = (a) => Array.from(cells).filter((v, i) => i % 3 === a);
+                assert.deepEqual(bounds, [0, 1, 2].map(a => Math.min(...axis(a)))
+                    .concat([0, 1, 2].map(a => Math.max(...axis(a)))), message.type);
+            } else {
+                assert.equal(bounds, null, message.type);
+            }
+        }
+        assert.equal(shown.size, 0, 'a new backend starts empty');
+    });
+});
+
+describe('cell ages and neighbor counts', () => {
+    // "x,y,z" -> age of every visible cell
+    function ageMap(grid) {
+        return new Map(grid.getVisibleCells().map(cell => [`${cell.x},${cell.y},${cell.z}`, cell.age]));
+    }
+
+    test('survivors age every generation and newborns start at 0', () => {
+        for (const backend of ['dense', 'sparse']) {
+            const grid = createGrid({ rule: 'B/S0-26', size: 8, backend });
+            grid.setCells([4, 4, 4]);
+            for (let i = 0; i < 3; i++) grid.step();
+            assert.equal(ageMap(grid).get('4,4,4'), 3, backend);
+
+            grid.ruleEngine.loadCustom({ rule: 'B1/S0-26' });
+            grid.step();
+            const ages = ageMap(grid);
+            assert.equal(ages.size, 27, backend);
+            assert.equal(ages.get('4,4,4'), 4, backend);
+            assert.equal(ages.get('3,3,3'), 0, backend);
+        }
+    });
+
+    test('the backends agree on every age', () => {
+        const grids = ['dense', 'sparse'].map(backend => {
+            const grid = createGrid({ preset: 'crystal', size: 16, backend });
+            grid.reset({ ...DEFAULT_SEEDING, seed: 5 });
+            for (let i = 0; i < 8; i++) grid.step();
+            return grid;
+        });
+        const [dense, sparse] = grids.map(ageMap);
+        assert.deepEqual(sparse, dense);
+        assert.ok([...dense.values()].some(age => age > 0), 'some cells survive');
+    });
+
+    test('dying cells keep aging until they fade', () => {
+        const grid = createGrid({ rule: 'B/S/C4', size: 8 });
+        grid.setCells([4, 4, 4]);
+        grid.step();
+        grid.step();
+        assert.deepEqual(grid.getVisibleCells().map(cell => [cell.state, cell.age]), [[3, 2]]);
+    });
+
+    test('live neighbor counts are only given on request', () => {
+        for (const backend of ['dense', 'sparse']) {
+            const grid = createGrid({ size: 6, backend });
+            grid.setCells([2, 2, 2, 3, 2, 2, 3, 3, 2, 5, 5, 5]);
+            const counts = (cells) => Object.fromEntries(cells.map(cell => [`${cell.x},${cell.y},${cell.z}`, cell.neighbors]));
+
+            assert.deepEqual(counts(grid.getVisibleCells(true)), { '2,2,2': 2, '3,2,2': 2, '3,3,2': 2, '5,5,5': 0 }, backend);
+            assert.ok(grid.getVisibleCells().every(cell => cell.neighbors === null), backend);
+        }
+    });
+
+    test('live neighbor counts follow the boundary', () => {
+        for (const backend of ['dense', 'sparse']) {
+            const grid = createGrid({ size: 6, boundary: 'wrap', backend });
+            grid.setCells([0, 0, 0, 5, 5, 5]);
+            assert.deepEqual(grid.getVisibleCells(true).map(cell => cell.neighbors), [1, 1], backend);
+        }
+    });
+
+    test('history restores ages', () => {
+        const host = new SimulationHost();
+        host.handle({ type: 'init', rules: loadPresetConfig('crystal'), backend: 'dense', size: 16, boundary: 'wall' });
+        host.handle({ type: 'reset', seeding: { ...DEFAULT_SEEDING, seed: 2 } });
+        for (let i = 0; i < 5; i++) host.handle({ type: 'step' });
+        const before = host.handle({ type: 'step' }).response;
+
+        host.handle({ type: 'stepBack' });
+        const after = host.handle({ type: 'step' }).response;
+        assert.equal(after.generation, before.generation);
+        assert.deepEqual(cellAges(after), cellAges(before));
+        assert.ok(before.ages.some(age => age > 0), 'some cells survive');
+    });
+
+    test('history releases the generations it drops', () => {
+        const grid = createGrid({ preset: 'crystal', size: 12 });
+        grid.reset({ ...DEFAULT_SEEDING, seed: 2 });
+        const history = new HistoryBuffer(4);
+        const stored = () => history.slots.filter(Boolean).map(entry => entry.generation).sort((a, b) => a - b);
+
+        history.record(grid);
+        for (let i = 0; i < 5; i++) {
+            grid.step();
+            history.record(grid);
+        }
+        assert.deepEqual(stored(), [2, 3, 4, 5]);
+
+        history.truncateAfter(3);
+        assert.deepEqual(stored(), [2, 3]);
+
+        history.restore(grid, 2);
+        history.record(grid);
+        assert.deepEqual(stored(), [2]);
+    });
+
+    // Snapshot cells as sorted "x,y,z:age" strings
+    function cellAges({ cells, ages }) {
+        return Array.from(ages, (age, i) => `${cells[i * 3]},${cells[i * 3 + 1]},${cells[i * 3 + 2]}:${age}`).sort();
+    }
+});
+
+describe('adaptive phases', () => {
+    // 20³ grid: decay above floor(8000 / 300) = 26 cells, growth below floor(8000 / 2000) = 4
+    function adaptiveGrid(population, config) {
+        const grid = config
+            ? createGrid({ config, size: 20 })
+            : createGrid({ preset: 'adaptive', size: 20 });
+        setPopulation(grid, population);
+        return grid;
+    }
+
+    // Replace the cells but keep the phase, which setCells restarts
+    function setPopulation(grid, population) {
+        const phase = grid.phase;
+        const cells = [];
+        for (let i = 0; i < population; i++) cells.push(i % 20, Math.floor(i / 20) * 2, 0);
+        grid.setCells(cells);
+        grid.phase = phase;
+    }
+
+    // The adaptive preset's tables under a custom phase program
+    function withPhases(program) {
+        const { states } = loadPresetConfig('adaptive');
+        return { name: 'Phases', adaptive: true, states, ...program };
+    }
+
+    test('thresholds scale with the grid volume', () => {
+        const grid = adaptiveGrid(0);
+        assert.deepEqual(grid.phaseThresholds, { upper: 26, lower: 4 });
+    });
+
+    test('population picks the phase', () => {
+        const cases = [[0, 'growth'], [3, 'growth'], [4, 'stable'], [26, 'stable'], [27, 'decay'], [60, 'decay']];
+        for (const [population, expected] of cases) {
+            const grid = adaptiveGrid(population);
+            grid.updatePhase();
+            assert.equal(grid.phase, expected, `population ${population}`);
+        }
+    });
+
+    test('phase names follow the phase', () => {
+        const grid = adaptiveGrid(30);
+        grid.updatePhase();
+        assert.equal(grid.getPhaseName(), 'Decay');
+    });
+
+    test('each phase uses its own rule table', () => {
+        const grid = adaptiveGrid(0);
+        const engine = grid.ruleEngine;
+        // Birth thresholds: growth 9, stable 11, decay 12
+        assert.equal(engine.nextState(0, 9, 'growth'), 1);
+        assert.equal(engine.nextState(0, 9, 'stable'), 0);
+        assert.equal(engine.nextState(0, 11, 'stable'), 1);
+        assert.equal(engine.nextState(0, 11, 'decay'), 0);
+        assert.equal(engine.nextState(0, 12, 'decay'), 1);
+    });
+
+    test('static rules have no phase', () => {
+        const grid = createGrid({ preset: 'crystal', size: 20 });
+        const cells = [];
+        for (let i = 0; i < 100; i++) cells.push(i % 20, Math.floor(i / 20), 0);
+        grid.setCells(cells);
+        grid.updatePhase();
+        assert.equal(grid.phase, null);
+        assert.equal(grid.getPhaseName(), null);
+        assert.equal(grid.phaseThresholds, null);
+        assert.equal(grid.isAdaptive(), false);
+    });
+
+    test('rules can override the default thresholds', () => {
+        // 1% of 8000 = 80 cells, and an absolute count of 10
+        const grid = adaptiveGrid(0, withPhases({ thresholds: { upper: '1%', lower: 10 } }));
+        assert.deepEqual(grid.phaseThresholds, { upper: 80, lower: 10 });
+        for (const [population, expected] of [[9, 'growth'], [10, 'stable'], [81, 'decay']]) {
+            setPopulation(grid, population);
+            grid.updatePhase();
+            assert.equal(grid.phase, expected, `population ${population}`);
+        }
+    });
+
+    test('custom phases follow their transitions in order', () => {
+        const config = withPhases({
+            states: {
+                bloom: { rule: 'B9-26/S3-15' },
+                prune: { rule: 'B12-26/S7-13' },
+                rest: { rule: 'B11-26/S4-14' },
+                crash: { rule: 'B/S' }
+            },
+            initial: 'rest',
+            thresholds: { high: 40, low: 0.001 },
+            transitions: [
+                { to: 'crash', above: 100 },
+                { from: 'crash', to: 'bloom', below: 'low' },
+                { from: ['bloom', 'rest'], to: 'prune', above: 'high' },
+                { from: '*', to: 'rest', above: 'low', below: 'high' }
+            ]
+        });
+        const grid = adaptiveGrid(0, config);
+        assert.equal(grid.phase, 'rest');
+        assert.deepEqual(grid.phaseThresholds, { high: 40, low: 8 });
+
+        const visits = [];
+        for (const population of [20, 50, 150, 50, 5, 20]) {
+            setPopulation(grid, population);
+            grid.updatePhase();
+            visits.push(grid.phase);
+        }
+        // Nothing leads out of crash at 50; the catch-all only returns to rest between the thresholds
+        assert.deepEqual(visits, ['rest', 'prune', 'crash', 'crash', 'bloom', 'rest']);
+        assert.equal(grid.getPhaseName(), 'Rest');
+
+        grid.clear();
+        assert.equal(grid.phase, 'rest');
+    });
+
+    test('hysteresis keeps a phase until the population clearly crosses back', () => {
+        // 26 widens to 31.2 on the way up and 20.8 on the way down
+        const config = withPhases({
+            thresholds: { upper: 26 },
+            hysteresis: 0.2,
+            transitions: [
+                { from: 'growth', to: 'decay', above: 'upper' },
+                { from: 'decay', to: 'growth', below: 'upper' }
+            ]
+        });
+        const grid = adaptiveGrid(0, config);
+        const phases = [];
+        for (const population of [30, 32, 25, 21, 20]) {
+            setPopulation(grid, population);
+            grid.updatePhase();
+            phases.push(grid.phase);
+        }
+        assert.deepEqual(phases, ['growth', 'decay', 'decay', 'decay', 'growth']);
+    });
+
+    test('hysteresis widens the band of the default phases', () => {
+        // Decay is entered above 150 and kept down to 50; growth is entered below 5 and kept up to 15
+        const config = withPhases({ thresholds: { upper: 100, lower: 10 }, hysteresis: 0.5 });
+        const grid = adaptiveGrid(0, config);
+        const phases = [];
+        for (const population of [120, 160, 120, 60, 40, 8, 4, 12, 20]) {
+            setPopulation(grid, population);
+            grid.updatePhase();
+            phases.push(grid.phase);
+        }
+        assert.deepEqual(phases,
+            ['stable', 'decay', 'decay', 'decay', 'stable', 'stable', 'growth', 'growth', 'stable']);
+
+        // Without hysteresis the same decay run stays in decay at 120 and leaves at 60
+        const plain = adaptiveGrid(0, withPhases({ thresholds: { upper: 100, lower: 10 } }));
+        plain.phase = 'decay';
+        for (const [population, expected] of [[120, 'decay'], [60, 'stable']]) {
+            setPopulation(plain, population);
+            plain.updatePhase();
+            assert.equal(plain.phase, expected, `population ${population}`);
+        }
+    });
+
+    test('the sparse backend switches phases the same way', () => {
+        const config = withPhases({ thresholds: { upper: 20, lower: 5 } });
+        const dense = createGrid({ config, size: 20 });
+        const sparse = createGrid({ config, size: 20, backend: 'sparse' });
+        const phases = { dense: [], sparse: [] };
+        for (const [name, grid] of Object.entries({ dense, sparse })) {
+            grid.reset({ ...DEFAULT_SEEDING, seed: 3 });
+            for (let i = 0; i < 10; i++) {
+                grid.step();
+                phases[name].push(grid.phase);
+            }
+        }
+        assert.deepEqual(phases.sparse, phases.dense);
+        assert.ok(new Set(phases.dense).size > 1, 'the run changes phase');
+    });
+
+    test('cells only repeat once the phase repeats too', () => {
+        // Every cell survives and none is born, while the phase moves on twice before it settles
+        const config = withPhases({
+            states: { first: { rule: 'B/S0-26' }, second: { rule: 'B/S0-26' }, third: { rule: 'B/S0-26' } },
+            initial: 'first',
+            transitions: [{ from: 'first', to: 'second' }, { from: 'second', to: 'third' }]
+        });
+        for (const backend of ['dense', 'sparse']) {
+            const grid = createGrid({ config, size: 20, backend });
+            setPopulation(grid, 10);
+            const states = [];
+            for (let i = 0; i < 3; i++) {
+                grid.step();
+                states.push(`${grid.phase} ${grid.cycleStatus.state}`);
+            }
+            assert.deepEqual(states, ['second running', 'third running', 'third still'], backend);
+        }
+    });
+});
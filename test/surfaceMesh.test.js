@@ -0,0 +1,95 @@
+import { test, describe } from 'node:test';
+import assert from 'node:assert/strict';
+
+import { buildSurfaceMesh } from '../web/js/surfaceMesh.js';
+import { createColorizer } from '../web/js/colorModes.js';
+import { createGrid } from './helpers.js';
+
+function cube(x0, y0, z0, side) {
+    const cells = [];
+    for (let x = x0; x < x0 + side; x++) {
+        for (let y = y0; y < y0 + side; y++) {
+            for (let z = z0; z < z0 + side; z++) {
+                cells.push({ x, y, z, state: 1 });
+            }
+        }
+    }
+    return cells;
+}
+
+// Every cell the same color, so all coplanar faces may merge
+const flat = (cell, target, offset) => {
+    target[offset] = 0.5;
+    target[offset + 1] = 0.5;
+    target[offset + 2] = 0.5;
+};
+
+// Sorted quad normals, checking each quad's winding against its normal on the way
+function quads({ positions, normals, indices }) {
+    const result = [];
+    for (let i = 0; i < indices.length; i += 6) {
+        const [a, b, c] = [indices[i], indices[i + 1], indices[i + 2]].map(v => positions.slice(v * 3, v * 3 + 3));
+        const ab = [b[0] - a[0], b[1] - a[1], b[2] - a[2]];
+        const ac = [c[0] - a[0], c[1] - a[1], c[2] - a[2]];
+        const cross = [ab[1] * ac[2] - ab[2] * ac[1], ab[2] * ac[0] - ab[0] * ac[2], ab[0] * ac[1] - ab[1] * ac[0]];
+        const normal = normals.slice(indices[i] * 3, indices[i] * 3 + 3);
+        // Babylon.js front faces wind clockwise seen from outside: the right-hand normal points in
+        assert.ok(cross[0] * normal[0] + cross[1] * normal[1] + cross[2] * normal[2] < 0, 'winding');
+        result.push(Array.from(normal).join(','));
+    }
+    return result.sort();
+}
+
+describe('buildSurfaceMesh', () => {
+    test('a single cell is a unit cube of six quads', () => {
+        const mesh = buildSurfaceMesh([{ x: 2, y: 3, z: 4, state: 1 }], flat);
+        assert.equal(mesh.faceCount, 6);
+        assert.equal(mesh.quadCount, 6);
+        assert.equal(mesh.positions.length, 6 * 4 * 3);
+        assert.deepEqual(quads(mesh), ['-1,0,0', '0,-1,0', '0,0,-1', '0,0,1', '0,1,0', '1,0,0']);
+        assert.equal(Math.min(...mesh.positions.filter((v, i) => i % 3 === 0)), 1.5);
+        assert.equal(Math.max(...mesh.positions.filter((v, i) => i % 3 === 2)), 4.5);
+    });
+
+    test('a solid block of one color merges into one quad per side', () => {
+        const mesh = buildSurfaceMesh(cube(0, 0, 0, 4), flat);
+        assert.equal(mesh.faceCount, 6 * 16);
+        assert.equal(mesh.quadCount, 6);
+        quads(mesh);
+    });
+
+    test('faces only merge when their colors match', () => {
+        const cells = cube(0, 0, 0, 3);
+        const mesh = buildSurfaceMesh(cells, createColorizer('position', 'viridis', { gridSize: 3 }));
+        // Position colors differ from cell to cell, so every exposed face stays its own quad
+        assert.equal(mesh.quadCount, mesh.faceCount);
+        assert.equal(mesh.faceCount, 6 * 9);
+    });
+
+    test('faces between touching cells and inside cavities are dropped', () => {
+        const shell = cube(0, 0, 0, 3).filter(cell => !(cell.x === 1 && cell.y === 1 && cell.z === 1));
+        const mesh = buildSurfaceMesh(shell, flat);
+        // Outer sides plus the six faces lining the hollow middle
+        assert.equal(mesh.faceCount, 6 * 9 + 6);
+        assert.equal(mesh.quadCount, 12);
+    });
+
+    test('merged quads cover the same area as the faces of a simulated run', () => {
+        const grid = createGrid({ preset: 'amoeba', size: 16 });
+        grid.reset({ strategy: 'blobs', radius: 6, density: 0.3, seed: 9 });
+        for (let i = 0; i < 4; i++) grid.step();
+
+        const mesh = buildSurfaceMesh(grid.getVisibleCells().map(cell => ({ ...cell })), flat);
+        let area = 0;
+        for (let i = 0; i < mesh.indices.length; i += 6) {
+            const p = (k) => mesh.positions.slice(mesh.indices[i + k] * 3, mesh.indices[i + k] * 3 + 3);
+            const [a, b, c] = [p(0), p(1), p(2)];
+            const edge = (u, v) => Math.hypot(u[0] - v[0], u[1] - v[1], u[2] - v[2]);
+            // Each quad is a rectangle whose first triangle spans two sides and the diagonal
+            const sides = [edge(a, b), edge(b, c), edge(a, c)].sort((x, y) => x - y);
+            area += sides[0] * sides[1];
+        }
+        assert.equal(area, mesh.faceCount);
+        assert.ok(mesh.quadCount < mesh.faceCount, 'some faces merge');
+    });
+});
@@ -104,6 +104,28 @@ export class CameraController {
         this.camera.radius = Math.min(maxDim * 1.8, this.camera.upperRadiusLimit);
     }
 
+    /**
+     * Orbit angles and distance, for saving a view.
+     */
+    getState() {
+        return {
+            alpha: this.camera.alpha,
+            beta: this.camera.beta,
+            radius: this.camera.radius,
+            autoOrbit: this.autoOrbit
+        };
+    }
+
+    /**
+     * Restore any subset of a saved view.
+     */
+    setState(state) {
+        if (state.alpha !== undefined) this.camera.alpha = state.alpha;
+        if (state.beta !== undefined) this.camera.beta = state.beta;
+        if (state.radius !== undefined) this.camera.radius = state.radius;
+        if (state.autoOrbit !== undefined) this.setAutoOrbit(state.autoOrbit);
+    }
+
     setAutoOrbit(enabled) {
         this.autoOrbit = enabled;
     }
@@ -0,0 +1,305 @@
+/**
+ * Cell Editor for 3D Game of Life
+ * Paint mode: picks cells under the mouse and reports edits through onEdit(coords, state).
+ *
+ * Picking casts a ray from the camera. With slice mode on it hits the plane of the current
+ * slice layer; otherwise it walks the voxels along the ray (Amanatides-Woo) until it meets
+ * a cell, and falls back to the plane through the grid center facing the camera.
+ *
+ * Tools:
+ *   add    - click or drag to place cells on the surface under the cursor
+ *   remove - click or drag to clear the cell under the cursor
+ *   box    - drag between two corners to fill a box
+ *   line   - drag between two end points to draw a line
+ */
+
+import { packKey } from './sparseSimulation.js';
+
+export const EDIT_TOOLS = {
+    'add': 'Add Cells',
+    'remove': 'Remove Cells',
+    'box': 'Box',
+    'line': 'Line'
+};
+
+/**
+ * Visit the voxels a ray passes through, nearest first. Voxel (x, y, z) spans ±0.5 around
+ * its center. Stops when visit returns true (returning true) or after maxDistance.
+ */
+export function traceVoxels(origin, direction, maxDistance, visit) {
+    const start = [origin.x, origin.y, origin.z];
+    const dir = [direction.x, direction.y, direction.z];
+    const voxel = start.map(v => Math.floor(v + 0.5));
+    const step = dir.map(d => Math.sign(d));
+    const tDelta = dir.map(d => (d !== 0 ? Math.abs(1 / d) : Infinity));
+    const tMax = dir.map((d, axis) => {
+        if (d === 0) return Infinity;
+        const boundary = voxel[axis] + step[axis] * 0.5;
+        return (boundary - start[axis]) / d;
+    });
+
+    let t = 0;
+    while (t <= maxDistance) {
+        if (visit(voxel[0], voxel[1], voxel[2])) return true;
+
+        const axis = tMax[0] < tMax[1]
+            ? (tMax[0] < tMax[2] ? 0 : 2)
+            : (tMax[1] < tMax[2] ? 1 : 2);
+        voxel[axis] += step[axis];
+        t = tMax[axis];
+        tMax[axis] += tDelta[axis];
+    }
+    return false;
+}
+
+/**
+ * Every cell of the box spanned by two corners, as a flat x, y, z list.
+ */
+export function boxCells(a, b) {
+    const cells = [];
+    for (let x = Math.min(a.x, b.x); x <= Math.max(a.x, b.x); x++) {
+        for (let y = Math.min(a.y, b.y); y <= Math.max(a.y, b.y); y++) {
+            for (let z = Math.min(a.z, b.z); z <= Math.max(a.z, b.z); z++) {
+                cells.push(x, y, z);
+            }
+        }
+    }
+    return cells;
+}
+
+/**
+ * Cells on the line between two points (3D Bresenham), as a flat x, y, z list.
+ */
+export function lineCells(a, b) {
+    const delta = [b.x - a.x, b.y - a.y, b.z - a.z];
+    const steps = Math.max(...delta.map(Math.abs));
+    const cells = [];
+    for (let i = 0; i <= steps; i++) {
+        const t = steps === 0 ? 0 : i / steps;
+        cells.push(
+            Math.round(a.x + delta[0] * t),
+            Math.round(a.y + delta[1] * t),
+            Math.round(a.z + delta[2] * t)
+        );
+    }
+    return cells;
+}
+
+export class CellEditor {
+    constructor(options) {
+        this.scene = options.scene;
+        this.canvas = options.canvas;
+        this.camera = options.camera;
+        this.getCells = options.getCells || (() => new Int32Array(0));
+        this.onEdit = options.onEdit || (() => {});
+
+        this.enabled = false;
+        this.tool = 'add';
+        this.gridSize = 40;
+        this.unbounded = false;
+        this.sliceEnabled = false;
+        this.sliceLayer = 0;
+
+        // Occupied cells, rebuilt when the simulation publishes a new snapshot
+        this.occupied = new Set();
+        this.occupiedSource = null;
+
+        // Current drag: start cell, last painted cell, cells painted this stroke
+        this.stroke = null;
+
+        this.initCursor();
+        this.bindPointer();
+    }
+
+    initCursor() {
+        this.cursor = BABYLON.MeshBuilder.CreateBox('editCursor', { size: 1.0 }, this.scene);
+        const material = new BABYLON.StandardMaterial('editCursorMat', this.scene);
+        material.emissiveColor = new BABYLON.Color3(1.0, 0.85, 0.3);
+        material.disableLighting = true;
+        material.wireframe = true;
+        this.cursor.material = material;
+        this.cursor.isPickable = false;
+        this.cursor.isVisible = false;
+    }
+
+    bindPointer() {
+        this.canvas.addEventListener('pointerdown', (e) => {
+            if (!this.enabled || e.button !== 0) return;
+            const target = this.pick(e);
+            if (!target) return;
+            this.canvas.setPointerCapture(e.pointerId);
+            this.stroke = { start: target, last: null, painted: new Set() };
+            this.paintAt(target);
+        });
+
+        this.canvas.addEventListener('pointermove', (e) => {
+            if (!this.enabled) return;
+            const target = this.pick(e);
+            this.showCursor(target);
+            if (this.stroke && target) {
+                this.paintAt(target);
+            }
+        });
+
+        this.canvas.addEventListener('pointerup', (e) => {
+            if (!this.stroke) return;
+            const target = this.pick(e) || this.stroke.last;
+            if (target && (this.tool === 'box' || this.tool === 'line')) {
+                const shape = this.tool === 'box' ? boxCells : lineCells;
+                this.onEdit(this.clampCells(shape(this.stroke.start, target)), 1);
+            }
+            this.stroke = null;
+            this.showCursor(target);
+        });
+    }
+
+    /**
+     * Turn edit mode on or off. Mouse camera controls are suspended while editing
+     * (keyboard zoom and rotation still work).
+     */
+    setEnabled(enabled) {
+        this.enabled = enabled;
+        this.stroke = null;
+        this.cursor.isVisible = false;
+        if (enabled) {
+            this.camera.detachControl();
+        } else {
+            this.camera.attachControl(this.canvas, true);
+        }
+    }
+
+    setTool(tool) {
+        this.tool = EDIT_TOOLS[tool] ? tool : 'add';
+    }
+
+    setBounds(gridSize, unbounded) {
+        this.gridSize = gridSize;
+        this.unbounded = unbounded;
+    }
+
+    setSlice(enabled, layer) {
+        this.sliceEnabled = enabled;
+        this.sliceLayer = layer;
+    }
+
+    paintAt(target) {
+        const stroke = this.stroke;
+        stroke.last = target;
+
+        if (this.tool === 'box' || this.tool === 'line') {
+            this.showCursor(target);
+            return;
+        }
+
+        // Each cell is painted once per stroke
+        const key = packKey(target.x, target.y, target.z);
+        if (stroke.painted.has(key)) return;
+        stroke.painted.add(key);
+        this.onEdit([target.x, target.y, target.z], this.tool === 'remove' ? 0 : 1);
+    }
+
+    /**
+     * Cell under the pointer for the current tool: the hit cell for remove,
+     * the empty cell in front of it for the drawing tools.
+     */
+    pick(e) {
+        const ray = this.scene.createPickingRay(e.offsetX, e.offsetY, BABYLON.Matrix.Identity(), this.camera);
+
+        if (this.sliceEnabled) {
+            return this.pickPlane(ray, 2, this.sliceLayer);
+        }
+
+        // Keep the occupied set fixed during a stroke, so cells painted by it don't stack up
+        if (!this.stroke) {
+            this.updateOccupied();
+        }
+
+        let hit = null;
+        let previous = null;
+        const maxDistance = this.camera.radius + this.gridSize * 2;
+        traceVoxels(ray.origin, ray.direction, maxDistance, (x, y, z) => {
+            if (this.occupied.has(packKey(x, y, z))) {
+                hit = { x, y, z };
+                return true;
+            }
+            previous = this.inGrid(x, y, z) ? { x, y, z } : null;
+            return false;
+        });
+
+        if (this.tool === 'remove') {
+            return hit;
+        }
+        if (hit && previous) {
+            return previous;
+        }
+
+        // Nothing hit: use the center plane most facing the camera
+        const dir = [ray.direction.x, ray.direction.y, ray.direction.z].map(Math.abs);
+        const axis = dir.indexOf(Math.max(...dir));
+        return this.pickPlane(ray, axis, Math.floor(this.gridSize / 2));
+    }
+
+    /**
+     * Cell where the ray crosses the plane at `position` along `axis` (0 = x, 1 = y, 2 = z).
+     */
+    pickPlane(ray, axis, position) {
+        const origin = [ray.origin.x, ray.origin.y, ray.origin.z];
+        const dir = [ray.direction.x, ray.direction.y, ray.direction.z];
+        if (dir[axis] === 0) return null;
+
+        const t = (position - origin[axis]) / dir[axis];
+        if (t < 0) return null;
+
+        const cell = origin.map((v, i) => (i === axis ? position : Math.round(v + dir[i] * t)));
+        const [x, y, z] = cell;
+        return this.inGrid(x, y, z) ? { x, y, z } : null;
+    }
+
+    inGrid(x, y, z) {
+        if (this.unbounded) return true;
+        return x >= 0 && y >= 0 && z >= 0 &&
+               x < this.gridSize && y < this.gridSize && z < this.gridSize;
+    }
+
+    clampCells(cells) {
+        const kept = [];
+        for (let i = 0; i < cells.length; i += 3) {
+            if (this.inGrid(cells[i], cells[i + 1], cells[i + 2])) {
+                kept.push(cells[i], cells[i + 1], cells[i + 2]);
+            }
+        }
+        return kept;
+    }
+
+    updateOccupied() {
+        const cells = this.getCells();
+        if (cells === this.occupiedSource) return;
+        this.occupiedSource = cells;
+        this.occupied.clear();
+        for (let i = 0; i < cells.length; i += 3) {
+            this.occupied.add(packKey(cells[i], cells[i + 1], cells[i + 2]));
+        }
+    }
+
+    /**
+     * Outline the target cell, or the box being dragged.
+     */
+    showCursor(target) {
+        if (!target) {
+            this.cursor.isVisible = false;
+            return;
+        }
+
+        let low = target;
+        let high = target;
+        if (this.stroke && this.tool === 'box') {
+            const start = this.stroke.start;
+            low = { x: Math.min(start.x, target.x), y: Math.min(start.y, target.y), z: Math.min(start.z, target.z) };
+            high = { x: Math.max(start.x, target.x), y: Math.max(start.y, target.y), z: Math.max(start.z, target.z) };
+        }
+
+        this.cursor.position.set((low.x + high.x) / 2, (low.y + high.y) / 2, (low.z + high.z) / 2);
+        this.cursor.scaling.set(high.x - low.x + 1, high.y - low.y + 1, high.z - low.z + 1);
+        this.cursor.isVisible = true;
+    }
+}
@@ -0,0 +1,222 @@
+/**
+ * Cell Color Modes for 3D Game of Life
+ * How the renderer colors live cells: by position (the original look), by age, by live neighbor
+ * count, newborn vs survivor, by the adaptive phase, or by distance from the grid center. Every
+ * mode except position maps its value through a named palette. Dying cells of Generations rules
+ * keep their ember colors in every mode.
+ *
+ * The color context describes the run being drawn:
+ *   { gridSize, stateCount, maxNeighbors, phase, phases }
+ * where phase and phases are the adaptive phase and the rule's phase names (null when static).
+ */
+
+import { formatPhaseName } from './phases.js';
+
+export const COLOR_MODES = {
+    'position': 'Position',
+    'age': 'Age',
+    'neighbors': 'Neighbor Count',
+    'births': 'Births / Survivors',
+    'phase': 'Adaptive Phase',
+    'distance': 'Distance from Center'
+};
+
+// Color stops (RGB, 0..1) from low to high values, spaced evenly
+export const PALETTES = {
+    'viridis': {
+        label: 'Viridis',
+        stops: [[0.27, 0.0, 0.33], [0.23, 0.32, 0.55], [0.13, 0.57, 0.55], [0.37, 0.79, 0.38], [0.99, 0.91, 0.14]]
+    },
+    'plasma': {
+        label: 'Plasma',
+        stops: [[0.05, 0.03, 0.53], [0.49, 0.01, 0.66], [0.8, 0.28, 0.47], [0.97, 0.59, 0.25], [0.94, 0.98, 0.13]]
+    },
+    'fire': {
+        label: 'Fire',
+        stops: [[0.45, 0.05, 0.05], [0.85, 0.25, 0.05], [1.0, 0.6, 0.1], [1.0, 0.9, 0.4], [1.0, 1.0, 0.9]]
+    },
+    'ocean': {
+        label: 'Ocean',
+        stops: [[0.05, 0.1, 0.45], [0.1, 0.35, 0.75], [0.15, 0.65, 0.85], [0.5, 0.9, 0.9], [0.9, 1.0, 1.0]]
+    },
+    'spectrum': {
+        label: 'Spectrum',
+        stops: [[1.0, 0.25, 0.25], [1.0, 0.85, 0.2], [0.3, 0.9, 0.35], [0.25, 0.8, 1.0], [0.45, 0.35, 1.0], [0.95, 0.35, 0.9]]
+    }
+};
+
+export const DEFAULT_COLOR_MODE = 'position';
+export const DEFAULT_PALETTE = 'viridis';
+
+// Ages at or above this get the top palette color
+export const AGE_SPAN = 32;
+
+// Palette positions for births mode
+const NEWBORN = 1.0;
+const SURVIVOR = 0.3;
+
+/**
+ * Whether a mode needs each cell's live neighbor count (see SimulationClient.setNeighborCounts).
+ */
+export function needsNeighborCounts(mode) {
+    return mode === 'neighbors';
+}
+
+/**
+ * Whether a mode colors live cells by their position alone, so a cell keeps its color for as
+ * long as it lives (see Renderer.updateInstances).
+ */
+export function colorsFollowPosition(mode) {
+    return mode === 'position' || mode === 'distance';
+}
+
+/**
+ * Color at t (0..1, clamped) along a palette, as [r, g, b].
+ */
+export function samplePalette(name, t) {
+    const stops = (PALETTES[name] || PALETTES[DEFAULT_PALETTE]).stops;
+    const position = Math.min(1, Math.max(0, t)) * (stops.length - 1);
+    const i = Math.min(Math.floor(position), stops.length - 2);
+    const f = position - i;
+    const a = stops[i];
+    const b = stops[i + 1];
+    return [a[0] + (b[0] - a[0]) * f, a[1] + (b[1] - a[1]) * f, a[2] + (b[2] - a[2]) * f];
+}
+
+export function cssColor([r, g, b]) {
+    return `rgb(${Math.round(r * 255)}, ${Math.round(g * 255)}, ${Math.round(b * 255)})`;
+}
+
+/**
+ * CSS linear gradient running through a palette, left to right.
+ */
+export function paletteGradient(name) {
+    const stops = (PALETTES[name] || PALETTES[DEFAULT_PALETTE]).stops;
+    return `linear-gradient(to right, ${stops.map(cssColor).join(', ')})`;
+}
+
+/**
+ * A function writing a cell's RGB into a buffer: colorize(cell, target, offset).
+ * Cells carry x, y, z, state and age, plus neighbors when needsNeighborCounts(mode).
+ */
+export function createColorizer(mode, palette, context) {
+    const { gridSize, stateCount = 2 } = context;
+    const value = valueFunction(mode, context);
+
+    return (cell, target, offset) => {
+        if (cell.state > 1) {
+            // Dying cells cool from ember orange to dark red as they decay
+            const decay = (cell.state - 1) / (stateCount - 1);
+            target[offset] = 1.0 - 0.55 * decay;
+            target[offset + 1] = 0.55 - 0.5 * decay;
+            target[offset + 2] = 0.15;
+        } else if (value) {
+            const [r, g, b] = samplePalette(palette, value(cell));
+            target[offset] = r;
+            target[offset + 1] = g;
+            target[offset + 2] = b;
+        } else {
+            target[offset] = 0.25 + 0.75 * (cell.x / gridSize);
+            target[offset + 1] = 0.25 + 0.75 * (cell.y / gridSize);
+            target[offset + 2] = 0.25 + 0.75 * (cell.z / gridSize);
+        }
+    };
+}
+
+/**
+ * Palette position (0..1) of a live cell for a mode, or null for position coloring.
+ */
+function valueFunction(mode, { gridSize, maxNeighbors = 26, phase, phases }) {
+    switch (mode) {
+        case 'age':
+            return (cell) => cell.age / AGE_SPAN;
+        case 'neighbors':
+            return (cell) => (cell.neighbors || 0) / maxNeighbors;
+        case 'births':
+            return (cell) => (cell.age === 0 ? NEWBORN : SURVIVOR);
+        case 'phase': {
+            // The whole population takes the color of the current phase
+            const t = phaseValue(phase, phases);
+            return () => t;
+        }
+        case 'distance': {
+            const center = (gridSize - 1) / 2;
+            const reach = maxDistance(gridSize);
+            return (cell) => {
+                const dx = cell.x - center;
+                const dy = cell.y - center;
+                const dz = cell.z - center;
+                return Math.sqrt(dx * dx + dy * dy + dz * dz) / reach;
+            };
+        }
+        default:
+            return null;
+    }
+}
+
+function phaseValue(phase, phases) {
+    if (!phases || phases.length < 2) return 0.5;
+    return Math.max(0, phases.indexOf(phase)) / (phases.length - 1);
+}
+
+function maxDistance(gridSize) {
+    return Math.max(1, (gridSize - 1) / 2 * Math.sqrt(3));
+}
+
+/**
+ * What the colors of a mode mean, for the legend:
+ *   { title, gradient, min, max } for modes that scale a value through the palette, or
+ *   { title, items: [{ label, color, active }] } for modes with a few distinct colors.
+ * dying is set when the rule has dying states, which keep their own colors.
+ */
+export function describeLegend(mode, palette, context) {
+    const { gridSize, stateCount = 2, maxNeighbors = 26, phase, phases } = context;
+    const swatch = (t) => cssColor(samplePalette(palette, t));
+    let legend;
+
+    switch (mode) {
+        case 'age':
+            legend = { title: 'Age (generations)', gradient: paletteGradient(palette), min: '0', max: `${AGE_SPAN}+` };
+            break;
+        case 'neighbors':
+            legend = { title: 'Live neighbors', gradient: paletteGradient(palette), min: '0', max: String(maxNeighbors) };
+            break;
+        case 'births':
+            legend = {
+                title: 'Births',
+                items: [
+                    { label: 'Born this generation', color: swatch(NEWBORN) },
+                    { label: 'Survivor', color: swatch(SURVIVOR) }
+                ]
+            };
+            break;
+        case 'phase':
+            legend = {
+                title: 'Adaptive phase',
+                items: phases
+                    ? phases.map(name => ({ label: formatPhaseName(name), color: swatch(phaseValue(name, phases)), active: name === phase }))
+                    : [{ label: 'Static rule, no phases', color: swatch(0.5) }]
+            };
+            break;
+        case 'distance':
+            legend = {
+                title: 'Distance from center',
+                gradient: paletteGradient(palette),
+                min: '0',
+                max: String(Math.round(maxDistance(gridSize)))
+            };
+            break;
+        default:
+            legend = {
+                title: 'Position',
+                items: [
+                    { label: 'x', color: 'rgb(255, 64, 64)' },
+                    { label: 'y', color: 'rgb(64, 255, 64)' },
+                    { label: 'z', color: 'rgb(64, 64, 255)' }
+                ]
+            };
+    }
+
+    legend.dying = stateCount > 2;
+    return legend;
+}
@@ -0,0 +1,112 @@
+/**
+ * Cycle Detector for 3D Game of Life
+ * Watches a signature of each generation's cells and reports when the run stops being
+ * interesting: extinction, a still life (period 1) or an oscillator of period N.
+ *
+ * Signatures are order-independent hashes of (cell key, state) pairs, so they can be
+ * accumulated straight from the grid's cell lists. Two 32-bit accumulators (sum and xor)
+ * plus the cell count make accidental matches very unlikely.
+ */
+
+// Longest period looked for; older signatures are forgotten
+export const DEFAULT_MAX_PERIOD = 64;
+
+export const CYCLE_STATUS = {
+    'running': 'Running',
+    'extinct': 'Extinct',
+    'still': 'Still life',
+    'oscillating': 'Oscillating'
+};
+
+/**
+ * Mix a cell key (up to 2^51, see packKey) and state into a 32-bit hash.
+ */
+export function hashCell(key, state) {
+    const low = key % 4294967296;
+    const high = (key - low) / 4294967296;
+    return mix32((low ^ mix32(high + state * 0x9E3779B1)) >>> 0);
+}
+
+/**
+ * Accumulates cell hashes into a generation signature.
+ */
+export class SignatureBuilder {
+    constructor() {
+        this.sum = 0;
+        this.xor = 0;
+        this.count = 0;
+    }
+
+    add(key, state) {
+        const h = hashCell(key, state);
+        this.sum = (this.sum + h) >>> 0;
+        this.xor = (this.xor ^ h) >>> 0;
+        this.count++;
+    }
+
+    toString() {
+        return `${this.count}:${this.sum.toString(36)}:${this.xor.toString(36)}`;
+    }
+}
+
+export class CycleDetector {
+    constructor(maxPeriod = DEFAULT_MAX_PERIOD) {
+        this.maxPeriod = maxPeriod;
+        this.clear();
+    }
+
+    clear() {
+        this.signatures = new Map(); // signature -> last generation seen
+        this.recent = [];            // signatures of the last maxPeriod generations, oldest first
+        this.status = { state: 'running', period: 0, since: 0 };
+    }
+
+    /**
+     * Record a generation and update the status. Once a cycle is found the status stays
+     * until clear(), so the first detection is what gets reported.
+     * @param {number} generation
+     * @param {string} signature - From SignatureBuilder
+     * @param {number} cellCount - Live and dying cells
+     */
+    observe(generation, signature, cellCount) {
+        if (this.status.state !== 'running') return this.status;
+
+        if (cellCount === 0) {
+            this.status = { state: 'extinct', period: 0, since: generation };
+            return this.status;
+        }
+
+        const seen = this.signatures.get(signature);
+        if (seen !== undefined) {
+            const period = generation - seen;
+            this.status = { state: period === 1 ? 'still' : 'oscillating', period, since: seen };
+            return this.status;
+        }
+
+        this.signatures.set(signature, generation);
+        this.recent.push(signature);
+        if (this.recent.length > this.maxPeriod) {
+            const forgotten = this.recent.shift();
+            if (this.signatures.get(forgotten) <= generation - this.maxPeriod) {
+                this.signatures.delete(forgotten);
+            }
+        }
+        return this.status;
+    }
+}
+
+/**
+ * Human-readable status for the stats overlay.
+ */
+export function describeCycleStatus(status) {
+    if (status.state === 'oscillating') {
+        return `Period ${status.period}`;
+    }
+    return CYCLE_STATUS[status.state];
+}
+
+function mix32(h) {
+    h = Math.imul(h ^ (h >>> 16), 0x85EBCA6B);
+    h = Math.imul(h ^ (h >>> 13), 0xC2B2AE35);
+    return (h ^ (h >>> 16)) >>> 0;
+}
@@ -0,0 +1,88 @@
+/**
+ * Distance Alpha for 3D Game of Life
+ * A Babylon.js material plugin that fades cells from nearAlpha (closest to the camera) to
+ * farAlpha (farthest away) in the fragment shader, so moving the camera needs no CPU work.
+ * Distances are measured per fragment and scaled across the bounding sphere of the cells on
+ * screen, which the renderer updates whenever the cells change (see setBounds).
+ */
+
+export class DistanceAlphaPlugin extends BABYLON.MaterialPluginBase {
+    constructor(material) {
+        super(material, 'DistanceAlpha', 200, { DISTANCE_ALPHA: false });
+        this._isEnabled = false;
+        this.nearAlpha = 1.0;
+        this.farAlpha = 1.0;
+        this.center = new BABYLON.Vector3(0, 0, 0);
+        this.radius = 0;
+    }
+
+    get isEnabled() {
+        return this._isEnabled;
+    }
+
+    set isEnabled(enabled) {
+        if (this._isEnabled === enabled) return;
+        this._isEnabled = enabled;
+        this.markAllDefinesAsDirty();
+        this._enable(enabled);
+    }
+
+    /**
+     * Set the alpha range; the plugin switches itself off while both ends are opaque.
+     */
+    setAlpha(nearAlpha, farAlpha) {
+        this.nearAlpha = nearAlpha;
+        this.farAlpha = farAlpha;
+        this.isEnabled = nearAlpha < 1.0 || farAlpha < 1.0;
+    }
+
+    setBounds(minX, minY, minZ, maxX, maxY, maxZ) {
+        this.center.set((minX + maxX) / 2, (minY + maxY) / 2, (minZ + maxZ) / 2);
+        this.radius = Math.hypot(maxX - minX, maxY - minY, maxZ - minZ) / 2;
+    }
+
+    getClassName() {
+        return 'DistanceAlphaPlugin';
+    }
+
+    prepareDefines(defines) {
+        defines.DISTANCE_ALPHA = this._isEnabled;
+    }
+
+    getUniforms() {
+        return {
+            ubo: [{ name: 'distanceAlpha', size: 4, type: 'vec4' }],
+            fragment: `
+                #ifdef DISTANCE_ALPHA
+                    uniform vec4 distanceAlpha;
+                #endif`
+        };
+    }
+
+    bindForSubMesh(uniformBuffer, scene) {
+        if (!this._isEnabled) return;
+        // The nearest and farthest the cells can be from the camera
+        const camera = scene.activeCamera;
+        const distance = camera ? BABYLON.Vector3.Distance(camera.globalPosition, this.center) : 0;
+        uniformBuffer.updateFloat4(
+            'distanceAlpha',
+            this.nearAlpha,
+            this.farAlpha,
+            Math.max(0, distance - this.radius),
+            distance + this.radius
+        );
+    }
+
+    getCustomCode(shaderType) {
+        if (shaderType !== 'fragment') return null;
+        return {
+            CUSTOM_FRAGMENT_BEFORE_FRAGCOLOR: `
+                #ifdef DISTANCE_ALPHA
+                    float eyeDistance = distance(vEyePosition.xyz, vPositionW);
+                    float depthRange = max(distanceAlpha.w - distanceAlpha.z, 0.0001);
+                    float farness = clamp((eyeDistance - distanceAlpha.z) / depthRange, 0.0, 1.0);
+                    color.a *= mix(distanceAlpha.x, distanceAlpha.y, farness);
+                #endif`
+        };
+    }
+}
@@ -0,0 +1,249 @@
+/**
+ * Generation History for 3D Game of Life
+ * A ring buffer of compressed snapshots of recent generations, so the simulation can step
+ * backward and scrub a timeline. Generations in the buffer are always consecutive; recording
+ * a generation that is already stored (after stepping back and editing, say) drops everything
+ * after it.
+ *
+ * Snapshots hold every simulated cell (see SimulationGrid.exportCells). Cells are packed into
+ * coordinate keys, sorted, and stored as varint-encoded gaps between keys, which is a few bytes
+ * per cell for typical clustered populations. Dying-cell states follow only when any exist,
+ * then cell ages (see SimulationGrid.getVisibleCells) as varints, usually one byte each.
+ */
+
+import { packKey, unpackKey } from './sparseSimulation.js';
+
+export const DEFAULT_HISTORY_CAPACITY = 256;
+
+export class HistoryBuffer {
+    constructor(capacity = DEFAULT_HISTORY_CAPACITY) {
+        this.capacity = capacity;
+        this.slots = new Array(capacity);
+        this.start = 0;
+        this.count = 0;
+    }
+
+    clear() {
+        this.slots = new Array(this.capacity);
+        this.start = 0;
+        this.count = 0;
+    }
+
+    get oldest() {
+        return this.count > 0 ? this.slots[this.start].generation : null;
+    }
+
+    get newest() {
+        return this.count > 0 ? this.at(this.count - 1).generation : null;
+    }
+
+    at(offset) {
+        return this.slots[(this.start + offset) % this.capacity];
+    }
+
+    has(generation) {
+        return this.count > 0 && generation >= this.oldest && generation <= this.newest;
+    }
+
+    /**
+     * Store the grid's current generation, discarding any stored generations after it.
+     */
+    record(grid) {
+        const generation = grid.generation;
+
+        if (this.has(generation)) {
+            this.truncate(generation - this.oldest);
+        } else if (this.count > 0 && generation !== this.newest + 1) {
+            // Not contiguous (a reset or a jump): start over
+            this.clear();
+        }
+
+        if (this.count === this.capacity) {
+            this.slots[this.start] = null;
+            this.start = (this.start + 1) % this.capacity;
+            this.count--;
+        }
+
+        const { coords, states, ages } = grid.exportCells();
+        this.slots[(this.start + this.count) % this.capacity] = {
+            generation,
+            phase: grid.phase,
+            births: grid.births,
+            deaths: grid.deaths,
+            cycleStatus: grid.cycleStatus,
+            data: compressCells(coords, states, ages)
+        };
+        this.count++;
+    }
+
+    /**
+     * Drop stored generations after the given one, e.g. when the rules change.
+     */
+    truncateAfter(generation) {
+        if (this.has(generation)) {
+            this.truncate(generation - this.oldest + 1);
+        }
+    }
+
+    /**
+     * Keep the oldest count generations, releasing the slots of the rest.
+     */
+    truncate(count) {
+        for (let offset = count; offset < this.count; offset++) {
+            this.slots[(this.start + offset) % this.capacity] = null;
+        }
+        this.count = count;
+    }
+
+    /**
+     * Put the grid back to a stored generation. Returns false if it is not in the buffer.
+     */
+    restore(grid, generation) {
+        if (!this.has(generation)) return false;
+
+        const entry = this.at(generation - this.oldest);
+        const { coords, states, ages } = decompressCells(entry.data);
+        grid.setCells(coords, states, ages);
+        grid.generation = entry.generation;
+        grid.phase = entry.phase;
+        grid.births = entry.births;
+        grid.deaths = entry.deaths;
+        // Recent signatures are not kept, so detection of a still-running generation starts over
+        grid.cycleDetector.status = entry.cycleStatus;
+        return true;
+    }
+
+    /**
+     * Total bytes held by compressed snapshots.
+     */
+    byteSize() {
+        let bytes = 0;
+        for (let i = 0; i < this.count; i++) {
+            bytes += this.at(i).data.length;
+        }
+        return bytes;
+    }
+}
+
+// Flags byte after the cell count
+const HAS_DYING = 1;
+const HAS_AGES = 2;
+
+/**
+ * Compress flat x, y, z coordinates, per-cell states and optionally per-cell ages into bytes.
+ */
+export function compressCells(coords, states, ages = null) {
+    const count = coords.length / 3;
+    const order = new Array(count);
+    const keys = new Float64Array(count);
+    let dying = false;
+    for (let i = 0; i < count; i++) {
+        keys[i] = packKey(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2]);
+        order[i] = i;
+        if (states[i] > 1) dying = true;
+    }
+    order.sort((a, b) => keys[a] - keys[b]);
+
+    const writer = new ByteWriter(count * 3 + 8);
+    writer.varint(count);
+    writer.byte((dying ? HAS_DYING : 0) | (ages ? HAS_AGES : 0));
+
+    let previous = 0;
+    for (const i of order) {
+        writer.varint(keys[i] - previous);
+        previous = keys[i];
+    }
+    if (dying) {
+        for (const i of order) writer.byte(states[i]);
+    }
+    if (ages) {
+        for (const i of order) writer.varint(ages[i]);
+    }
+
+    return writer.finish();
+}
+
+/**
+ * Inverse of compressCells. Cells come back sorted by key; ages is null if none were stored.
+ */
+export function decompressCells(bytes) {
+    const reader = new ByteReader(bytes);
+    const count = reader.varint();
+    const flags = reader.byte();
+    const dying = (flags & HAS_DYING) !== 0;
+
+    const coords = new Int32Array(count * 3);
+    let key = 0;
+    for (let i = 0; i < count; i++) {
+        key += reader.varint();
+        const { x, y, z } = unpackKey(key);
+        coords[i * 3] = x;
+        coords[i * 3 + 1] = y;
+        coords[i * 3 + 2] = z;
+    }
+
+    const states = new Uint8Array(count);
+    for (let i = 0; i < count; i++) {
+        states[i] = dying ? reader.byte() : 1;
+    }
+
+    let ages = null;
+    if (flags & HAS_AGES) {
+        ages = new Uint16Array(count);
+        for (let i = 0; i < count; i++) ages[i] = reader.varint();
+    }
+
+    return { coords, states, ages };
+}
+
+// Keys reach 2^51, beyond 32-bit bitwise operators, so varints use arithmetic
+class ByteWriter {
+    constructor(initialSize) {
+        this.bytes = new Uint8Array(Math.max(16, initialSize));
+        this.length = 0;
+    }
+
+    byte(value) {
+        if (this.length === this.bytes.length) {
+            const grown = new Uint8Array(this.bytes.length * 2);
+            grown.set(this.bytes);
+            this.bytes = grown;
+        }
+        this.bytes[this.length++] = value;
+    }
+
+    varint(value) {
+        while (value >= 128) {
+            this.byte((value % 128) + 128);
+            value = Math.floor(value / 128);
+        }
+        this.byte(value);
+    }
+
+    finish() {
+        return this.bytes.slice(0, this.length);
+    }
+}
+
+class ByteReader {
+    constructor(bytes) {
+        this.bytes = bytes;
+        this.offset = 0;
+    }
+
+    byte() {
+        return this.bytes[this.offset++];
+    }
+
+    varint() {
+        let value = 0;
+        let scale = 1;
+        let b;
+        do {
+            b = this.bytes[this.offset++];
+            value += (b % 128) * scale;
+            scale *= 128;
+        } while (b >= 128);
+        return value;
+    }
+}
@@ -2,13 +2,24 @@
  * Main Entry Point for 3D Game of Life WebGL Application
  */
 
-import { SimulationGrid } from './simulation.js';
-import { RuleEngine } from './rules.js';
+import { SimulationClient } from './simulationClient.js';
+import { BACKENDS } from './simulationHost.js';
+import { RuleEngine, DEFAULT_PRESET } from './rules.js';
+import { RuleRegistry } from './ruleRegistry.js';
 import { Renderer } from './renderer.js';
 import { CameraController } from './camera.js';
 import { UIController } from './ui.js';
 import { RuleEditor } from './ruleEditor.js';
+import { RuleExplorer } from './ruleExplorer.js';
 import { AudioController } from './audio.js';
+import { CellEditor } from './cellEditor.js';
+import { StatsChart } from './statsChart.js';
+import { describeCycleStatus } from './cycleDetector.js';
+import { PATTERN_FORMATS, readPatternFile, encodePattern, patternBounds } from './patterns.js';
+import { DEFAULT_SEEDING } from './seeding.js';
+import { parseSeed } from './random.js';
+import { readStateFromHash, writeStateToHash } from './urlState.js';
+import { describeLegend, needsNeighborCounts } from './colorModes.js';
 
 class GameOfLife3D {
     constructor() {
@@ -17,23 +28,67 @@ class GameOfLife3D {
         this.stepsPerSecond = 10;
         this.gridSize = 40;
         this.spawnRadius = 5;
+        this.seeding = { ...DEFAULT_SEEDING };
+        this.pattern = null;
+
+        // Fixed seed from the Seed field or a shared link; null draws a new seed on every reset
+        this.fixedSeed = null;
+
+        // Registry key of the loaded rules, or null for custom rules
+        this.presetKey = DEFAULT_PRESET;
+
+        // What to do when the cycle detector finds extinction, a still life or an oscillator
+        this.cycleAction = 'none';
+        this.cycleState = 'running';
 
         // Timing - separate simulation from render
         this.lastStepTime = 0;
         this.lastFrameTime = 0;
-        this.cellsCache = [];
         this.needsRenderUpdate = true;
 
-        this.init();
+        this.ready = this.init().catch(err => this.reportStartupError(err));
     }
 
-    init() {
+    /**
+     * Show why the app could not start. The control panel may not be set up yet, so the
+     * message goes straight into the page.
+     */
+    reportStartupError(err) {
+        console.error('Could not start:', err);
+        const box = document.getElementById('startupError');
+        box.textContent = `Could not start: ${err.message}`;
+        box.classList.remove('hidden');
+    }
+
+    async init() {
+        // Load rule presets from web/rules/ before anything needs them
+        this.registry = new RuleRegistry();
+        await this.registry.load();
+        try {
+            this.registry.loadLibrary(window.localStorage);
+        } catch (err) {
+            console.warn(`Rule library unavailable: ${err.message}`);
+        }
+
+        // Session shared through a link (see urlState.js)
+        const saved = readStateFromHash(window.location.hash);
+
         // Initialize rule engine
-        this.ruleEngine = new RuleEngine('default');
+        this.ruleEngine = new RuleEngine(this.registry, DEFAULT_PRESET);
+        this.restoreRules(saved);
+        this.restoreSettings(saved);
 
-        // Initialize simulation
-        this.simulation = new SimulationGrid(this.ruleEngine, this.gridSize);
-        this.simulation.reset(this.spawnRadius);
+        // Initialize simulation (runs in a worker; snapshots arrive through onUpdate)
+        const backend = saved.backend || 'dense';
+        this.gridSize = Math.min(this.gridSize, BACKENDS[backend].maxSize);
+        this.simulation = new SimulationClient({
+            size: this.gridSize,
+            boundary: saved.boundary || this.ruleEngine.config.boundary,
+            backend,
+            rules: this.ruleEngine.config,
+            onUpdate: (type) => this.onSimulationUpdate(type)
+        });
+        this.simulation.reset(this.getSeeding());
 
         // Initialize renderer
         this.renderer = new Renderer(this.canvas);
@@ -42,6 +97,24 @@ class GameOfLife3D {
         this.cameraController = new CameraController(this.renderer.scene, this.canvas);
         this.renderer.setCamera(this.cameraController.getCamera());
         this.updateCameraTarget();
+        this.cameraController.setState(saved.camera);
+        this.renderer.setViewSettings(saved.view);
+        this.simulation.setNeighborCounts(needsNeighborCounts(this.renderer.colorMode));
+
+        // Initialize cell editor (inactive until edit mode is switched on)
+        this.cellEditor = new CellEditor({
+            scene: this.renderer.scene,
+            canvas: this.canvas,
+            camera: this.cameraController.getCamera(),
+            getCells: () => this.simulation.cells,
+            onEdit: (coords, state) => this.simulation.editCells(coords, state)
+        });
+        this.updateEditorBounds();
+        this.cellEditor.setSlice(this.renderer.sliceEnabled, this.renderer.sliceLayer);
+
+        // Initialize statistics chart (fed from simulation snapshots)
+        this.statsChart = new StatsChart(document.getElementById('statsChart'));
+        this.statsChartEnabled = true;
 
         // Initialize audio (defaults to muted)
         this.audio = new AudioController();
@@ -51,40 +124,82 @@ class GameOfLife3D {
             onSpeedChange: (speed) => this.setSpeed(speed),
             onGridSizeChange: (size) => this.setGridSize(size),
             onSpawnRadiusChange: (radius) => this.setSpawnRadius(radius),
+            onSeedingChange: (seeding) => this.setSeeding(seeding),
+            onSeedChange: (text) => this.setSeed(text),
             onRulesChange: (ruleName) => this.setRules(ruleName),
+            onBoundaryChange: (mode) => this.setBoundary(mode),
+            onBackendChange: (backend) => this.setBackend(backend),
             onAutoOrbitChange: (enabled) => this.cameraController.setAutoOrbit(enabled),
             onPauseChange: (paused) => this.paused = paused,
             onReset: () => this.reset(),
-            onCellSizeChange: (scale) => {
-                this.renderer.setCellScale(scale);
-                this.needsRenderUpdate = true;
-            },
-            onNearAlphaChange: (alpha) => {
-                this.renderer.setNearAlpha(alpha);
+            onStepBack: () => this.simulation.stepBack(),
+            onStepForward: () => this.simulation.step(),
+            onSeek: (generation) => this.simulation.seek(generation),
+            onCycleActionChange: (action) => this.cycleAction = action,
+            onRenderModeChange: (mode) => {
+                this.renderer.setRenderMode(mode);
                 this.needsRenderUpdate = true;
             },
-            onFarAlphaChange: (alpha) => {
-                this.renderer.setFarAlpha(alpha);
+            onCellSizeChange: (scale) => {
+                this.renderer.setCellScale(scale);
                 this.needsRenderUpdate = true;
             },
+            onNearAlphaChange: (alpha) => this.renderer.setNearAlpha(alpha),
+            onFarAlphaChange: (alpha) => this.renderer.setFarAlpha(alpha),
             onSliceModeChange: (enabled) => {
                 this.renderer.setSliceEnabled(enabled);
+                this.cellEditor.setSlice(enabled, this.renderer.sliceLayer);
                 this.needsRenderUpdate = true;
             },
             onSliceLayerChange: (layer) => {
                 this.renderer.setSliceLayer(layer);
+                this.cellEditor.setSlice(this.renderer.sliceEnabled, layer);
                 this.needsRenderUpdate = true;
             },
             onSliceThicknessChange: (thickness) => {
                 this.renderer.setSliceThickness(thickness);
                 this.needsRenderUpdate = true;
             },
-            onSoundChange: (enabled) => this.audio.setMuted(!enabled)
+            onColorModeChange: (mode) => {
+                this.renderer.setColorMode(mode);
+                this.ruleEditor.setColors(this.renderer.colorMode, this.renderer.palette);
+                // Neighbor counts arrive with the next snapshot, which redraws the cells
+                this.simulation.setNeighborCounts(needsNeighborCounts(mode));
+                this.needsRenderUpdate = true;
+            },
+            onPaletteChange: (palette) => {
+                this.renderer.setPalette(palette);
+                this.ruleEditor.setColors(this.renderer.colorMode, this.renderer.palette);
+                this.needsRenderUpdate = true;
+            },
+            onSoundChange: (enabled) => this.audio.setMuted(!enabled),
+            onEditModeChange: (enabled) => this.setEditMode(enabled),
+            onStatsChartChange: (enabled) => this.statsChartEnabled = enabled,
+            onEditToolChange: (tool) => this.cellEditor.setTool(tool),
+            onCopyLink: () => this.copyLink(),
+            onPatternImport: (file) => this.importPattern(file),
+            onPatternExport: (format) => this.exportPattern(format)
         });
+        this.ui.setRuleOptions(this.registry.list(), this.presetKey);
+        this.ui.applyState(this.getSessionState());
+        this.ui.setSeed(this.fixedSeed);
 
         // Initialize Rule Editor
         this.ruleEditor = new RuleEditor({
-            onRulesChange: (config) => this.applyCustomRules(config)
+            registry: this.registry,
+            onRulesChange: (config) => this.applyCustomRules(config),
+            onLibraryChange: () => this.updateRuleOptions(),
+            onExport: (fileName, json) => this.ui.downloadFile(fileName, json, 'application/json')
+        });
+        this.ruleEditor.setBoundary(this.simulation.boundary);
+        this.ruleEditor.setColors(this.renderer.colorMode, this.renderer.palette);
+
+        // Initialize Rule Explorer; a picked rule is applied and shown in the Rule Editor
+        this.ruleExplorer = new RuleExplorer({
+            onSelect: (config) => {
+                this.ruleEditor.loadConfig(config);
+                this.applyCustomRules(config);
+            }
         });
 
         // Initial render
@@ -104,36 +219,96 @@ class GameOfLife3D {
         // Update camera auto-orbit (always runs for smooth rotation)
         this.cameraController.update(deltaTime);
 
-        // Update camera position for distance-based transparency
-        this.renderer.updateCameraPosition();
-
-        // Run simulation step based on speed setting
+        // Request a simulation step based on speed setting. The worker computes it while
+        // frames animate the births and deaths of the last generation over one step interval
+        // (see Renderer.updateTransition); at most one step is in flight.
         const stepInterval = 1000 / this.stepsPerSecond;
-        if (!this.paused && now - this.lastStepTime >= stepInterval) {
+        if (!this.paused && !this.simulation.stepPending && now - this.lastStepTime >= stepInterval) {
             this.simulation.step();
-            this.audio.tick();
-            this.needsRenderUpdate = true;
             this.lastStepTime = now;
         }
 
-        // Update renderer when simulation changed or camera moved (for distance-based alpha)
-        const usingTransparency = this.renderer.nearAlpha < 1.0 || this.renderer.farAlpha < 1.0;
-        if (this.needsRenderUpdate || usingTransparency) {
+        // Update renderer when the cells or how they are drawn changed; distance-based alpha
+        // follows the camera in the shader
+        if (this.needsRenderUpdate) {
             this.updateCells();
             this.needsRenderUpdate = false;
         }
+        this.renderer.updateTransition(now, stepInterval);
 
         // Update stats display
         this.ui.updateStats(
             this.simulation.totalCount,
-            this.simulation.getGrowthStateName(),
+            this.simulation.getPhaseName(),
             this.renderer.getFPS()
         );
+        this.ui.updateRun(this.simulation.seed, this.simulation.generation);
+        this.ui.updateCycleStatus(
+            describeCycleStatus(this.simulation.cycle),
+            this.simulation.cycle.state !== 'running'
+        );
+        this.ui.updateTimeline(this.simulation.historyStart, this.simulation.historyEnd, this.simulation.generation);
+        if (this.statsChartEnabled) {
+            this.statsChart.draw();
+        }
+    }
+
+    onSimulationUpdate(type) {
+        if (type === 'step') {
+            this.audio.tick();
+        }
+        this.needsRenderUpdate = true;
+        this.recordStats();
+        this.checkCycle(type);
+    }
+
+    /**
+     * Pause or reset once when a running simulation settles, as chosen in the control panel.
+     */
+    checkCycle(type) {
+        const state = this.simulation.cycle.state;
+        const settled = type === 'step' && this.cycleState === 'running' && state !== 'running';
+        this.cycleState = state;
+        if (!settled || this.paused || !this.ui) return;
+
+        if (this.cycleAction === 'pause') {
+            this.ui.setPaused(true);
+        } else if (this.cycleAction === 'reset') {
+            this.reset();
+        }
+    }
+
+    recordStats() {
+        // The chart can be created after the first snapshots arrive
+        if (!this.statsChart) return;
+
+        const sim = this.simulation;
+        this.statsChart.addSample({
+            generation: sim.generation,
+            population: sim.totalCount,
+            births: sim.births,
+            deaths: sim.deaths,
+            phase: sim.phase,
+            phases: sim.phases,
+            thresholds: sim.phaseThresholds
+        });
     }
 
     updateCells() {
-        this.cellsCache = this.simulation.getVisibleCells();
-        this.renderer.updateCells(this.cellsCache, this.gridSize);
+        const sim = this.simulation;
+        const stateCount = this.ruleEngine.stateCount;
+        const colorContext = {
+            maxNeighbors: this.ruleEngine.maxNeighbors,
+            phase: sim.phase,
+            phases: sim.phases
+        };
+        this.renderer.updateCells(sim, this.gridSize, stateCount, colorContext);
+
+        // Position coloring explains itself, unless dying cells need a key
+        const { colorMode, palette } = this.renderer;
+        this.ui.setColorLegend(colorMode !== 'position' || stateCount > 2
+            ? describeLegend(colorMode, palette, { ...colorContext, gridSize: this.gridSize, stateCount })
+            : null);
     }
 
     updateCameraTarget() {
@@ -149,25 +324,256 @@ class GameOfLife3D {
         this.gridSize = size;
         this.simulation.resize(size);
         this.ui.updateGridSize(size);
+        this.updateEditorBounds();
         this.reset();
     }
 
+    /**
+     * Edit mode stops the auto-orbit so the cells stay put under the cursor.
+     */
+    setEditMode(enabled) {
+        if (enabled) {
+            this.cameraController.setAutoOrbit(false);
+            this.ui.setAutoOrbit(false);
+        }
+        this.cellEditor.setEnabled(enabled);
+    }
+
+    updateEditorBounds() {
+        this.cellEditor.setBounds(this.gridSize, this.simulation.backend === 'unbounded');
+    }
+
     setSpawnRadius(radius) {
         this.spawnRadius = radius;
     }
 
+    setSeeding(seeding) {
+        this.seeding = { ...this.seeding, ...seeding };
+    }
+
+    /**
+     * Seeding options for the next reset (see seeding.js).
+     */
+    getSeeding() {
+        return { ...this.seeding, radius: this.spawnRadius, pattern: this.pattern, seed: this.fixedSeed };
+    }
+
+    /**
+     * Fix the seed so every reset replays the same run (blank text goes back to random seeds).
+     */
+    setSeed(text) {
+        this.fixedSeed = parseSeed(text);
+        this.ui.setSeed(this.fixedSeed);
+        this.reset();
+    }
+
+    /**
+     * Load the rules named by a shared link: custom rules, a preset key, or the default.
+     */
+    restoreRules(saved) {
+        if (saved.rules) {
+            try {
+                this.ruleEngine.loadCustom(saved.rules);
+                this.presetKey = null;
+                return;
+            } catch (err) {
+                console.warn(`Ignoring rules from link: ${err.message}`);
+            }
+        }
+        if (saved.preset) {
+            if (this.registry.has(saved.preset)) {
+                this.ruleEngine.loadPreset(saved.preset);
+                this.presetKey = saved.preset;
+            } else {
+                console.warn(`Unknown preset "${saved.preset}" in link, using default`);
+            }
+        }
+    }
+
+    /**
+     * Take grid, speed and seeding settings from a shared link.
+     * The legacy ?seed= query parameter is still honored when the hash has no seed.
+     */
+    restoreSettings(saved) {
+        if (saved.size !== undefined) this.gridSize = saved.size;
+        if (saved.speed !== undefined) this.stepsPerSecond = saved.speed;
+        if (saved.seeding.radius !== undefined) this.spawnRadius = saved.seeding.radius;
+        const { radius, ...seeding } = saved.seeding;
+        this.setSeeding(seeding);
+
+        const legacySeed = parseSeed(new URLSearchParams(window.location.search).get('seed') || '');
+        this.fixedSeed = saved.seed !== undefined ? saved.seed : legacySeed;
+    }
+
+    /**
+     * Everything a link needs to reproduce this session. Without a fixed seed the current
+     * run's seed is used, so the recipient replays the run being watched.
+     */
+    getSessionState() {
+        // Library rules only exist in this browser, so links carry them in full
+        const shared = this.presetKey && !this.registry.isLibraryRule(this.presetKey);
+        return {
+            preset: this.presetKey,
+            rules: shared ? null : this.ruleEngine.config,
+            backend: this.simulation.backend,
+            size: this.gridSize,
+            boundary: this.simulation.boundary,
+            speed: this.stepsPerSecond,
+            seeding: {
+                strategy: this.seeding.strategy,
+                radius: this.spawnRadius,
+                density: this.seeding.density,
+                thickness: this.seeding.thickness
+            },
+            seed: this.fixedSeed !== null ? this.fixedSeed : this.simulation.seed,
+            camera: this.cameraController.getState(),
+            view: this.renderer.getViewSettings()
+        };
+    }
+
+    /**
+     * Put the session into the URL hash and copy the link to the clipboard.
+     */
+    copyLink() {
+        const url = new URL(window.location.href);
+        url.searchParams.delete('seed');
+        url.hash = writeStateToHash(this.getSessionState());
+        window.history.replaceState(null, '', url);
+
+        navigator.clipboard.writeText(url.toString())
+            .then(() => this.ui.showLinkCopied())
+            .catch((err) => console.warn(`Could not copy link: ${err.message}`));
+    }
+
+    setBackend(backend) {
+        this.simulation.setBackend(backend);
+        this.updateEditorBounds();
+        const maxSize = BACKENDS[this.simulation.backend].maxSize;
+        this.ui.setGridSizeLimit(maxSize);
+        if (this.gridSize > maxSize) {
+            this.setGridSize(maxSize);
+        } else {
+            this.reset();
+        }
+    }
+
+    setBoundary(mode) {
+        this.simulation.setBoundary(mode);
+        this.showBoundary();
+        this.reset();
+    }
+
     setRules(ruleName) {
         this.ruleEngine.loadPreset(ruleName);
+        this.presetKey = ruleName;
+        this.simulation.setRules(this.ruleEngine.config);
+        this.applyRuleBoundary();
         this.reset();
     }
 
+    /**
+     * Refresh the Rules dropdown after the library changes. A deleted rule that is still
+     * running carries on as custom rules.
+     */
+    updateRuleOptions() {
+        if (this.presetKey && !this.registry.has(this.presetKey)) {
+            this.presetKey = null;
+        }
+        this.ui.setRuleOptions(this.registry.list(), this.presetKey);
+    }
+
     applyCustomRules(config) {
-        this.ruleEngine.loadCustom(config);
+        try {
+            this.ruleEngine.loadCustom(config);
+        } catch (err) {
+            console.warn(`Keeping the current rules: ${err.message}`);
+            return;
+        }
+        this.presetKey = null;
+        this.simulation.setRules(this.ruleEngine.config);
+        this.applyRuleBoundary();
+        this.reset();
+    }
+
+    /**
+     * Show the boundary in use in the control panel, and pass it on to the Rule Editor's preview.
+     */
+    showBoundary() {
+        this.ui.setBoundary(this.simulation.boundary);
+        this.ruleEditor.setBoundary(this.simulation.boundary);
+    }
+
+    /**
+     * Rules may declare a boundary mode; it replaces the panel selection when they are loaded.
+     */
+    applyRuleBoundary() {
+        const mode = this.ruleEngine.config.boundary;
+        if (mode) {
+            this.simulation.setBoundary(mode);
+            this.showBoundary();
+        }
+    }
+
+    /**
+     * Load a pattern file and reseed with it at the center, switching to its rule if it names one.
+     */
+    async importPattern(file) {
+        let pattern;
+        try {
+            pattern = await readPatternFile(file);
+        } catch (err) {
+            console.warn(`Could not import ${file.name}: ${err.message}`);
+            return;
+        }
+
+        if (pattern.rule) {
+            try {
+                this.ruleEngine.loadCustom({ name: pattern.name || 'Pattern Rule', rule: pattern.rule });
+                this.presetKey = null;
+                this.simulation.setRules(this.ruleEngine.config);
+            } catch (err) {
+                console.warn(`Ignoring pattern rule "${pattern.rule}": ${err.message}`);
+            }
+        }
+
+        const { size } = patternBounds(pattern.cells);
+        if (this.simulation.backend !== 'unbounded' && size.some(extent => extent > this.gridSize)) {
+            console.warn(`Pattern is ${size.join('x')}, cells outside the ${this.gridSize} grid are dropped`);
+        }
+        this.pattern = pattern.cells;
+        this.setSeeding({ strategy: 'pattern' });
+        this.ui.setSeedStrategy('pattern');
         this.reset();
     }
 
+    /**
+     * Download the live cells of the current generation.
+     */
+    exportPattern(format) {
+        const cells = [];
+        const states = this.simulation.states;
+        for (let i = 0; i < states.length; i++) {
+            if (states[i] === 1) {
+                cells.push(this.simulation.cells[i * 3], this.simulation.cells[i * 3 + 1], this.simulation.cells[i * 3 + 2]);
+            }
+        }
+
+        const pattern = {
+            name: this.ruleEngine.name,
+            rule: this.ruleEngine.getPortableRuleString(),
+            cells
+        };
+
+        const { extension, mimeType } = PATTERN_FORMATS[format];
+        try {
+            this.ui.downloadFile(`pattern${extension}`, encodePattern(pattern, format), mimeType);
+        } catch (err) {
+            console.warn(`Could not export pattern: ${err.message}`);
+        }
+    }
+
     reset() {
-        this.simulation.reset(this.spawnRadius);
+        this.simulation.reset(this.getSeeding());
         this.needsRenderUpdate = true;
         this.updateCameraTarget();
     }
@@ -0,0 +1,91 @@
+/**
+ * Neighborhood definitions for 3D Game of Life
+ * A rule's "neighborhood" decides which surrounding cells count as neighbors:
+ *   "moore"       - 26 cells sharing a face, edge or corner (default)
+ *   "von-neumann" - 6 cells sharing a face
+ *   "face-edge"   - 18 cells sharing a face or edge
+ *   { "type": "moore", "range": 2 }         - extended cube of radius r ((2r+1)^3 - 1 cells)
+ *   { "type": "von-neumann", "range": 2 }   - cells within Manhattan distance r
+ *   { "type": "custom", "offsets": [[1, 0, 0], ...] } - explicit offset list
+ */
+
+export const NEIGHBORHOOD_TYPES = {
+    'moore': 'Moore',
+    'von-neumann': 'Von Neumann',
+    'face-edge': 'Faces + Edges',
+    'custom': 'Custom'
+};
+
+const MAX_RANGE = 3;
+
+/**
+ * Resolve a neighborhood spec into { type, range, offsets }, where offsets is an array of [dx, dy, dz].
+ */
+export function resolveNeighborhood(spec = 'moore') {
+    const options = typeof spec === 'string' ? { type: spec } : (spec || {});
+    const type = options.type || 'moore';
+    const range = options.range === undefined ? 1 : options.range;
+
+    if (type === 'custom') {
+        return { type, range: 0, offsets: resolveCustomOffsets(options.offsets) };
+    }
+
+    if (!NEIGHBORHOOD_TYPES[type]) {
+        throw new Error(`Unknown neighborhood "${type}"`);
+    }
+    if (!Number.isInteger(range) || range < 1 || range > MAX_RANGE) {
+        throw new Error(`Neighborhood range must be an integer from 1 to ${MAX_RANGE}`);
+    }
+    if (type === 'face-edge' && range !== 1) {
+        throw new Error('The face-edge neighborhood only supports range 1');
+    }
+
+    const offsets = [];
+    for (let dx = -range; dx <= range; dx++) {
+        for (let dy = -range; dy <= range; dy++) {
+            for (let dz = -range; dz <= range; dz++) {
+                if (dx === 0 && dy === 0 && dz === 0) continue;
+                const manhattan = Math.abs(dx) + Math.abs(dy) + Math.abs(dz);
+                if (type === 'von-neumann' && manhattan > range) continue;
+                if (type === 'face-edge' && manhattan > 2) continue;
+                offsets.push([dx, dy, dz]);
+            }
+        }
+    }
+
+    return { type, range, offsets };
+}
+
+/**
+ * Short human-readable label, e.g. "Moore r2 (124)".
+ */
+export function describeNeighborhood(neighborhood) {
+    const label = NEIGHBORHOOD_TYPES[neighborhood.type] || neighborhood.type;
+    const range = neighborhood.range > 1 ? ` r${neighborhood.range}` : '';
+    return `${label}${range} (${neighborhood.offsets.length})`;
+}
+
+function resolveCustomOffsets(offsets) {
+    if (!Array.isArray(offsets) || offsets.length === 0) {
+        throw new Error('Custom neighborhood needs a non-empty "offsets" list');
+    }
+
+    const seen = new Set();
+    return offsets.map((offset, i) => {
+        if (!Array.isArray(offset) || offset.length !== 3 || !offset.every(Number.isInteger)) {
+            throw new Error(`offsets[${i}] must be [dx, dy, dz] integers`);
+        }
+        if (offset.some(d => Math.abs(d) > MAX_RANGE)) {
+            throw new Error(`offsets[${i}] reaches further than ${MAX_RANGE} cells`);
+        }
+        if (offset[0] === 0 && offset[1] === 0 && offset[2] === 0) {
+            throw new Error(`offsets[${i}] is the cell itself`);
+        }
+        const key = offset.join(',');
+        if (seen.has(key)) {
+            throw new Error(`offsets[${i}] is listed twice`);
+        }
+        seen.add(key);
+        return offset.slice();
+    });
+}
@@ -0,0 +1,364 @@
+/**
+ * Pattern Files for 3D Game of Life
+ * Reads and writes cell patterns in three formats:
+ *
+ *   rle3d - JSON with one run-length encoded string per z layer (documented in README):
+ *           { "format": "rle3d", "version": 1, "name", "rule", "size": [w, h, d], "layers": [...] }
+ *           Each layer lists rows of increasing y separated by "$" and ends with "!";
+ *           "b" is an empty cell, "o" a live cell, and a count prefix repeats the next tag.
+ *   vox   - MagicaVoxel .vox models (SIZE + XYZI chunks). MagicaVoxel is z-up; cells are y-up.
+ *   xyz   - Plain text, one "x y z" cell per line. "#" starts a comment; "# rule: ..." and
+ *           "# name: ..." header comments are read back.
+ *
+ * A pattern is { name, rule, cells } where cells is a flat x, y, z list of live cells.
+ * Exported patterns are shifted so their bounding box starts at the origin.
+ */
+
+export const PATTERN_FORMATS = {
+    'rle3d': { label: 'RLE-3D (.rle3d.json)', extension: '.rle3d.json', mimeType: 'application/json' },
+    'vox': { label: 'MagicaVoxel (.vox)', extension: '.vox', mimeType: 'application/octet-stream' },
+    'xyz': { label: 'XYZ list (.xyz)', extension: '.xyz', mimeType: 'text/plain' }
+};
+
+const RLE3D_VERSION = 1;
+const VOX_VERSION = 150;
+const VOX_MAX_SIZE = 256;
+
+/**
+ * Pick a format from a file name, falling back to sniffing the content.
+ */
+export function detectFormat(fileName, bytes) {
+    const lower = fileName.toLowerCase();
+    if (lower.endsWith('.vox')) return 'vox';
+    if (lower.endsWith('.xyz') || lower.endsWith('.txt')) return 'xyz';
+    if (lower.endsWith('.json') || lower.endsWith('.rle3d')) return 'rle3d';
+
+    const head = new TextDecoder().decode(bytes.subarray(0, 4));
+    if (head === 'VOX ') return 'vox';
+    return head.trimStart().startsWith('{') ? 'rle3d' : 'xyz';
+}
+
+/**
+ * Read a File (or Blob with a name) into a pattern.
+ */
+export async function readPatternFile(file) {
+    const bytes = new Uint8Array(await file.arrayBuffer());
+    const format = detectFormat(file.name || '', bytes);
+    const pattern = decodePattern(bytes, format);
+    if (!pattern.name && file.name) {
+        pattern.name = file.name.replace(/\.[^.]*(\.json)?$/, '');
+    }
+    return pattern;
+}
+
+/**
+ * Decode raw file bytes in the given format.
+ */
+export function decodePattern(bytes, format) {
+    switch (format) {
+        case 'rle3d':
+            return decodeRLE3D(new TextDecoder().decode(bytes));
+        case 'vox':
+            return decodeVox(bytes);
+        case 'xyz':
+            return decodeXYZ(new TextDecoder().decode(bytes));
+        default:
+            throw new Error(`Unknown pattern format "${format}"`);
+    }
+}
+
+/**
+ * Encode a pattern. Returns a string for text formats and a Uint8Array for vox.
+ */
+export function encodePattern(pattern, format) {
+    switch (format) {
+        case 'rle3d':
+            return encodeRLE3D(pattern);
+        case 'vox':
+            return encodeVox(pattern);
+        case 'xyz':
+            return encodeXYZ(pattern);
+        default:
+            throw new Error(`Unknown pattern format "${format}"`);
+    }
+}
+
+/**
+ * Bounding box of a flat x, y, z list: { min: [x, y, z], size: [w, h, d] }.
+ */
+export function patternBounds(cells) {
+    if (cells.length === 0) {
+        return { min: [0, 0, 0], size: [0, 0, 0] };
+    }
+    const min = [Infinity, Infinity, Infinity];
+    const max = [-Infinity, -Infinity, -Infinity];
+    for (let i = 0; i < cells.length; i += 3) {
+        for (let axis = 0; axis < 3; axis++) {
+            const v = cells[i + axis];
+            if (v < min[axis]) min[axis] = v;
+            if (v > max[axis]) max[axis] = v;
+        }
+    }
+    return { min, size: max.map((v, axis) => v - min[axis] + 1) };
+}
+
+/**
+ * Shift cells so the bounding box starts at the origin.
+ */
+export function normalizeCells(cells) {
+    const { min } = patternBounds(cells);
+    const shifted = new Array(cells.length);
+    for (let i = 0; i < cells.length; i += 3) {
+        shifted[i] = cells[i] - min[0];
+        shifted[i + 1] = cells[i + 1] - min[1];
+        shifted[i + 2] = cells[i + 2] - min[2];
+    }
+    return shifted;
+}
+
+/**
+ * Offset normalized cells so the pattern sits in the middle of a grid of the given size.
+ */
+export function centerCells(cells, gridSize) {
+    const normalized = normalizeCells(cells);
+    const { size } = patternBounds(normalized);
+    const offset = size.map(extent => Math.floor((gridSize - extent) / 2));
+    for (let i = 0; i < normalized.length; i += 3) {
+        normalized[i] += offset[0];
+        normalized[i + 1] += offset[1];
+        normalized[i + 2] += offset[2];
+    }
+    return normalized;
+}
+
+// --- RLE-3D ---
+
+function encodeRLE3D(pattern) {
+    const cells = normalizeCells(pattern.cells);
+    const { size } = patternBounds(cells);
+    const [width, height, depth] = size;
+
+    // Live x positions per (z, y) row
+    const rows = new Map();
+    for (let i = 0; i < cells.length; i += 3) {
+        const key = cells[i + 2] * height + cells[i + 1];
+        if (!rows.has(key)) rows.set(key, []);
+        rows.get(key).push(cells[i]);
+    }
+
+    const layers = [];
+    for (let z = 0; z < depth; z++) {
+        const lines = [];
+        for (let y = 0; y < height; y++) {
+            const xs = rows.get(z * height + y);
+            lines.push(xs ? encodeRow(xs.sort((a, b) => a - b)) : '');
+        }
+        // Trailing empty rows are implied
+        while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+        layers.push(lines.join('$') + '!');
+    }
+
+    const data = { format: 'rle3d', version: RLE3D_VERSION };
+    if (pattern.name) data.name = pattern.name;
+    if (pattern.rule) data.rule = pattern.rule;
+    data.size = [width, height, depth];
+    data.layers = layers;
+    return JSON.stringify(data, null, 2);
+}
+
+function encodeRow(xs) {
+    let row = '';
+    let x = 0;
+    let i = 0;
+    while (i < xs.length) {
+        if (xs[i] > x) {
+            row += runOf(xs[i] - x, 'b');
+        }
+        let run = 1;
+        while (i + run < xs.length && xs[i + run] === xs[i] + run) run++;
+        row += runOf(run, 'o');
+        x = xs[i] + run;
+        i += run;
+    }
+    return row;
+}
+
+function runOf(count, tag) {
+    return count > 1 ? `${count}${tag}` : tag;
+}
+
+function decodeRLE3D(text) {
+    let data;
+    try {
+        data = JSON.parse(text);
+    } catch (err) {
+        throw new Error(`Invalid RLE-3D JSON: ${err.message}`);
+    }
+    if (data.format !== 'rle3d' || !Array.isArray(data.layers)) {
+        throw new Error('Not an RLE-3D pattern (expected "format": "rle3d" and a "layers" array)');
+    }
+    if (data.version > RLE3D_VERSION) {
+        console.warn(`RLE-3D version ${data.version} is newer than supported (${RLE3D_VERSION})`);
+    }
+
+    const cells = [];
+    data.layers.forEach((layer, z) => decodeLayer(String(layer), z, cells));
+    return { name: data.name || '', rule: data.rule || null, cells };
+}
+
+function decodeLayer(layer, z, cells) {
+    let x = 0;
+    let y = 0;
+    let count = '';
+
+    for (const ch of layer.replace(/\s+/g, '')) {
+        if (ch >= '0' && ch <= '9') {
+            count += ch;
+            continue;
+        }
+        const run = count ? parseInt(count, 10) : 1;
+        count = '';
+
+        if (ch === 'b') {
+            x += run;
+        } else if (ch === 'o') {
+            for (let i = 0; i < run; i++) cells.push(x + i, y, z);
+            x += run;
+        } else if (ch === '$') {
+            y += run;
+            x = 0;
+        } else if (ch === '!') {
+            return;
+        } else {
+            throw new Error(`Unexpected "${ch}" in RLE-3D layer ${z}`);
+        }
+    }
+}
+
+// --- MagicaVoxel ---
+
+function encodeVox(pattern) {
+    const cells = normalizeCells(pattern.cells);
+    const { size } = patternBounds(cells);
+    if (size.some(extent => extent > VOX_MAX_SIZE)) {
+        throw new Error(`.vox models are limited to ${VOX_MAX_SIZE} cells per axis`);
+    }
+    const count = cells.length / 3;
+
+    // Cell (x, y, z) is y-up; MagicaVoxel stores (x, z, y) z-up
+    const sizeChunk = 12 + 12;
+    const xyziChunk = 12 + 4 + count * 4;
+    const buffer = new ArrayBuffer(8 + 12 + sizeChunk + xyziChunk);
+    const view = new DataView(buffer);
+    let offset = 0;
+
+    const writeId = (id) => {
+        for (let i = 0; i < 4; i++) view.setUint8(offset++, id.charCodeAt(i));
+    };
+    const writeInt = (value) => {
+        view.setInt32(offset, value, true);
+        offset += 4;
+    };
+
+    writeId('VOX ');
+    writeInt(VOX_VERSION);
+    writeId('MAIN');
+    writeInt(0);
+    writeInt(sizeChunk + xyziChunk);
+
+    writeId('SIZE');
+    writeInt(12);
+    writeInt(0);
+    writeInt(Math.max(1, size[0]));
+    writeInt(Math.max(1, size[2]));
+    writeInt(Math.max(1, size[1]));
+
+    writeId('XYZI');
+    writeInt(4 + count * 4);
+    writeInt(0);
+    writeInt(count);
+    for (let i = 0; i < cells.length; i += 3) {
+        view.setUint8(offset++, cells[i]);
+        view.setUint8(offset++, cells[i + 2]);
+        view.setUint8(offset++, cells[i + 1]);
+        view.setUint8(offset++, 1); // palette index
+    }
+
+    return new Uint8Array(buffer);
+}
+
+function decodeVox(bytes) {
+    const view = new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength);
+    const readId = (at) => String.fromCharCode(...bytes.subarray(at, at + 4));
+
+    if (bytes.length < 8 || readId(0) !== 'VOX ') {
+        throw new Error('Not a MagicaVoxel file (missing "VOX " header)');
+    }
+
+    // Walk every chunk, descending into MAIN; only the first model is imported
+    const cells = [];
+    let models = 0;
+    let offset = 8;
+    while (offset + 12 <= bytes.length) {
+        const id = readId(offset);
+        const contentSize = view.getInt32(offset + 4, true);
+        const content = offset + 12;
+
+        if (id === 'XYZI') {
+            models++;
+            if (models === 1) {
+                const count = view.getInt32(content, true);
+                for (let i = 0; i < count; i++) {
+                    const at = content + 4 + i * 4;
+                    cells.push(bytes[at], bytes[at + 2], bytes[at + 1]);
+                }
+            }
+        }
+
+        // MAIN's children follow its (empty) content; every other chunk is skipped whole
+        offset = id === 'MAIN' ? content + contentSize : content + contentSize + view.getInt32(offset + 8, true);
+    }
+
+    if (models === 0) {
+        throw new Error('MagicaVoxel file has no voxel data');
+    }
+    if (models > 1) {
+        console.warn(`MagicaVoxel file has ${models} models, importing only the first`);
+    }
+    return { name: '', rule: null, cells };
+}
+
+// --- XYZ text ---
+
+function encodeXYZ(pattern) {
+    const cells = normalizeCells(pattern.cells);
+    const lines = [];
+    if (pattern.name) lines.push(`# name: ${pattern.name}`);
+    if (pattern.rule) lines.push(`# rule: ${pattern.rule}`);
+    for (let i = 0; i < cells.length; i += 3) {
+        lines.push(`${cells[i]} ${cells[i + 1]} ${cells[i + 2]}`);
+    }
+    return lines.join('\n') + '\n';
+}
+
+function decodeXYZ(text) {
+    const pattern = { name: '', rule: null, cells: [] };
+
+    text.split(/\r?\n/).forEach((line, index) => {
+        const trimmed = line.trim();
+        if (trimmed.startsWith('#')) {
+            const header = /^#\s*(name|rule)\s*:\s*(.+)$/i.exec(trimmed);
+            if (header) pattern[header[1].toLowerCase()] = header[2].trim();
+            return;
+        }
+        if (trimmed === '') return;
+
+        const values = trimmed.split(/[\s,;]+/).map(Number);
+        if (values.length < 3 || values.slice(0, 3).some(v => !Number.isInteger(v))) {
+            throw new Error(`Line ${index + 1}: expected integer "x y z", got "${trimmed}"`);
+        }
+        pattern.cells.push(values[0], values[1], values[2]);
+    });
+
+    return pattern;
+}
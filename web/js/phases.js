@@ -0,0 +1,137 @@
+/**
+ * Adaptive Phases for 3D Game of Life
+ * An adaptive rule has a survive/birth table per named phase ("states" in the rule JSON) and
+ * switches between phases as the population changes. Before every generation the transitions are
+ * checked in order; the first one that applies to the current phase and whose condition holds
+ * names the next phase (which may be the current one). If none holds, the phase stays.
+ *
+ *   "thresholds": { "upper": "0.5%", "lower": 40 },
+ *   "hysteresis": 0.1,
+ *   "initial": "growth",
+ *   "transitions": [
+ *     { "from": ["growth", "stable"], "to": "decay", "above": "upper" },
+ *     { "from": "decay", "to": "stable", "below": "upper" },
+ *     { "to": "growth", "below": "lower" }
+ *   ]
+ *
+ * A transition without "from" (or with "*") applies from any phase. "above" and "below" compare
+ * the live population against a named threshold or a threshold value; with both the population
+ * must lie between them, with neither the transition always fires. Threshold values are cell
+ * counts (1 or more), fractions of the grid volume (below 1) or percentages of it ("0.5%").
+ * Hysteresis widens the band around every threshold by that fraction: a transition that leaves
+ * the current phase needs the population clearly past its threshold, while one that keeps the
+ * current phase still holds slightly short of it. So a phase entered above a threshold is only
+ * left again once the population is clearly below it.
+ *
+ * Rules without transitions use the original growth/decay/stable phases (DEFAULT_PHASES), whose
+ * "upper" and "lower" thresholds may still be overridden.
+ */
+
+export const DEFAULT_PHASE_NAMES = ['growth', 'decay', 'stable'];
+
+// Decay above 1/300 of the grid volume, growth below 1/2000 of it, stable in between
+export const DEFAULT_PHASES = {
+    initial: 'growth',
+    thresholds: { upper: 1 / 300, lower: 1 / 2000 },
+    transitions: [
+        { to: 'decay', above: 'upper' },
+        { to: 'growth', below: 'lower' },
+        { from: ['growth', 'decay'], to: 'stable' }
+    ]
+};
+
+export const MAX_HYSTERESIS = 0.9;
+
+const PERCENT = /^(\d+(\.\d*)?|\.\d+)%$/;
+
+/**
+ * Whether a value is a threshold value: a count or fraction (number >= 0), or a percentage
+ * string from "0%" to "100%".
+ */
+export function isThresholdValue(value) {
+    if (typeof value === 'number') return Number.isFinite(value) && value >= 0;
+    return typeof value === 'string' && PERCENT.test(value) && parseFloat(value) <= 100;
+}
+
+/**
+ * Cell count of a threshold value on a grid of the given volume.
+ */
+export function resolveThreshold(value, volume) {
+    // The epsilon keeps exact fractions such as 1/300 from rounding below a whole count
+    if (typeof value === 'string') return Math.floor(volume * parseFloat(value) / 100 + 1e-9);
+    return value < 1 ? Math.floor(volume * value + 1e-9) : value;
+}
+
+/**
+ * Display label of a phase name: "slow-bloom" -> "Slow bloom".
+ */
+export function formatPhaseName(name) {
+    const words = name.replace(/[-_]+/g, ' ').trim();
+    return words.charAt(0).toUpperCase() + words.slice(1);
+}
+
+/**
+ * The phase program of a validated adaptive rule config.
+ */
+export class PhaseMachine {
+    constructor(config) {
+        const custom = config.transitions !== undefined;
+        this.names = Object.keys(config.states);
+        this.thresholds = custom
+            ? { ...config.thresholds }
+            : { ...DEFAULT_PHASES.thresholds, ...config.thresholds };
+        this.hysteresis = config.hysteresis || 0;
+        this.initial = config.initial ||
+            (custom ? this.names[0] : DEFAULT_PHASES.initial);
+
+        const transitions = custom ? config.transitions : DEFAULT_PHASES.transitions;
+        this.transitions = transitions.map(({ from, to, above, below }) => ({
+            from: from === undefined || from === '*' ? null : new Set([].concat(from)),
+            to,
+            above: above === undefined ? null : above,
+            below: below === undefined ? null : below
+        }));
+    }
+
+    has(phase) {
+        return this.names.includes(phase);
+    }
+
+    /**
+     * Cell count of a named threshold or threshold value.
+     */
+    threshold(ref, volume) {
+        const value = typeof ref === 'string' && Object.hasOwn(this.thresholds, ref) ? this.thresholds[ref] : ref;
+        return resolveThreshold(value, volume);
+    }
+
+    /**
+     * Every named threshold as a cell count, e.g. for drawing them on a chart.
+     */
+    resolveThresholds(volume) {
+        const counts = {};
+        for (const name of Object.keys(this.thresholds)) {
+            counts[name] = this.threshold(name, volume);
+        }
+        return counts;
+    }
+
+    /**
+     * Phase for the next generation, given the current phase and live population.
+     * An unknown current phase (e.g. after the rule changed) starts from the initial phase.
+     */
+    next(phase, population, volume) {
+        const current = this.has(phase) ? phase : this.initial;
+        for (const transition of this.transitions) {
+            if (transition.from && !transition.from.has(current)) continue;
+            // Leaving takes a clear crossing; staying holds until the population is clearly back
+            const margin = transition.to === current ? -this.hysteresis : this.hysteresis;
+            if (transition.above !== null &&
+                !(population > this.threshold(transition.above, volume) * (1 + margin))) continue;
+            if (transition.below !== null &&
+                !(population < this.threshold(transition.below, volume) * (1 - margin))) continue;
+            return transition.to;
+        }
+        return current;
+    }
+}
@@ -0,0 +1,43 @@
+/**
+ * Seedable Random Numbers for 3D Game of Life
+ * A small mulberry32 generator: the same seed always produces the same sequence,
+ * so seeded fills (and anything else drawing from SimulationGrid.random) can be replayed.
+ */
+
+/**
+ * Create a generator returning floats in [0, 1) from a 32-bit integer seed.
+ */
+export function createRandom(seed) {
+    let state = seed >>> 0;
+    return () => {
+        state = (state + 0x6D2B79F5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
+
+/**
+ * A fresh seed for runs that were not given one.
+ */
+export function randomSeed() {
+    return Math.floor(Math.random() * 4294967296);
+}
+
+/**
+ * Turn user input into a 32-bit seed: integers are used as-is, any other text is hashed (FNV-1a),
+ * so "my run" works as well as "12345". Returns null for blank input.
+ */
+export function parseSeed(text) {
+    const value = String(text).trim();
+    if (value === '') return null;
+    if (/^\d+$/.test(value)) {
+        return Number(value) >>> 0;
+    }
+    let hash = 0x811C9DC5;
+    for (let i = 0; i < value.length; i++) {
+        hash = Math.imul(hash ^ value.charCodeAt(i), 0x01000193);
+    }
+    return hash >>> 0;
+}
@@ -1,8 +1,29 @@
 /**
  * Babylon.js Renderer for 3D Game of Life
  * Uses Thin Instances for maximum performance - single draw call for all cubes.
+ * The instance buffers persist between updates: each cell keeps its slot while it lives, so a
+ * generation only writes the slots of the cells its snapshot lists as added, removed or changed
+ * (see SimulationHost). Between generations, newborn cubes grow in and dead ones shrink away
+ * (see updateTransition).
+ * The surface render mode instead draws one merged mesh of the exterior faces (see surfaceMesh.js).
+ * Cells are colored by the selected color mode and palette (see colorModes.js); near/far alpha
+ * is applied in the shader (see distanceAlpha.js).
  */
 
+import {
+    COLOR_MODES, PALETTES, DEFAULT_COLOR_MODE, DEFAULT_PALETTE, createColorizer, colorsFollowPosition
+} from './colorModes.js';
+import { buildSurfaceMesh } from './surfaceMesh.js';
+import { DistanceAlphaPlugin } from './distanceAlpha.js';
+import { packKey } from './sparseSimulation.js';
+
+const INITIAL_CAPACITY = 1024;
+
+export const RENDER_MODES = {
+    'cubes': 'Cubes',
+    'surface': 'Surface'
+};
+
 export class Renderer {
     constructor(canvas) {
         this.canvas = canvas;
@@ -15,6 +36,30 @@ export class Renderer {
         this.maxInstances = 50000;
         this.activeCount = 0;
         this.gridSize = 40;
+        this.renderMode = 'cubes';
+
+        // Instance slots: slot i holds the cell slotKeys[i] (see packKey), drawn from
+        // matrices[i * 16] and colors[i * 4]. instanceKey holds the settings the slots were
+        // written with (null: rewrite them all), instancesCut whether cells were left out.
+        this.capacity = 0;
+        this.matrices = null;
+        this.colors = null;
+        this.slots = new Map();
+        this.slotKeys = [];
+        this.instanceScale = 0;
+        this.instanceKey = null;
+        this.instancesCut = false;
+        // Keys of the cells growing in and shrinking away since the last generation, and when
+        // that started (null: on the next frame)
+        this.entering = new Set();
+        this.leaving = new Set();
+        this.transitionStart = null;
+        this.scratchCell = { x: 0, y: 0, z: 0, state: 0, age: 0, neighbors: null };
+
+        // Surface mode geometry, rebuilt only when the snapshot or its colors change
+        this.surface = null;
+        this.surfaceKey = null;
+        this.surfaceGeometry = null;
 
         // Visibility settings
         this.cellScale = 0.9;      // 0.1 to 1.0
@@ -23,11 +68,13 @@ export class Renderer {
         this.sliceEnabled = false;
         this.sliceLayer = 0;       // Current Z layer to show
         this.sliceThickness = 1;   // How many layers to show
-        this.cameraPosition = { x: 0, y: 0, z: 0 };
+        this.colorMode = DEFAULT_COLOR_MODE;
+        this.palette = DEFAULT_PALETTE;
 
         this.initScene();
         this.initLighting();
         this.initCube();
+        this.initSurface();
 
         window.addEventListener('resize', () => this.engine.resize());
     }
@@ -87,119 +134,345 @@ export class Renderer {
         material.specularPower = 32;
         material.backFaceCulling = true;
 
-        // Enable transparency with depth pre-pass to fix sorting issues
+        // Opaque until near/far alpha is used (see updateTransparency)
         material.alpha = 1.0;
-        material.transparencyMode = BABYLON.Material.MATERIAL_ALPHABLEND;
-        material.needDepthPrePass = true;
+        material.transparencyMode = BABYLON.Material.MATERIAL_OPAQUE;
+        this.distanceAlpha = new DistanceAlphaPlugin(material);
         this.cube.material = material;
 
         // Register color as a per-instance attribute (RGBA)
         this.cube.thinInstanceRegisterAttribute('color', 4);
+        this.growInstanceBuffers(INITIAL_CAPACITY);
 
         // Hide initially - no instances
         this.cube.isVisible = false;
     }
 
+    initSurface() {
+        // Merged mesh for the surface mode, sharing the cube material; colors come per vertex
+        this.surface = new BABYLON.Mesh('surface', this.scene);
+        this.surface.material = this.cube.material;
+        this.surface.isVisible = false;
+    }
+
     /**
-     * Update rendered cells. Rebuilds instance buffers each frame.
+     * Update rendered cells from the latest snapshot of source, a SimulationClient: its cell
+     * arrays and bounds, the changes since the last update (see takeChanges), and snapshotId.
+     * stateCount > 2 means a Generations rule; dying cells (state 2+) are tinted by decay stage.
+     * colorContext adds what the color mode needs beyond that: { maxNeighbors, phase, phases }.
      */
-    updateCells(cells, gridSize) {
+    updateCells(source, gridSize, stateCount = 2, colorContext = {}) {
         this.gridSize = gridSize;
+        const colorize = createColorizer(this.colorMode, this.palette, { ...colorContext, gridSize, stateCount });
+        const changes = source.takeChanges();
+        this.updateBounds(source.bounds);
 
-        // Filter cells if slicing is enabled
-        let visibleCells = cells;
-        if (this.sliceEnabled) {
-            const minZ = this.sliceLayer;
-            const maxZ = this.sliceLayer + this.sliceThickness;
-            visibleCells = cells.filter(c => c.z >= minZ && c.z < maxZ);
+        if (this.renderMode === 'surface') {
+            this.cube.isVisible = false;
+            // The slots miss these changes, so going back to cubes rewrites them
+            this.instanceKey = null;
+            this.entering.clear();
+            this.leaving.clear();
+            this.updateSurface(source, colorize, stateCount);
+            return;
         }
+        this.surface.isVisible = false;
+        this.updateInstances(source, changes, colorize, stateCount);
+    }
 
-        const count = Math.min(visibleCells.length, this.maxInstances);
+    /**
+     * Bring the instance slots up to date. Normally only the snapshots' changes are applied:
+     * removed cells start shrinking away, added cells take a slot and start growing in, and
+     * cells that changed state are recolored; color modes whose colors don't follow position
+     * then recolor every cell. All slots are rewritten from the snapshot instead, without a
+     * transition, when a setting changed, changes were dropped (null) or the instance limit
+     * left cells out.
+     */
+    updateInstances(source, changes, colorize, stateCount) {
+        // Cell size changes only touch the scale of every matrix
+        if (this.cellScale !== this.instanceScale) {
+            this.instanceScale = this.cellScale;
+            for (let slot = 0; slot < this.slotKeys.length; slot++) {
+                this.writeScale(slot);
+            }
+        }
+
+        const key = [
+            this.colorMode, this.palette, stateCount, this.gridSize,
+            this.sliceEnabled, this.sliceLayer, this.sliceThickness
+        ].join(',');
+        if (changes && key === this.instanceKey && !this.instancesCut) {
+            if (changes.length > 0) {
+                // A new generation: the last one's transition ends where it was headed
+                this.finishTransition();
+                for (const change of changes) {
+                    this.applyChanges(change, colorize);
+                }
+                if (!colorsFollowPosition(this.colorMode)) this.recolorInstances(source, colorize);
+                this.transitionStart = null;
+            }
+        } else {
+            this.entering.clear();
+            this.leaving.clear();
+            this.slots.clear();
+            this.slotKeys.length = 0;
+            this.instancesCut = false;
+            for (let i = 0; i < source.states.length && !this.instancesCut; i++) {
+                const cell = this.readCell(source, i);
+                if (this.inSlice(cell.z)) this.addSlot(cell, colorize);
+            }
+            this.instanceKey = key;
+        }
+        this.updateInstanceCount();
+    }
+
+    updateInstanceCount() {
+        // The count goes first: updating the matrices refreshes the bounds of that many instances
+        const count = this.slotKeys.length;
         this.activeCount = count;
+        this.cube.thinInstanceCount = count;
+        this.cube.thinInstanceBufferUpdated('matrix');
+        this.cube.thinInstanceBufferUpdated('color');
+        this.cube.isVisible = count > 0;
+    }
 
-        if (count === 0) {
-            this.cube.isVisible = false;
-            this.cube.thinInstanceCount = 0;
+    /**
+     * Apply one snapshot's changes to the slots (see SimulationClient.takeChanges). Several
+     * snapshots can be applied before a frame, so a cell may come back while it is leaving, or
+     * go again while it is still entering.
+     */
+    applyChanges({ cells, states, ages, neighbors, added, changed, removed }, colorize) {
+        const snapshot = { cells, states, ages, neighbors };
+        for (let i = 0; i < removed.length; i += 3) {
+            const key = packKey(removed[i], removed[i + 1], removed[i + 2]);
+            const slot = this.slots.get(key);
+            if (slot === undefined) continue;
+            if (this.entering.delete(key)) {
+                this.removeSlot(slot);
+            } else {
+                this.leaving.add(key);
+            }
+        }
+        for (const index of added) {
+            const cell = this.readCell(snapshot, index);
+            const key = packKey(cell.x, cell.y, cell.z);
+            if (this.leaving.delete(key)) {
+                this.writeScale(this.slots.get(key));
+                this.writeColor(this.slots.get(key), cell, colorize);
+            } else if (this.inSlice(cell.z)) {
+                const slot = this.addSlot(cell, colorize);
+                if (slot === undefined) continue;
+                this.writeScale(slot, 0);
+                this.entering.add(key);
+            }
+        }
+        for (const index of changed) {
+            const cell = this.readCell(snapshot, index);
+            const slot = this.slots.get(packKey(cell.x, cell.y, cell.z));
+            if (slot !== undefined) this.writeColor(slot, cell, colorize);
+        }
+    }
+
+    /**
+     * Color every slot again from the latest snapshot; cells that are leaving keep their color.
+     */
+    recolorInstances(source, colorize) {
+        for (let i = 0; i < source.states.length; i++) {
+            const cell = this.readCell(source, i);
+            const slot = this.slots.get(packKey(cell.x, cell.y, cell.z));
+            if (slot !== undefined) this.writeColor(slot, cell, colorize);
+        }
+    }
+
+    /**
+     * Grow the cells added by the last generation and shrink the removed ones, over duration
+     * ms from the first frame after it arrived, so the view moves smoothly while the next step
+     * is computed. Called every frame; only the slots in transition are written.
+     */
+    updateTransition(now, duration) {
+        if (this.entering.size === 0 && this.leaving.size === 0) return;
+        if (this.transitionStart === null) this.transitionStart = now;
+        const progress = duration > 0 ? (now - this.transitionStart) / duration : 1;
+        if (progress >= 1) {
+            this.finishTransition();
+            this.updateInstanceCount();
             return;
         }
+        for (const key of this.entering) {
+            this.writeScale(this.slots.get(key), this.instanceScale * progress);
+        }
+        for (const key of this.leaving) {
+            this.writeScale(this.slots.get(key), this.instanceScale * (1 - progress));
+        }
+        this.cube.thinInstanceBufferUpdated('matrix');
+    }
 
-        // Create fresh buffers each time to ensure clean state
-        const matrices = new Float32Array(count * 16);
-        const colors = new Float32Array(count * 4);
-
-        const scale = this.cellScale;
-        const camX = this.cameraPosition.x;
-        const camY = this.cameraPosition.y;
-        const camZ = this.cameraPosition.z;
-
-        // Calculate min/max distances for normalization
-        let minDist = Infinity;
-        let maxDist = 0;
-        for (let i = 0; i < count; i++) {
-            const cell = visibleCells[i];
-            const dx = cell.x - camX;
-            const dy = cell.y - camY;
-            const dz = cell.z - camZ;
-            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            if (dist < minDist) minDist = dist;
-            if (dist > maxDist) maxDist = dist;
+    /**
+     * End the transition at once: leaving cells free their slot and entering ones are full size.
+     */
+    finishTransition() {
+        for (const key of this.leaving) {
+            this.removeSlot(this.slots.get(key));
         }
-        const distRange = maxDist - minDist || 1;
-
-        // Fill buffers
-        for (let i = 0; i < count; i++) {
-            const cell = visibleCells[i];
-            const matOffset = i * 16;
-            const colOffset = i * 4;
-
-            // Scaled matrix with translation (column-major order)
-            matrices[matOffset + 0] = scale;
-            matrices[matOffset + 1] = 0;
-            matrices[matOffset + 2] = 0;
-            matrices[matOffset + 3] = 0;
-            matrices[matOffset + 4] = 0;
-            matrices[matOffset + 5] = scale;
-            matrices[matOffset + 6] = 0;
-            matrices[matOffset + 7] = 0;
-            matrices[matOffset + 8] = 0;
-            matrices[matOffset + 9] = 0;
-            matrices[matOffset + 10] = scale;
-            matrices[matOffset + 11] = 0;
-            matrices[matOffset + 12] = cell.x;
-            matrices[matOffset + 13] = cell.y;
-            matrices[matOffset + 14] = cell.z;
-            matrices[matOffset + 15] = 1;
-
-            // Calculate distance-based alpha
-            const dx = cell.x - camX;
-            const dy = cell.y - camY;
-            const dz = cell.z - camZ;
-            const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-            const t = (dist - minDist) / distRange; // 0 = near, 1 = far
-            const alpha = this.nearAlpha + (this.farAlpha - this.nearAlpha) * t;
-
-            // Color based on position with distance-based alpha
-            colors[colOffset + 0] = 0.25 + 0.75 * (cell.x / gridSize);
-            colors[colOffset + 1] = 0.25 + 0.75 * (cell.y / gridSize);
-            colors[colOffset + 2] = 0.25 + 0.75 * (cell.z / gridSize);
-            colors[colOffset + 3] = alpha;
+        for (const key of this.entering) {
+            this.writeScale(this.slots.get(key));
         }
+        this.leaving.clear();
+        this.entering.clear();
+    }
 
-        // Set buffers - passing true to mark as static (will be replaced next frame anyway)
-        this.cube.thinInstanceSetBuffer('matrix', matrices, 16, true);
-        this.cube.thinInstanceSetBuffer('color', colors, 4, true);
+    /**
+     * Cell i of a snapshot's arrays, in a scratch object that is overwritten by the next call.
+     */
+    readCell({ cells, states, ages, neighbors }, i) {
+        const cell = this.scratchCell;
+        cell.x = cells[i * 3];
+        cell.y = cells[i * 3 + 1];
+        cell.z = cells[i * 3 + 2];
+        cell.state = states[i];
+        cell.age = ages[i];
+        cell.neighbors = neighbors ? neighbors[i] : null;
+        return cell;
+    }
 
-        // Update material transparency mode based on whether any transparency is used
-        const needsTransparency = this.nearAlpha < 1.0 || this.farAlpha < 1.0;
-        if (needsTransparency) {
-            this.cube.material.transparencyMode = BABYLON.Material.MATERIAL_ALPHABLEND;
-            this.cube.material.needDepthPrePass = true;
-        } else {
-            this.cube.material.transparencyMode = BABYLON.Material.MATERIAL_OPAQUE;
-            this.cube.material.needDepthPrePass = false;
+    inSlice(z) {
+        return !this.sliceEnabled || (z >= this.sliceLayer && z < this.sliceLayer + this.sliceThickness);
+    }
+
+    /**
+     * Reallocate the instance buffers for more slots, keeping the slots in use.
+     */
+    growInstanceBuffers(capacity) {
+        capacity = Math.min(capacity, this.maxInstances);
+        const matrices = new Float32Array(capacity * 16);
+        const colors = new Float32Array(capacity * 4);
+        if (this.matrices) {
+            matrices.set(this.matrices);
+            colors.set(this.colors);
+        }
+        this.capacity = capacity;
+        this.matrices = matrices;
+        this.colors = colors;
+
+        // Not static: the buffers are updated in place
+        this.cube.thinInstanceSetBuffer('matrix', matrices, 16, false);
+        this.cube.thinInstanceSetBuffer('color', colors, 4, false);
+        this.cube.thinInstanceCount = this.slotKeys.length;
+    }
+
+    /**
+     * Give a cell the next free slot and return it; beyond the instance limit the cell is
+     * left out and the slot is undefined.
+     */
+    addSlot(cell, colorize) {
+        const slot = this.slotKeys.length;
+        if (slot >= this.maxInstances) {
+            this.instancesCut = true;
+            return undefined;
         }
+        if (slot >= this.capacity) this.growInstanceBuffers(this.capacity * 2);
+        const key = packKey(cell.x, cell.y, cell.z);
+        this.slots.set(key, slot);
+        this.slotKeys.push(key);
+        this.writeMatrix(slot, cell);
+        this.writeColor(slot, cell, colorize);
+        return slot;
+    }
+
+    writeMatrix(slot, cell) {
+        // Scaled matrix with translation (column-major order)
+        const m = this.matrices;
+        const offset = slot * 16;
+        m.fill(0, offset, offset + 16);
+        m[offset + 12] = cell.x;
+        m[offset + 13] = cell.y;
+        m[offset + 14] = cell.z;
+        m[offset + 15] = 1;
+        this.writeScale(slot);
+    }
+
+    writeScale(slot, scale = this.instanceScale) {
+        const offset = slot * 16;
+        this.matrices[offset] = scale;
+        this.matrices[offset + 5] = scale;
+        this.matrices[offset + 10] = scale;
+    }
 
-        this.cube.isVisible = true;
+    writeColor(slot, cell, colorize) {
+        colorize(cell, this.colors, slot * 4);
+        this.colors[slot * 4 + 3] = 1.0;
+    }
+
+    removeSlot(slot) {
+        const last = this.slotKeys.length - 1;
+        this.slots.delete(this.slotKeys[slot]);
+        if (slot !== last) {
+            const key = this.slotKeys[last];
+            this.slotKeys[slot] = key;
+            this.slots.set(key, slot);
+            this.matrices.copyWithin(slot * 16, last * 16, last * 16 + 16);
+            this.colors.copyWithin(slot * 4, last * 4, last * 4 + 4);
+        }
+        this.slotKeys.pop();
+    }
+
+    /**
+     * Bounding sphere of the cells on screen, across which near/far alpha fades. bounds is the
+     * snapshot's [minX, minY, minZ, maxX, maxY, maxZ], or null without cells; a slice only
+     * narrows the z range, which is close enough for a fade.
+     */
+    updateBounds(bounds) {
+        if (!bounds) return;
+        let [minX, minY, minZ, maxX, maxY, maxZ] = bounds;
+        if (this.sliceEnabled) {
+            minZ = Math.max(minZ, this.sliceLayer);
+            maxZ = Math.min(maxZ, this.sliceLayer + this.sliceThickness - 1);
+            if (minZ > maxZ) return;
+        }
+        this.distanceAlpha.setBounds(minX, minY, minZ, maxX, maxY, maxZ);
+    }
+
+    /**
+     * Surface mode: merge the cells into one mesh, rebuilt only when the snapshot or the color
+     * and slice settings change. A merged mesh has no instance buffers to fill, so it draws
+     * every cell regardless of maxInstances.
+     */
+    updateSurface(source, colorize, stateCount) {
+        const key = [
+            source.snapshotId, this.colorMode, this.palette, stateCount,
+            this.sliceEnabled, this.sliceLayer, this.sliceThickness
+        ].join(',');
+        if (key !== this.surfaceKey) {
+            this.surfaceKey = key;
+            const cells = source.getVisibleCells().filter(cell => this.inSlice(cell.z));
+            this.activeCount = cells.length;
+            this.surfaceGeometry = buildSurfaceMesh(cells, colorize);
+            if (this.surfaceGeometry.quadCount > 0) {
+                const vertexData = new BABYLON.VertexData();
+                vertexData.positions = this.surfaceGeometry.positions;
+                vertexData.normals = this.surfaceGeometry.normals;
+                vertexData.colors = this.surfaceGeometry.colors;
+                vertexData.indices = this.surfaceGeometry.indices;
+                vertexData.applyToMesh(this.surface, true);
+            }
+        }
+        this.surface.isVisible = this.surfaceGeometry.quadCount > 0;
+    }
+
+    /**
+     * Switch the shared material between opaque and alpha-blended, depending on whether any
+     * transparency is used, and pass the alpha range to the shader.
+     */
+    updateTransparency() {
+        const material = this.cube.material;
+        this.distanceAlpha.setAlpha(this.nearAlpha, this.farAlpha);
+        if (this.distanceAlpha.isEnabled) {
+            material.transparencyMode = BABYLON.Material.MATERIAL_ALPHABLEND;
+            material.needDepthPrePass = true;
+        } else {
+            material.transparencyMode = BABYLON.Material.MATERIAL_OPAQUE;
+            material.needDepthPrePass = false;
+        }
     }
 
     setCamera(camera) {
@@ -225,18 +498,56 @@ export class Renderer {
 
     setNearAlpha(alpha) {
         this.nearAlpha = Math.max(0.0, Math.min(1.0, alpha));
+        this.updateTransparency();
     }
 
     setFarAlpha(alpha) {
         this.farAlpha = Math.max(0.0, Math.min(1.0, alpha));
+        this.updateTransparency();
     }
 
-    updateCameraPosition() {
-        if (this.camera) {
-            this.cameraPosition.x = this.camera.position.x;
-            this.cameraPosition.y = this.camera.position.y;
-            this.cameraPosition.z = this.camera.position.z;
-        }
+    setRenderMode(mode) {
+        this.renderMode = RENDER_MODES[mode] ? mode : 'cubes';
+    }
+
+    setColorMode(mode) {
+        this.colorMode = COLOR_MODES[mode] ? mode : DEFAULT_COLOR_MODE;
+    }
+
+    setPalette(name) {
+        this.palette = PALETTES[name] ? name : DEFAULT_PALETTE;
+    }
+
+    /**
+     * Current view settings, in the shape setViewSettings accepts.
+     */
+    getViewSettings() {
+        return {
+            renderMode: this.renderMode,
+            cellScale: this.cellScale,
+            nearAlpha: this.nearAlpha,
+            farAlpha: this.farAlpha,
+            sliceEnabled: this.sliceEnabled,
+            sliceLayer: this.sliceLayer,
+            sliceThickness: this.sliceThickness,
+            colorMode: this.colorMode,
+            palette: this.palette
+        };
+    }
+
+    /**
+     * Apply any subset of the view settings.
+     */
+    setViewSettings(view) {
+        if (view.renderMode !== undefined) this.setRenderMode(view.renderMode);
+        if (view.cellScale !== undefined) this.setCellScale(view.cellScale);
+        if (view.nearAlpha !== undefined) this.setNearAlpha(view.nearAlpha);
+        if (view.farAlpha !== undefined) this.setFarAlpha(view.farAlpha);
+        if (view.sliceEnabled !== undefined) this.setSliceEnabled(view.sliceEnabled);
+        if (view.sliceLayer !== undefined) this.setSliceLayer(view.sliceLayer);
+        if (view.sliceThickness !== undefined) this.setSliceThickness(view.sliceThickness);
+        if (view.colorMode !== undefined) this.setColorMode(view.colorMode);
+        if (view.palette !== undefined) this.setPalette(view.palette);
     }
 
     setSliceEnabled(enabled) {
@@ -253,6 +564,7 @@ export class Renderer {
 
     dispose() {
         this.cube.dispose();
+        this.surface.dispose();
         this.engine.dispose();
     }
 }
@@ -0,0 +1,64 @@
+/**
+ * Rule Classifier for 3D Game of Life
+ * Sorts a finished run into a broad behavior class from its population trajectory and the
+ * cycle detector's verdict (see cycleDetector.js):
+ *   dies       - every cell is gone
+ *   explodes   - the population fills a large part of the grid
+ *   stable     - settles into a still life
+ *   oscillates - repeats: an oscillator, or a population that cycles exactly (gliders, etc.)
+ *   chaotic    - still changing without repeating at the end of the run
+ */
+
+export const RULE_CLASSES = {
+    'dies': { label: 'Dies', color: '#3a3f52' },
+    'explodes': { label: 'Explodes', color: '#ff7a6a' },
+    'stable': { label: 'Stable', color: '#6a8cff' },
+    'oscillates': { label: 'Oscillates', color: '#5ed68a' },
+    'chaotic': { label: 'Chaotic', color: '#ffc46a' }
+};
+
+// Population above this fraction of the grid volume counts as an explosion
+export const EXPLODE_FRACTION = 0.2;
+
+// Longest population period looked for, and how many repeats it must hold for
+const MAX_POPULATION_PERIOD = 12;
+const PERIOD_REPEATS = 2;
+
+/**
+ * Classify a run.
+ * @param {Object} run
+ * @param {number[]} run.populations - Population of each generation, first to last
+ * @param {Object} run.cycle - Final cycle detector status
+ * @param {number} run.volume - Number of cells in the grid
+ * @returns {string} A RULE_CLASSES key
+ */
+export function classifyRun({ populations, cycle, volume }) {
+    const final = populations.length > 0 ? populations[populations.length - 1] : 0;
+
+    if (cycle.state === 'extinct' || final === 0) return 'dies';
+    if (final > volume * EXPLODE_FRACTION) return 'explodes';
+    if (cycle.state === 'still') return 'stable';
+    if (cycle.state === 'oscillating') return 'oscillates';
+    if (populationPeriod(populations) > 0) return 'oscillates';
+    return 'chaotic';
+}
+
+/**
+ * Smallest period the tail of the population series repeats with exactly, or 0 if none.
+ */
+export function populationPeriod(populations) {
+    for (let period = 1; period <= MAX_POPULATION_PERIOD; period++) {
+        const span = period * (PERIOD_REPEATS + 1);
+        if (populations.length < span) break;
+
+        let repeats = true;
+        for (let i = populations.length - span + period; i < populations.length; i++) {
+            if (populations[i] !== populations[i - period]) {
+                repeats = false;
+                break;
+            }
+        }
+        if (repeats) return period;
+    }
+    return 0;
+}
@@ -1,31 +1,58 @@
 /**
- * Rule Editor with visual controls and 2D preview grid.
+ * Rule Editor with visual controls and a live 3D preview of the edited rule (see rulePreview.js).
+ * Survive and birth are edited as neighbor-count sets: sliders set a contiguous range,
+ * clicking a bar toggles a single count, and the rule string field accepts B/S or Bays notation.
+ * Problems with the edited rules are listed under the editor and block Apply until fixed.
+ * Rules can be saved to the registry's library and imported or exported as JSON files in the
+ * same format as the presets in web/rules/.
+ * Adaptive rules get a tab per phase. The phases themselves, with their thresholds and
+ * transitions (see phases.js), come from the loaded rule and are kept as they are.
  */
 
+import {
+    resolveRuleSets, parseRuleString, formatRuleString, formatBaysString, formatNeighborSet
+} from './ruleNotation.js';
+import { resolveNeighborhood, describeNeighborhood } from './neighborhoods.js';
+import { RuleEngine, DEFAULT_PRESET } from './rules.js';
+import { validateRule, formatProblem } from './ruleValidation.js';
+import { ruleSlug } from './ruleRegistry.js';
+import { RulePreview } from './rulePreview.js';
+import { DEFAULT_PHASE_NAMES, formatPhaseName } from './phases.js';
+
+// Phase program keys of an adaptive rule, carried through from the loaded rule unchanged
+const PHASE_PROGRAM_KEYS = ['initial', 'thresholds', 'hysteresis', 'transitions'];
+
 export class RuleEditor {
     constructor(options = {}) {
         this.onRulesChange = options.onRulesChange || (() => {});
+        this.onLibraryChange = options.onLibraryChange || (() => {});
+        this.onExport = options.onExport || (() => {});
+        this.registry = options.registry || null;
         this.visible = false;
 
         // Current rule state - default to simple static rules
         this.adaptive = false;
-        this.currentState = 'growth'; // growth, decay, stable
-        this.rules = {
-            growth: { survive: [4, 5], birth: 5 },
-            decay: { survive: [4, 5], birth: 5 },
-            stable: { survive: [4, 5], birth: 5 }
-        };
-
-        // 2D Preview simulation
-        this.previewSize = 40;
-        this.previewGrid = null;
-        this.previewGeneration = 0;
-        this.previewInterval = null;
+        this.currentState = 'growth'; // Adaptive phase whose sets are being edited
+        this.neighborhood = resolveNeighborhood('moore');
+        this.maxNeighbors = this.neighborhood.offsets.length;
+        this.stateCount = 2; // Generations states; 2 = plain live/dead
+        this.ruleStringError = null; // Why the text in the rule string field doesn't parse
+        // Kept from the last loaded rule so saving and exporting don't drop them
+        this.description = '';
+        this.boundary = undefined;
+        this.phaseProgram = {};
+        // Survive/birth sets per adaptive phase; static rules edit the current phase's sets
+        this.rules = {};
+        for (const phase of DEFAULT_PHASE_NAMES) {
+            this.rules[phase] = resolveRuleSets({ survive: [4, 5], birth: 5 });
+        }
 
         this.cacheElements();
+        this.populatePresets(DEFAULT_PRESET);
+        this.updateNeighborhoodControls();
         this.createBarCharts();
+        this.updatePhaseTabs();
         this.bindEvents();
-        this.initPreview();
     }
 
     cacheElements() {
@@ -34,36 +61,103 @@ export class RuleEditor {
         this.closeBtn = document.getElementById('closeRuleEditor');
 
         this.presetSelect = document.getElementById('presetSelect');
+        this.ruleName = document.getElementById('ruleName');
+        this.saveBtn = document.getElementById('saveRule');
+        this.deleteBtn = document.getElementById('deleteRule');
+        this.importBtn = document.getElementById('importRule');
+        this.exportBtn = document.getElementById('exportRule');
+        this.ruleFile = document.getElementById('ruleFile');
         this.surviveMin = document.getElementById('surviveMin');
         this.surviveMax = document.getElementById('surviveMax');
         this.surviveMinValue = document.getElementById('surviveMinValue');
         this.surviveMaxValue = document.getElementById('surviveMaxValue');
-        this.birthThreshold = document.getElementById('birthThreshold');
-        this.birthThresholdValue = document.getElementById('birthThresholdValue');
+        this.birthMin = document.getElementById('birthMin');
+        this.birthMax = document.getElementById('birthMax');
+        this.birthMinValue = document.getElementById('birthMinValue');
+        this.birthMaxValue = document.getElementById('birthMaxValue');
+        this.ruleString = document.getElementById('ruleString');
+        this.neighborhoodSelect = document.getElementById('neighborhoodSelect');
+        this.neighborhoodRange = document.getElementById('neighborhoodRange');
+        this.neighborhoodRangeValue = document.getElementById('neighborhoodRangeValue');
+        this.neighborhoodRangeControl = document.getElementById('neighborhoodRangeControl');
+        this.neighborhoodCount = document.getElementById('neighborhoodCount');
+        this.stateCountSlider = document.getElementById('stateCount');
+        this.stateCountValue = document.getElementById('stateCountValue');
+        this.baysString = document.getElementById('baysString');
         this.survivalChart = document.getElementById('survivalChart');
         this.birthChart = document.getElementById('birthChart');
 
         this.adaptiveCheckbox = document.getElementById('adaptiveMode');
         this.stateTabs = document.getElementById('stateTabs');
+        this.phaseHint = document.getElementById('phaseHint');
         this.applyBtn = document.getElementById('applyRules');
+        this.ruleErrors = document.getElementById('ruleErrors');
 
-        this.previewCanvas = document.getElementById('previewCanvas');
-        this.previewCtx = this.previewCanvas.getContext('2d');
+        this.previewMode = document.getElementById('previewMode');
         this.previewPop = document.getElementById('previewPop');
         this.previewGen = document.getElementById('previewGen');
+        this.previewStatus = document.getElementById('previewStatus');
+        this.preview = new RulePreview(document.getElementById('previewCanvas'), {
+            onUpdate: (stats) => this.updatePreviewStats(stats)
+        });
+    }
+
+    /**
+     * Fill the preset dropdown from the rule registry, with saved rules grouped after the
+     * presets and "Custom" last.
+     */
+    populatePresets(selected = this.presetSelect.value) {
+        this.presetSelect.innerHTML = '';
+
+        const presets = this.registry ? this.registry.list() : [];
+        const library = document.createElement('optgroup');
+        library.label = 'My Rules';
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.key;
+            option.textContent = preset.name;
+            option.title = preset.description;
+            (preset.library ? library : this.presetSelect).appendChild(option);
+        }
+        if (library.children.length > 0) {
+            this.presetSelect.appendChild(library);
+        }
+
+        const custom = document.createElement('option');
+        custom.value = 'custom';
+        custom.textContent = 'Custom';
+        this.presetSelect.appendChild(custom);
+
+        this.presetSelect.value = presets.some(p => p.key === selected) ? selected : 'custom';
+        this.updateLibraryControls();
+    }
+
+    /**
+     * Saving needs a registry; only rules from the library can be deleted.
+     */
+    updateLibraryControls() {
+        this.saveBtn.disabled = !this.registry;
+        this.deleteBtn.disabled = !this.registry || !this.registry.isLibraryRule(this.presetSelect.value);
     }
 
     createBarCharts() {
-        // Create 27 bars (0-26 neighbors) for each chart
-        for (let i = 0; i <= 26; i++) {
+        this.survivalChart.innerHTML = '';
+        this.birthChart.innerHTML = '';
+        this.survivalChart.classList.toggle('dense', this.maxNeighbors > 40);
+        this.birthChart.classList.toggle('dense', this.maxNeighbors > 40);
+
+        // Create one bar per neighbor count (0..maxNeighbors) for each chart
+        for (let i = 0; i <= this.maxNeighbors; i++) {
             const surviveBar = document.createElement('div');
             surviveBar.className = 'bar';
             surviveBar.dataset.value = i;
+            surviveBar.title = `${i} neighbors`;
             this.survivalChart.appendChild(surviveBar);
 
             const birthBar = document.createElement('div');
             birthBar.className = 'bar';
             birthBar.dataset.value = i;
+            birthBar.title = `${i} neighbors`;
             this.birthChart.appendChild(birthBar);
         }
         this.updateBarCharts();
@@ -71,23 +165,157 @@ export class RuleEditor {
 
     updateBarCharts() {
         const rules = this.rules[this.currentState];
-        const [surviveMin, surviveMax] = rules.survive;
-        const birthThreshold = rules.birth;
+        const survive = new Set(rules.survive);
+        const birth = new Set(rules.birth);
 
         // Update survival chart
         const surviveBars = this.survivalChart.querySelectorAll('.bar');
         surviveBars.forEach((bar, i) => {
-            bar.classList.toggle('active', i >= surviveMin && i <= surviveMax);
-            bar.style.height = (i >= surviveMin && i <= surviveMax) ? '100%' : '30%';
+            bar.classList.toggle('active', survive.has(i));
+            bar.style.height = survive.has(i) ? '100%' : '30%';
         });
 
         // Update birth chart
         const birthBars = this.birthChart.querySelectorAll('.bar');
         birthBars.forEach((bar, i) => {
             bar.classList.remove('active');
-            bar.classList.toggle('birth', i >= birthThreshold);
-            bar.style.height = i >= birthThreshold ? '100%' : '30%';
+            bar.classList.toggle('birth', birth.has(i));
+            bar.style.height = birth.has(i) ? '100%' : '30%';
         });
+
+        this.updateRuleString();
+    }
+
+    updateRuleString() {
+        const rules = this.rules[this.currentState];
+        const states = this.adaptive ? 2 : this.stateCount;
+        this.ruleString.value = formatRuleString({ ...rules, states });
+        this.baysString.textContent = formatBaysString(rules);
+        this.setRuleStringError(null);
+    }
+
+    setRuleStringError(message) {
+        this.ruleStringError = message;
+        this.ruleString.classList.toggle('invalid', !!message);
+        this.ruleString.title = message || '';
+        this.validate();
+    }
+
+    /**
+     * Why a rule string doesn't parse, checked against the neighborhood it names, or null.
+     */
+    ruleStringProblem(text) {
+        try {
+            const { neighborhood } = parseRuleString(text, Infinity);
+            const maxNeighbors = neighborhood ? resolveNeighborhood(neighborhood).offsets.length : this.maxNeighbors;
+            parseRuleString(text, maxNeighbors);
+            return null;
+        } catch (err) {
+            return err.message;
+        }
+    }
+
+    /**
+     * Check the rules as Apply would send them, listing any problems under the editor and
+     * disabling Apply until they are fixed.
+     * @returns {{ field: string, message: string }[]} the problems found
+     */
+    validate() {
+        const config = this.buildConfig();
+        const problems = validateRule(config);
+        if (problems.length === 0) {
+            // The preview restarts only when the rule itself changed
+            this.preview.setRules(config);
+        }
+        if (this.ruleStringError) {
+            problems.unshift({ field: 'rule', message: this.ruleStringError });
+        }
+        this.showProblems(problems);
+        this.applyBtn.disabled = problems.length > 0;
+        return problems;
+    }
+
+    showProblems(problems) {
+        this.ruleErrors.innerHTML = '';
+        for (const problem of problems) {
+            const item = document.createElement('li');
+            item.textContent = formatProblem(problem);
+            this.ruleErrors.appendChild(item);
+        }
+        this.ruleErrors.classList.toggle('hidden', problems.length === 0);
+    }
+
+    /**
+     * Switch neighborhoods: resize sliders and bar charts to 0..N and drop counts above N.
+     */
+    setNeighborhood(spec) {
+        this.neighborhood = resolveNeighborhood(spec);
+        this.maxNeighbors = this.neighborhood.offsets.length;
+
+        for (const slider of [this.surviveMin, this.surviveMax, this.birthMin, this.birthMax]) {
+            slider.max = this.maxNeighbors;
+        }
+        for (const state of Object.keys(this.rules)) {
+            const rules = this.rules[state];
+            rules.survive = rules.survive.filter(n => n <= this.maxNeighbors);
+            rules.birth = rules.birth.filter(n => n <= this.maxNeighbors);
+        }
+
+        this.updateNeighborhoodControls();
+        this.createBarCharts();
+        this.updateSlidersFromRules();
+    }
+
+    updateNeighborhoodControls() {
+        const { type, range } = this.neighborhood;
+        const customOption = this.neighborhoodSelect.querySelector('option[value="custom"]');
+        customOption.disabled = type !== 'custom';
+
+        this.neighborhoodSelect.value = type;
+        this.neighborhoodRangeControl.style.display = (type === 'moore' || type === 'von-neumann') ? '' : 'none';
+        if (range >= 1) {
+            this.neighborhoodRange.value = range;
+            this.neighborhoodRangeValue.textContent = range;
+        }
+        this.neighborhoodCount.textContent = describeNeighborhood(this.neighborhood);
+    }
+
+    /**
+     * Neighborhood as written to rule JSON; omitted for the default 26-cell Moore neighborhood.
+     */
+    getNeighborhoodSpec() {
+        const { type, range, offsets } = this.neighborhood;
+        if (type === 'custom') return { type, offsets };
+        if (type === 'moore' && range === 1) return undefined;
+        return range === 1 ? type : { type, range };
+    }
+
+    /**
+     * Replace a set with the contiguous range min..max, as driven by the sliders.
+     */
+    setRange(kind, min, max) {
+        const counts = [];
+        for (let n = min; n <= max; n++) counts.push(n);
+        this.rules[this.currentState][kind] = counts;
+        this.onRulesEdited();
+    }
+
+    toggleCount(kind, count) {
+        const counts = new Set(this.rules[this.currentState][kind]);
+        if (counts.has(count)) {
+            counts.delete(count);
+        } else {
+            counts.add(count);
+        }
+        this.rules[this.currentState][kind] = Array.from(counts).sort((a, b) => a - b);
+        this.updateSlidersFromRules();
+        this.onRulesEdited();
+    }
+
+    onRulesEdited() {
+        this.updateBarCharts();
+        this.presetSelect.value = 'custom';
+        this.updateLibraryControls();
     }
 
     bindEvents() {
@@ -98,58 +326,93 @@ export class RuleEditor {
         // Preset selection
         this.presetSelect.addEventListener('change', (e) => this.loadPreset(e.target.value));
 
-        // Sliders
-        this.surviveMin.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            this.surviveMinValue.textContent = val;
-            this.rules[this.currentState].survive[0] = val;
-            // Ensure min <= max
-            if (val > parseInt(this.surviveMax.value)) {
-                this.surviveMax.value = val;
-                this.surviveMaxValue.textContent = val;
-                this.rules[this.currentState].survive[1] = val;
-            }
-            this.updateBarCharts();
-            this.presetSelect.value = 'custom';
+        // Rule library and JSON files
+        this.ruleName.addEventListener('input', () => this.validate());
+        this.previewMode.addEventListener('change', (e) => this.preview.setMode(e.target.value));
+        this.saveBtn.addEventListener('click', () => this.saveRules());
+        this.deleteBtn.addEventListener('click', () => this.deleteRules());
+        this.exportBtn.addEventListener('click', () => this.exportRules());
+        this.importBtn.addEventListener('click', () => this.ruleFile.click());
+        this.ruleFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.importRules(file);
+            // Allow picking the same file again
+            e.target.value = '';
+        });
+
+        // Neighborhood type and range
+        this.neighborhoodSelect.addEventListener('change', (e) => {
+            const type = e.target.value;
+            const range = type === 'face-edge' ? 1 : parseInt(this.neighborhoodRange.value);
+            this.setNeighborhood({ type, range });
+            this.onRulesEdited();
+        });
+        this.neighborhoodRange.addEventListener('input', (e) => {
+            this.setNeighborhood({ type: this.neighborhood.type, range: parseInt(e.target.value) });
+            this.onRulesEdited();
         });
 
-        this.surviveMax.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            this.surviveMaxValue.textContent = val;
-            this.rules[this.currentState].survive[1] = val;
-            // Ensure max >= min
-            if (val < parseInt(this.surviveMin.value)) {
-                this.surviveMin.value = val;
-                this.surviveMinValue.textContent = val;
-                this.rules[this.currentState].survive[0] = val;
+        // Range sliders - keep min <= max by pushing the other thumb along
+        this.bindRangeSliders('survive', this.surviveMin, this.surviveMax, this.surviveMinValue, this.surviveMaxValue);
+        this.bindRangeSliders('birth', this.birthMin, this.birthMax, this.birthMinValue, this.birthMaxValue);
+
+        // Clicking a bar toggles that single neighbor count
+        this.survivalChart.addEventListener('click', (e) => {
+            if (e.target.dataset.value === undefined) return;
+            this.toggleCount('survive', parseInt(e.target.dataset.value));
+        });
+        this.birthChart.addEventListener('click', (e) => {
+            if (e.target.dataset.value === undefined) return;
+            this.toggleCount('birth', parseInt(e.target.dataset.value));
+        });
+
+        // Rule string accepts B/S or Bays notation; problems show while typing, edits apply on change
+        this.ruleString.addEventListener('input', (e) => {
+            this.setRuleStringError(this.ruleStringProblem(e.target.value));
+        });
+        this.ruleString.addEventListener('change', (e) => {
+            // Read the text first: switching neighborhoods redraws the field
+            const text = e.target.value;
+            const problem = this.ruleStringProblem(text);
+            if (problem) {
+                this.setRuleStringError(problem);
+                return;
             }
-            this.updateBarCharts();
-            this.presetSelect.value = 'custom';
+            const { neighborhood } = parseRuleString(text, Infinity);
+            if (neighborhood) {
+                this.setNeighborhood(neighborhood);
+            }
+            const parsed = parseRuleString(text, this.maxNeighbors);
+            this.rules[this.currentState] = { survive: parsed.survive, birth: parsed.birth };
+            if (!this.adaptive) {
+                this.setStateCount(parsed.states || 2);
+            }
+            this.updateSlidersFromRules();
+            this.onRulesEdited();
         });
 
-        this.birthThreshold.addEventListener('input', (e) => {
-            const val = parseInt(e.target.value);
-            this.birthThresholdValue.textContent = val;
-            this.rules[this.currentState].birth = val;
-            this.updateBarCharts();
-            this.presetSelect.value = 'custom';
+        // Generations state count
+        this.stateCountSlider.addEventListener('input', (e) => {
+            this.setStateCount(parseInt(e.target.value));
+            this.onRulesEdited();
         });
 
         // Adaptive mode toggle
         this.adaptiveCheckbox.addEventListener('change', (e) => {
             this.adaptive = e.target.checked;
-            this.stateTabs.style.display = this.adaptive ? 'flex' : 'none';
+            this.updatePhaseTabs();
+            this.updateStateCountControl();
+            this.updateRuleString();
         });
 
-        // State tabs
-        this.stateTabs.querySelectorAll('.state-tab').forEach(tab => {
-            tab.addEventListener('click', () => {
-                this.stateTabs.querySelectorAll('.state-tab').forEach(t => t.classList.remove('active'));
-                tab.classList.add('active');
-                this.currentState = tab.dataset.state;
-                this.updateSlidersFromRules();
-                this.updateBarCharts();
-            });
+        // Phase tabs are recreated for each rule, so clicks are handled on the container
+        this.stateTabs.addEventListener('click', (e) => {
+            const tab = e.target.closest('.state-tab');
+            if (!tab) return;
+            this.currentState = tab.dataset.state;
+            this.updatePhaseTabs();
+            this.updateSlidersFromRules();
+            this.updateBarCharts();
         });
 
         // Apply button
@@ -164,168 +427,138 @@ export class RuleEditor {
         });
     }
 
+    bindRangeSliders(kind, minSlider, maxSlider, minLabel, maxLabel) {
+        minSlider.addEventListener('input', (e) => {
+            const min = parseInt(e.target.value);
+            const max = Math.max(min, parseInt(maxSlider.value));
+            maxSlider.value = max;
+            minLabel.textContent = min;
+            maxLabel.textContent = max;
+            this.setRange(kind, min, max);
+        });
+
+        maxSlider.addEventListener('input', (e) => {
+            const max = parseInt(e.target.value);
+            const min = Math.min(max, parseInt(minSlider.value));
+            minSlider.value = min;
+            minLabel.textContent = min;
+            maxLabel.textContent = max;
+            this.setRange(kind, min, max);
+        });
+    }
+
+    /**
+     * Sliders show the lowest and highest count of each set.
+     */
     updateSlidersFromRules() {
         const rules = this.rules[this.currentState];
-        this.surviveMin.value = rules.survive[0];
-        this.surviveMinValue.textContent = rules.survive[0];
-        this.surviveMax.value = rules.survive[1];
-        this.surviveMaxValue.textContent = rules.survive[1];
-        this.birthThreshold.value = rules.birth;
-        this.birthThresholdValue.textContent = rules.birth;
+        const setSliders = (counts, minSlider, maxSlider, minLabel, maxLabel) => {
+            const min = counts.length ? counts[0] : 0;
+            const max = counts.length ? counts[counts.length - 1] : 0;
+            minSlider.value = min;
+            minLabel.textContent = min;
+            maxSlider.value = max;
+            maxLabel.textContent = max;
+        };
+        setSliders(rules.survive, this.surviveMin, this.surviveMax, this.surviveMinValue, this.surviveMaxValue);
+        setSliders(rules.birth, this.birthMin, this.birthMax, this.birthMinValue, this.birthMaxValue);
     }
 
     loadPreset(name) {
-        const presets = {
-            'default': {
-                adaptive: false,
-                rules: {
-                    growth: { survive: [4, 5], birth: 5 },
-                    decay: { survive: [4, 5], birth: 5 },
-                    stable: { survive: [4, 5], birth: 5 }
-                }
-            },
-            'conway-classic': {
-                adaptive: false,
-                rules: {
-                    growth: { survive: [5, 7], birth: 6 },
-                    decay: { survive: [5, 7], birth: 6 },
-                    stable: { survive: [5, 7], birth: 6 }
-                }
-            },
-            'crystal': {
-                adaptive: false,
-                rules: {
-                    growth: { survive: [4, 6], birth: 5 },
-                    decay: { survive: [4, 6], birth: 5 },
-                    stable: { survive: [4, 6], birth: 5 }
-                }
-            },
-            'adaptive': {
-                adaptive: true,
-                rules: {
-                    growth: { survive: [3, 15], birth: 9 },
-                    decay: { survive: [7, 13], birth: 12 },
-                    stable: { survive: [4, 14], birth: 11 }
-                }
-            }
-        };
+        const config = this.registry ? this.registry.get(name) : null;
+        if (!config) return;
+        this.loadConfig(config);
+        this.presetSelect.value = name;
+        this.updateLibraryControls();
+    }
 
-        if (presets[name]) {
-            this.adaptive = presets[name].adaptive;
-            this.rules = JSON.parse(JSON.stringify(presets[name].rules));
-            this.adaptiveCheckbox.checked = this.adaptive;
-            this.stateTabs.style.display = this.adaptive ? 'flex' : 'none';
-            this.updateSlidersFromRules();
-            this.updateBarCharts();
-            this.resetPreview();
+    /**
+     * Show any rule config in the editor, e.g. one picked in the rule explorer.
+     * The preset dropdown switches to Custom.
+     */
+    loadConfig(config) {
+        // Compile through a RuleEngine so every notation resolves the same way Apply will
+        const engine = new RuleEngine();
+        engine.setConfig(config);
+
+        this.ruleName.value = config.name || '';
+        this.description = config.description || '';
+        this.boundary = config.boundary;
+        this.adaptive = !!engine.config.adaptive;
+        this.phaseProgram = {};
+        this.rules = {};
+        const phases = this.adaptive ? engine.phases.names : DEFAULT_PHASE_NAMES;
+        for (const phase of phases) {
+            const { survive, birth } = engine.getRuleSets(phase);
+            this.rules[phase] = { survive, birth };
+        }
+        if (this.adaptive) {
+            for (const key of PHASE_PROGRAM_KEYS) {
+                if (config[key] !== undefined) this.phaseProgram[key] = config[key];
+            }
+            this.currentState = engine.phases.initial;
+        } else if (!this.rules[this.currentState]) {
+            this.currentState = phases[0];
         }
+        this.setNeighborhood(engine.neighborhood);
+        this.setStateCount(engine.stateCount);
+
+        this.presetSelect.value = 'custom';
+        this.updateLibraryControls();
+        this.adaptiveCheckbox.checked = this.adaptive;
+        this.updatePhaseTabs();
+        this.updateStateCountControl();
+        this.updateSlidersFromRules();
+        this.updateBarCharts();
     }
 
-    // 2D Preview Grid
-    initPreview() {
-        this.previewGrid = new Uint8Array(this.previewSize * this.previewSize);
-        this.resetPreview();
+    /**
+     * One tab per phase of the edited rule, shown in adaptive mode.
+     */
+    updatePhaseTabs() {
+        this.stateTabs.replaceChildren(...Object.keys(this.rules).map(phase => {
+            const tab = document.createElement('button');
+            tab.className = phase === this.currentState ? 'state-tab active' : 'state-tab';
+            tab.dataset.state = phase;
+            tab.textContent = formatPhaseName(phase);
+            return tab;
+        }));
+        this.stateTabs.style.display = this.adaptive ? 'flex' : 'none';
+        this.phaseHint.style.display = this.adaptive ? '' : 'none';
     }
 
-    resetPreview() {
-        this.previewGeneration = 0;
-        this.previewGrid.fill(0);
-
-        // Seed center region
-        const mid = Math.floor(this.previewSize / 2);
-        const radius = 4;
-        for (let y = mid - radius; y <= mid + radius; y++) {
-            for (let x = mid - radius; x <= mid + radius; x++) {
-                const dist = Math.sqrt((x - mid) ** 2 + (y - mid) ** 2);
-                if (dist <= radius) {
-                    this.previewGrid[y * this.previewSize + x] = 1;
-                }
-            }
-        }
-
-        this.drawPreview();
+    setStateCount(count) {
+        this.stateCount = count;
+        this.stateCountSlider.value = count;
+        this.stateCountValue.textContent = count;
     }
 
-    stepPreview() {
-        const size = this.previewSize;
-        const newGrid = new Uint8Array(size * size);
-        const rules = this.rules[this.currentState];
-        let population = 0;
-
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                // Count 8 neighbors (2D Moore neighborhood)
-                let neighbors = 0;
-                for (let dy = -1; dy <= 1; dy++) {
-                    for (let dx = -1; dx <= 1; dx++) {
-                        if (dx === 0 && dy === 0) continue;
-                        const nx = (x + dx + size) % size;
-                        const ny = (y + dy + size) % size;
-                        neighbors += this.previewGrid[ny * size + nx];
-                    }
-                }
-
-                const wasAlive = this.previewGrid[y * size + x] === 1;
-                let alive = false;
-
-                if (wasAlive) {
-                    // For 2D, scale down the 3D thresholds
-                    const min = Math.max(0, Math.floor(rules.survive[0] / 3));
-                    const max = Math.min(8, Math.ceil(rules.survive[1] / 3));
-                    alive = neighbors >= min && neighbors <= max;
-                } else {
-                    const threshold = Math.max(1, Math.floor(rules.birth / 3));
-                    alive = neighbors >= threshold;
-                }
-
-                if (alive) {
-                    newGrid[y * size + x] = 1;
-                    population++;
-                }
-            }
-        }
+    /**
+     * Generations state counts only apply to static rules.
+     */
+    updateStateCountControl() {
+        this.stateCountSlider.disabled = this.adaptive;
+    }
 
-        this.previewGrid = newGrid;
-        this.previewGeneration++;
-        this.previewPop.textContent = population;
-        this.previewGen.textContent = this.previewGeneration;
-
-        this.drawPreview();
-    }
-
-    drawPreview() {
-        const canvas = this.previewCanvas;
-        const ctx = this.previewCtx;
-        const size = this.previewSize;
-        const cellSize = canvas.width / size;
-
-        ctx.fillStyle = '#0a0a12';
-        ctx.fillRect(0, 0, canvas.width, canvas.height);
-
-        for (let y = 0; y < size; y++) {
-            for (let x = 0; x < size; x++) {
-                if (this.previewGrid[y * size + x]) {
-                    // Color based on position
-                    const r = Math.floor(80 + 175 * (x / size));
-                    const g = Math.floor(80 + 175 * (y / size));
-                    const b = Math.floor(150 + 105 * ((x + y) / (size * 2)));
-                    ctx.fillStyle = `rgb(${r},${g},${b})`;
-                    ctx.fillRect(x * cellSize, y * cellSize, cellSize - 0.5, cellSize - 0.5);
-                }
-            }
-        }
+    /**
+     * The boundary selected in the control panel, which the preview uses for rules that don't
+     * declare their own.
+     */
+    setBoundary(mode) {
+        this.preview.setBoundary(mode);
     }
 
-    startPreview() {
-        if (this.previewInterval) return;
-        this.previewInterval = setInterval(() => this.stepPreview(), 150);
+    /**
+     * The main view's color mode and palette, which the preview draws with.
+     */
+    setColors(colorMode, palette) {
+        this.preview.setColors(colorMode, palette);
     }
 
-    stopPreview() {
-        if (this.previewInterval) {
-            clearInterval(this.previewInterval);
-            this.previewInterval = null;
-        }
+    updatePreviewStats({ population, generation, status }) {
+        this.previewPop.textContent = population.toLocaleString();
+        this.previewGen.textContent = generation;
+        this.previewStatus.textContent = status;
     }
 
     toggle() {
@@ -340,31 +573,103 @@ export class RuleEditor {
         this.visible = true;
         this.panel.classList.remove('hidden');
         document.body.classList.add('rule-editor-open');
-        this.resetPreview();
-        this.startPreview();
+        this.preview.reset();
+        this.preview.start();
     }
 
     hide() {
         this.visible = false;
         this.panel.classList.add('hidden');
         document.body.classList.remove('rule-editor-open');
-        this.stopPreview();
+        this.preview.stop();
     }
 
-    applyRules() {
-        const config = this.adaptive ? {
-            name: 'Custom Adaptive',
-            adaptive: true,
-            states: this.rules
+    /**
+     * The edited rules as a rule config, in the JSON format of web/rules/*.json that
+     * RuleEngine.loadCustom accepts.
+     */
+    buildConfig() {
+        const toBlock = (rules) => ({
+            survive: formatNeighborSet(rules.survive),
+            birth: formatNeighborSet(rules.birth)
+        });
+        const header = {
+            name: this.ruleName.value.trim() || (this.adaptive ? 'Custom Adaptive' : 'Custom Static'),
+            description: this.description || undefined,
+            adaptive: this.adaptive,
+            neighborhood: this.getNeighborhoodSpec(),
+            boundary: this.boundary
+        };
+
+        const states = {};
+        for (const [phase, rules] of Object.entries(this.rules)) {
+            states[phase] = toBlock(rules);
+        }
+
+        return this.adaptive ? {
+            ...header,
+            states,
+            ...this.phaseProgram
         } : {
-            name: 'Custom Static',
-            adaptive: false,
-            survive: this.rules[this.currentState].survive,
-            birth: this.rules[this.currentState].birth
+            ...header,
+            states: this.stateCount > 2 ? this.stateCount : undefined,
+            ...toBlock(this.rules[this.currentState])
         };
+    }
+
+    applyRules() {
+        // Never hand on rules that would fail to load; validate() has listed what is wrong
+        if (this.validate().length > 0) return;
+        this.onRulesChange(this.buildConfig());
+        this.preview.reset();
+    }
+
+    /**
+     * Save the edited rules to the library under their name, replacing a saved rule of the
+     * same name, and select them in the dropdown.
+     */
+    saveRules() {
+        if (!this.registry || this.validate().length > 0) return;
+        const key = this.registry.saveToLibrary(this.buildConfig());
+        this.populatePresets(key);
+        this.onLibraryChange(key);
+    }
 
-        this.onRulesChange(config);
-        this.resetPreview();
+    deleteRules() {
+        const key = this.presetSelect.value;
+        if (!this.registry || !this.registry.removeFromLibrary(key)) return;
+        this.populatePresets('custom');
+        this.onLibraryChange(key);
+    }
+
+    exportRules() {
+        if (this.validate().length > 0) return;
+        const config = this.buildConfig();
+        this.onExport(`${ruleSlug(config.name)}.json`, JSON.stringify(config, null, 4) + '\n');
+    }
+
+    /**
+     * Load a rule JSON file into the editor. Files that don't parse or validate are refused,
+     * listing the problems, and the edited rules are left as they were.
+     */
+    async importRules(file) {
+        let config;
+        try {
+            config = JSON.parse(await file.text());
+        } catch (err) {
+            this.showProblems([{ field: file.name, message: `not valid JSON (${err.message})` }]);
+            return;
+        }
+
+        const problems = validateRule(config);
+        if (problems.length > 0) {
+            this.showProblems(problems.map(({ field, message }) => ({
+                field: field ? `${file.name}: ${field}` : file.name,
+                message
+            })));
+            return;
+        }
+        this.loadConfig(config);
     }
 
     getRules() {
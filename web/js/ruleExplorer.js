@@ -0,0 +1,288 @@
+/**
+ * Rule Explorer for 3D Game of Life
+ * Sweeps ranges of survive and birth intervals, runs every resulting rule headless (see
+ * ruleSweep.js) and shows the classified results as a grid: rows are survive intervals, columns
+ * birth intervals. Clicking a result loads its rule through onSelect(config).
+ *
+ * Sweeps run in ruleSweepWorker.js; without workers they run on the main thread a few rules per
+ * frame so the page stays responsive.
+ */
+
+import { buildSweep, exploreRule, MAX_CANDIDATES, DEFAULT_SWEEP, DEFAULT_RUN_OPTIONS } from './ruleSweep.js';
+import { RULE_CLASSES } from './ruleClassifier.js';
+
+// Rules per main-thread slice when running without a worker
+const FALLBACK_BATCH = 4;
+
+export class RuleExplorer {
+    constructor(options = {}) {
+        this.onSelect = options.onSelect || (() => {});
+        this.visible = false;
+
+        // Current sweep: grid layout, per-candidate results, and the runner working on it
+        this.sweep = null;
+        this.results = [];
+        this.cells = [];
+        this.completed = 0;
+        this.worker = null;
+        this.runId = 0;
+
+        this.cacheElements();
+        this.createLegend();
+        this.bindEvents();
+        this.setSweepInputs(DEFAULT_SWEEP, DEFAULT_RUN_OPTIONS);
+    }
+
+    cacheElements() {
+        this.panel = document.getElementById('ruleExplorer');
+        this.toggleBtn = document.getElementById('toggleRuleExplorer');
+        this.closeBtn = document.getElementById('closeRuleExplorer');
+        this.runBtn = document.getElementById('runExplorer');
+        this.stopBtn = document.getElementById('stopExplorer');
+        this.progress = document.getElementById('explorerProgress');
+        this.legend = document.getElementById('explorerLegend');
+        this.resultsGrid = document.getElementById('explorerResults');
+
+        this.inputs = {};
+        for (const id of [
+            'surviveMinFrom', 'surviveMinTo', 'surviveMaxFrom', 'surviveMaxTo',
+            'birthMinFrom', 'birthMinTo', 'birthMaxFrom', 'birthMaxTo',
+            'generations', 'size', 'density', 'seed'
+        ]) {
+            this.inputs[id] = document.getElementById(`explorer-${id}`);
+        }
+    }
+
+    createLegend() {
+        this.legend.innerHTML = '';
+        for (const { label, color } of Object.values(RULE_CLASSES)) {
+            const item = document.createElement('span');
+            item.className = 'explorer-legend-item';
+            item.style.setProperty('--class-color', color);
+            item.textContent = label;
+            this.legend.appendChild(item);
+        }
+    }
+
+    bindEvents() {
+        this.toggleBtn.addEventListener('click', () => this.toggle());
+        this.closeBtn.addEventListener('click', () => this.hide());
+        this.runBtn.addEventListener('click', () => this.run());
+        this.stopBtn.addEventListener('click', () => this.stop());
+
+        this.resultsGrid.addEventListener('click', (e) => {
+            const cell = e.target.closest('[data-index]');
+            if (!cell) return;
+            const result = this.results[parseInt(cell.dataset.index)];
+            if (!result || result.error) return;
+            this.onSelect({ name: `Explored ${result.rule}`, rule: result.rule });
+        });
+    }
+
+    setSweepInputs(sweep, runOptions) {
+        const set = (id, value) => { this.inputs[id].value = value; };
+        set('surviveMinFrom', sweep.surviveMin[0]);
+        set('surviveMinTo', sweep.surviveMin[1]);
+        set('surviveMaxFrom', sweep.surviveMax[0]);
+        set('surviveMaxTo', sweep.surviveMax[1]);
+        set('birthMinFrom', sweep.birthMin[0]);
+        set('birthMinTo', sweep.birthMin[1]);
+        set('birthMaxFrom', sweep.birthMax[0]);
+        set('birthMaxTo', sweep.birthMax[1]);
+        set('generations', runOptions.generations);
+        set('size', runOptions.size);
+        set('density', runOptions.seeding.density);
+        set('seed', runOptions.seeding.seed);
+    }
+
+    readSweep() {
+        const value = (id) => parseInt(this.inputs[id].value);
+        return {
+            surviveMin: [value('surviveMinFrom'), value('surviveMinTo')],
+            surviveMax: [value('surviveMaxFrom'), value('surviveMaxTo')],
+            birthMin: [value('birthMinFrom'), value('birthMinTo')],
+            birthMax: [value('birthMaxFrom'), value('birthMaxTo')]
+        };
+    }
+
+    readRunOptions() {
+        const number = (id, fallback, min, max) => {
+            const value = Number(this.inputs[id].value);
+            return Number.isFinite(value) ? Math.max(min, Math.min(max, value)) : fallback;
+        };
+        const defaults = DEFAULT_RUN_OPTIONS;
+        return {
+            ...defaults,
+            size: Math.round(number('size', defaults.size, 12, 48)),
+            generations: Math.round(number('generations', defaults.generations, 10, 500)),
+            seeding: {
+                ...defaults.seeding,
+                density: number('density', defaults.seeding.density, 0.01, 1),
+                seed: Math.round(number('seed', defaults.seeding.seed, 0, 4294967295))
+            }
+        };
+    }
+
+    /**
+     * Start a sweep with the current inputs, cancelling any sweep still running.
+     */
+    run() {
+        this.stop();
+
+        const sweep = buildSweep(this.readSweep());
+        if (sweep.candidates.length === 0) {
+            this.progress.textContent = 'No rules in these ranges';
+            return;
+        }
+        if (sweep.candidates.length > MAX_CANDIDATES) {
+            this.progress.textContent = `${sweep.candidates.length} rules is too many (limit ${MAX_CANDIDATES}); narrow the ranges`;
+            return;
+        }
+
+        this.sweep = sweep;
+        this.results = new Array(sweep.candidates.length);
+        this.completed = 0;
+        this.renderGrid();
+        this.setRunning(true);
+
+        const rules = sweep.candidates.map(candidate => candidate.rule);
+        const options = this.readRunOptions();
+        try {
+            this.worker = new Worker(new URL('./ruleSweepWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.receive(e.data);
+            this.worker.onerror = (e) => {
+                console.error('Rule explorer worker error:', e.message);
+                this.stop();
+            };
+            this.worker.postMessage({ type: 'explore', rules, options });
+        } catch (err) {
+            console.warn(`Rule explorer worker unavailable, running on main thread: ${err.message}`);
+            this.worker = null;
+            this.runInThread(rules, options, this.runId);
+        }
+    }
+
+    runInThread(rules, options, runId, start = 0) {
+        if (runId !== this.runId) return;
+        const end = Math.min(rules.length, start + FALLBACK_BATCH);
+        for (let index = start; index < end; index++) {
+            try {
+                this.receive({ type: 'result', index, result: exploreRule(rules[index], options) });
+            } catch (err) {
+                this.receive({ type: 'result', index, error: err.message });
+            }
+        }
+        if (end < rules.length) {
+            setTimeout(() => this.runInThread(rules, options, runId, end), 0);
+        } else {
+            this.receive({ type: 'done' });
+        }
+    }
+
+    receive(message) {
+        if (message.type === 'done') {
+            this.setRunning(false);
+            this.stopWorker();
+            return;
+        }
+
+        const candidate = this.sweep.candidates[message.index];
+        this.results[message.index] = message.error
+            ? { rule: candidate.rule, error: message.error }
+            : message.result;
+        this.completed++;
+        this.updateCell(message.index);
+        this.progress.textContent = `${this.completed} / ${this.sweep.candidates.length} rules`;
+    }
+
+    /**
+     * Cancel the running sweep, keeping the results so far.
+     */
+    stop() {
+        this.runId++;
+        this.stopWorker();
+        this.setRunning(false);
+    }
+
+    stopWorker() {
+        if (this.worker) {
+            this.worker.terminate();
+            this.worker = null;
+        }
+    }
+
+    setRunning(running) {
+        this.running = running;
+        this.runBtn.disabled = running;
+        this.stopBtn.disabled = !running;
+    }
+
+    renderGrid() {
+        const { rows, columns, candidates } = this.sweep;
+        const table = document.createElement('table');
+        table.className = 'explorer-table';
+
+        const header = table.insertRow();
+        header.appendChild(document.createElement('th'));
+        for (const column of columns) {
+            const th = document.createElement('th');
+            th.textContent = column.label;
+            header.appendChild(th);
+        }
+
+        this.cells = new Array(candidates.length);
+        rows.forEach((row, rowIndex) => {
+            const tr = table.insertRow();
+            const th = document.createElement('th');
+            th.textContent = row.label;
+            tr.appendChild(th);
+            for (let column = 0; column < columns.length; column++) {
+                const index = rowIndex * columns.length + column;
+                const td = tr.insertCell();
+                td.className = 'explorer-cell pending';
+                td.dataset.index = index;
+                td.title = candidates[index].rule;
+                this.cells[index] = td;
+            }
+        });
+
+        this.resultsGrid.innerHTML = '';
+        this.resultsGrid.appendChild(table);
+    }
+
+    updateCell(index) {
+        const cell = this.cells[index];
+        const result = this.results[index];
+        cell.classList.remove('pending');
+
+        if (result.error) {
+            cell.classList.add('failed');
+            cell.title = `${result.rule}\n${result.error}`;
+            return;
+        }
+
+        const { label, color } = RULE_CLASSES[result.classification];
+        cell.style.background = color;
+        const period = result.cycle.state === 'oscillating' ? `, period ${result.cycle.period}` : '';
+        cell.title = `${result.rule}\n${label}${period}\n` +
+            `Population ${result.population.toLocaleString()} at generation ${result.generation}`;
+    }
+
+    toggle() {
+        if (this.visible) {
+            this.hide();
+        } else {
+            this.show();
+        }
+    }
+
+    show() {
+        this.visible = true;
+        this.panel.classList.remove('hidden');
+    }
+
+    hide() {
+        this.visible = false;
+        this.panel.classList.add('hidden');
+    }
+}
@@ -0,0 +1,194 @@
+/**
+ * Rule Notation for 3D Game of Life
+ * Parses and formats neighbor-count sets ("4,6-8"), standard B/S rule strings ("B5,7/S6-8"),
+ * Bays E/F rule strings ("4555" or "4-5/5") and Generations rules with a state count
+ * ("B4/S4/C5", or Softology-style "S/B/C/N" such as "4/4/5/M").
+ */
+
+// Cell states are stored in a Uint8Array
+export const MAX_STATES = 255;
+
+const SET_PATTERN = '[\\d,\\s-]*';
+const BS_RULE = new RegExp(`^B(${SET_PATTERN})/S(${SET_PATTERN})(?:/C?(\\d+))?$`, 'i');
+const SB_RULE = new RegExp(`^S(${SET_PATTERN})/B(${SET_PATTERN})(?:/C?(\\d+))?$`, 'i');
+const SOFTOLOGY_RULE = new RegExp(`^(${SET_PATTERN})/(${SET_PATTERN})/(\\d+)/(M|VN)$`, 'i');
+const BAYS_COMPACT = /^(\d)(\d)(\d)(\d)$/;
+const BAYS_RULE = new RegExp(`^(${SET_PATTERN})/(${SET_PATTERN})$`);
+
+/**
+ * Parse a neighbor-count set such as "4,6-8" into a sorted array of unique counts.
+ * An empty string is the empty set.
+ */
+export function parseNeighborSet(text, maxNeighbors = 26) {
+    const counts = new Set();
+    const parts = String(text).split(',').map(p => p.trim()).filter(p => p.length > 0);
+
+    for (const part of parts) {
+        const match = /^(\d+)(?:\s*-\s*(\d+))?$/.exec(part);
+        if (!match) {
+            throw new Error(`Invalid neighbor count "${part}"`);
+        }
+        const low = parseInt(match[1], 10);
+        const high = match[2] !== undefined ? parseInt(match[2], 10) : low;
+        if (low > high) {
+            throw new Error(`Range "${part}" is reversed`);
+        }
+        if (high > maxNeighbors) {
+            throw new Error(`Neighbor count ${high} exceeds the maximum of ${maxNeighbors}`);
+        }
+        for (let n = low; n <= high; n++) {
+            counts.add(n);
+        }
+    }
+
+    return Array.from(counts).sort((a, b) => a - b);
+}
+
+/**
+ * Format a list of counts as a compact set string, collapsing runs into ranges.
+ */
+export function formatNeighborSet(counts) {
+    const sorted = Array.from(new Set(counts)).sort((a, b) => a - b);
+    const parts = [];
+
+    let i = 0;
+    while (i < sorted.length) {
+        let j = i;
+        while (j + 1 < sorted.length && sorted[j + 1] === sorted[j] + 1) j++;
+        if (j === i) {
+            parts.push(`${sorted[i]}`);
+        } else {
+            parts.push(`${sorted[i]}-${sorted[j]}`);
+        }
+        i = j + 1;
+    }
+
+    return parts.join(',');
+}
+
+/**
+ * Parse a rule string into survive/birth sets.
+ * Accepts "B5,7/S6-8", "S6-8/B5,7", Bays compact "4555" (El Eu Fl Fu)
+ * and Bays "E/F" with sets on each side ("4-5/5").
+ * Generations forms also return `states`: "B4/S4/C5" (or "B4/S4/5"), and the
+ * Softology "S/B/C/N" form additionally returns `neighborhood` (M = moore, VN = von-neumann).
+ */
+export function parseRuleString(text, maxNeighbors = 26) {
+    const rule = String(text).trim();
+    let match;
+
+    if ((match = BS_RULE.exec(rule))) {
+        return withStates({
+            birth: parseNeighborSet(match[1], maxNeighbors),
+            survive: parseNeighborSet(match[2], maxNeighbors)
+        }, match[3]);
+    }
+    if ((match = SB_RULE.exec(rule))) {
+        return withStates({
+            survive: parseNeighborSet(match[1], maxNeighbors),
+            birth: parseNeighborSet(match[2], maxNeighbors)
+        }, match[3]);
+    }
+    if ((match = SOFTOLOGY_RULE.exec(rule))) {
+        return withStates({
+            survive: parseNeighborSet(match[1], maxNeighbors),
+            birth: parseNeighborSet(match[2], maxNeighbors),
+            neighborhood: match[4].toUpperCase() === 'VN' ? 'von-neumann' : 'moore'
+        }, match[3]);
+    }
+    if ((match = BAYS_COMPACT.exec(rule))) {
+        const [eLow, eHigh, fLow, fHigh] = match.slice(1).map(d => parseInt(d, 10));
+        return {
+            survive: parseNeighborSet(`${eLow}-${eHigh}`, maxNeighbors),
+            birth: parseNeighborSet(`${fLow}-${fHigh}`, maxNeighbors)
+        };
+    }
+    if ((match = BAYS_RULE.exec(rule))) {
+        return {
+            survive: parseNeighborSet(match[1], maxNeighbors),
+            birth: parseNeighborSet(match[2], maxNeighbors)
+        };
+    }
+
+    throw new Error(`Unrecognized rule string "${rule}"`);
+}
+
+/**
+ * Format survive/birth sets as a standard "B.../S..." rule string,
+ * with a "/C<n>" suffix for Generations rules of more than two states.
+ */
+export function formatRuleString({ survive, birth, states = 2 }) {
+    const rule = `B${formatNeighborSet(birth)}/S${formatNeighborSet(survive)}`;
+    return states > 2 ? `${rule}/C${states}` : rule;
+}
+
+/**
+ * Format survive/birth sets in Bays notation. Uses the compact four-digit form
+ * when both sets are single-digit contiguous ranges, otherwise "E/F".
+ */
+export function formatBaysString({ survive, birth }) {
+    const compact = (counts) => counts.length > 0 &&
+        counts[counts.length - 1] <= 9 &&
+        counts[counts.length - 1] - counts[0] === counts.length - 1;
+
+    if (compact(survive) && compact(birth)) {
+        return `${survive[0]}${survive[survive.length - 1]}${birth[0]}${birth[birth.length - 1]}`;
+    }
+    return `${formatNeighborSet(survive)}/${formatNeighborSet(birth)}`;
+}
+
+/**
+ * Resolve the survive/birth sets of one rule block, accepting every supported form:
+ *   rule: "B5,7/S6-8" or Bays string (takes precedence)
+ *   survive: [min, max] (legacy range) or set string "4,6-8"
+ *   birth: number (legacy threshold, n or more neighbors) or set string "5,7"
+ */
+export function resolveRuleSets(rules, maxNeighbors = 26) {
+    if (typeof rules.rule === 'string') {
+        return parseRuleString(rules.rule, maxNeighbors);
+    }
+    return {
+        survive: resolveSurvive(rules.survive, maxNeighbors),
+        birth: resolveBirth(rules.birth, maxNeighbors)
+    };
+}
+
+function withStates(sets, states) {
+    if (states !== undefined) {
+        const count = parseInt(states, 10);
+        if (count < 2 || count > MAX_STATES) {
+            throw new Error(`A Generations rule needs 2 to ${MAX_STATES} states`);
+        }
+        sets.states = count;
+    }
+    return sets;
+}
+
+function resolveSurvive(value, maxNeighbors) {
+    if (typeof value === 'string') {
+        return parseNeighborSet(value, maxNeighbors);
+    }
+    if (Array.isArray(value) && value.length === 2) {
+        const [min, max] = value;
+        return rangeOf(Math.max(0, min), Math.min(maxNeighbors, max));
+    }
+    throw new Error('survive must be [min, max] or a set string like "4,6-8"');
+}
+
+function resolveBirth(value, maxNeighbors) {
+    if (typeof value === 'string') {
+        return parseNeighborSet(value, maxNeighbors);
+    }
+    if (typeof value === 'number') {
+        return rangeOf(Math.max(0, value), maxNeighbors);
+    }
+    throw new Error('birth must be a threshold number or a set string like "5,7"');
+}
+
+function rangeOf(low, high) {
+    const counts = [];
+    for (let n = low; n <= high; n++) {
+        counts.push(n);
+    }
+    return counts;
+}
@@ -0,0 +1,280 @@
+/**
+ * Rule Preview for 3D Game of Life
+ * Runs the rule being edited on a small headless SimulationGrid and draws it on a 2D canvas,
+ * either as a slowly rotating projection of the cube or as a stack of z slices. The preview
+ * uses the same engine and neighborhood as the main view, and the same boundary: the rule's own,
+ * or else the one selected in the control panel (see setBoundary), so it shows what Apply will do.
+ * Cells take the main view's color mode and palette (see setColors).
+ *
+ * Every run starts from the same seeded sphere so edits can be compared; once a run dies out
+ * or settles into a cycle it is shown for a moment and then starts over.
+ */
+
+import { RuleEngine } from './rules.js';
+import { SimulationGrid } from './simulation.js';
+import { DEFAULT_SEEDING } from './seeding.js';
+import { describeCycleStatus } from './cycleDetector.js';
+import {
+    DEFAULT_COLOR_MODE, DEFAULT_PALETTE, createColorizer, needsNeighborCounts, cssColor
+} from './colorModes.js';
+
+export const PREVIEW_MODES = {
+    'rotate': 'Rotating',
+    'slices': 'Slices'
+};
+
+const PREVIEW_SIZE = 20;
+const PREVIEW_SEEDING = { ...DEFAULT_SEEDING, seed: 1 };
+const STEP_INTERVAL = 150;   // ms between generations
+const ROTATION_SPEED = 0.4;  // radians per second
+const TILT = 0.5;            // radians the view looks down onto the cube
+const RESTART_AFTER = 20;    // generations a settled run is shown before starting over
+
+export class RulePreview {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.ctx = canvas.getContext('2d');
+        this.onUpdate = options.onUpdate || (() => {});
+        this.size = options.size || PREVIEW_SIZE;
+        this.mode = 'rotate';
+
+        // The control panel's boundary, used unless the rule declares one
+        this.boundary = options.boundary || 'wall';
+        this.ruleBoundary = undefined;
+
+        // The main view's color mode and palette
+        this.colorMode = DEFAULT_COLOR_MODE;
+        this.palette = DEFAULT_PALETTE;
+
+        this.grid = null;
+        this.rulesKey = null;
+        this.settledFor = 0;
+
+        // Animation: rotation advances every frame, generations every STEP_INTERVAL
+        this.angle = 0.6;
+        this.frame = null;
+        this.lastFrameTime = 0;
+        this.lastStepTime = 0;
+    }
+
+    /**
+     * Run a rule config, in the format RuleEngine.loadCustom accepts. The run restarts unless
+     * only the rule's name or description changed. Throws for an invalid config.
+     */
+    setRules(config) {
+        const key = JSON.stringify({ ...config, name: undefined, description: undefined });
+        if (key === this.rulesKey) return;
+
+        const engine = new RuleEngine();
+        engine.loadCustom(config);
+        this.rulesKey = key;
+        this.ruleBoundary = config.boundary;
+        this.grid = new SimulationGrid(engine, this.size, config.boundary || this.boundary);
+        this.reset();
+    }
+
+    /**
+     * Follow the boundary selected in the control panel. A rule that declares its own boundary
+     * keeps it, as it does when applied.
+     */
+    setBoundary(mode) {
+        this.boundary = mode;
+        if (!this.grid || this.ruleBoundary) return;
+        this.grid.setBoundary(mode);
+        this.reset();
+    }
+
+    /**
+     * Color cells as the main view does (see colorModes.js).
+     */
+    setColors(colorMode, palette) {
+        this.colorMode = colorMode;
+        this.palette = palette;
+        this.draw();
+    }
+
+    setMode(mode) {
+        if (!PREVIEW_MODES[mode]) return;
+        this.mode = mode;
+        this.draw();
+    }
+
+    reset() {
+        if (!this.grid) return;
+        this.grid.reset(PREVIEW_SEEDING);
+        this.settledFor = 0;
+        this.draw();
+        this.onUpdate(this.getStats());
+    }
+
+    step() {
+        if (!this.grid) return;
+        if (this.grid.cycleStatus.state !== 'running' && ++this.settledFor > RESTART_AFTER) {
+            this.reset();
+            return;
+        }
+        this.grid.step();
+        this.onUpdate(this.getStats());
+    }
+
+    /**
+     * Population, generation, and the adaptive phase or cycle status of the run.
+     */
+    getStats() {
+        const grid = this.grid;
+        const running = grid.cycleStatus.state === 'running';
+        return {
+            population: grid.totalCount,
+            generation: grid.generation,
+            status: running && grid.isAdaptive() ? grid.getPhaseName() : describeCycleStatus(grid.cycleStatus)
+        };
+    }
+
+    start() {
+        if (this.frame !== null) return;
+        this.lastFrameTime = this.lastStepTime = performance.now();
+
+        const tick = (now) => {
+            const stepped = now - this.lastStepTime >= STEP_INTERVAL;
+            if (stepped) {
+                this.lastStepTime = now;
+                this.step();
+            }
+            this.angle += ROTATION_SPEED * (now - this.lastFrameTime) / 1000;
+            this.lastFrameTime = now;
+            if (stepped || this.mode === 'rotate') this.draw();
+            this.frame = requestAnimationFrame(tick);
+        };
+        this.frame = requestAnimationFrame(tick);
+    }
+
+    stop() {
+        if (this.frame !== null) {
+            cancelAnimationFrame(this.frame);
+            this.frame = null;
+        }
+    }
+
+    draw() {
+        const { canvas, ctx } = this;
+        ctx.fillStyle = '#0a0a12';
+        ctx.fillRect(0, 0, canvas.width, canvas.height);
+        if (!this.grid) return;
+
+        const cells = this.grid.getVisibleCells(needsNeighborCounts(this.colorMode));
+        if (this.mode === 'slices') {
+            this.drawSlices(cells);
+        } else {
+            this.drawProjection(cells);
+        }
+    }
+
+    /**
+     * CSS color of a cell under the current color mode, darkened by brightness (0..1).
+     */
+    createCellColor() {
+        const grid = this.grid;
+        const engine = grid.ruleEngine;
+        const colorize = createColorizer(this.colorMode, this.palette, {
+            gridSize: this.size,
+            stateCount: engine.stateCount,
+            maxNeighbors: engine.maxNeighbors,
+            phase: engine.phases ? grid.phase : null,
+            phases: engine.phases ? engine.phases.names : null
+        });
+        const rgb = [0, 0, 0];
+        return (cell, brightness) => {
+            colorize(cell, rgb, 0);
+            return cssColor(rgb.map(value => value * brightness));
+        };
+    }
+
+    /**
+     * Orthographic view of the cube turning about its vertical axis, cells painted far to near.
+     */
+    drawProjection(cells) {
+        const { canvas, ctx, size } = this;
+        const scale = Math.min(canvas.width, canvas.height) / (size * 1.8);
+        const half = (size - 1) / 2;
+        const cos = Math.cos(this.angle);
+        const sin = Math.sin(this.angle);
+        const tiltCos = Math.cos(TILT);
+        const tiltSin = Math.sin(TILT);
+
+        // Screen position and depth (larger is nearer) of a grid coordinate
+        const project = (x, y, z) => {
+            const px = x - half;
+            const py = y - half;
+            const pz = z - half;
+            const rx = px * cos + pz * sin;
+            const rz = pz * cos - px * sin;
+            return {
+                x: canvas.width / 2 + rx * scale,
+                y: canvas.height / 2 - (py * tiltCos - rz * tiltSin) * scale,
+                depth: py * tiltSin + rz * tiltCos
+            };
+        };
+
+        // Outline of the grid volume
+        const low = -0.5;
+        const high = size - 0.5;
+        const corners = [];
+        for (let i = 0; i < 8; i++) {
+            corners.push(project(i & 1 ? high : low, i & 2 ? high : low, i & 4 ? high : low));
+        }
+        ctx.strokeStyle = 'rgba(96, 128, 255, 0.25)';
+        ctx.lineWidth = 1;
+        ctx.beginPath();
+        for (let i = 0; i < 8; i++) {
+            for (const bit of [1, 2, 4]) {
+                if (i & bit) continue;
+                ctx.moveTo(corners[i].x, corners[i].y);
+                ctx.lineTo(corners[i | bit].x, corners[i | bit].y);
+            }
+        }
+        ctx.stroke();
+
+        const points = cells.map(cell => ({ cell, ...project(cell.x, cell.y, cell.z) }));
+        points.sort((a, b) => a.depth - b.depth);
+
+        const cellColor = this.createCellColor();
+        const side = Math.max(1, scale * 0.85);
+        const reach = size * 0.87;
+        for (const point of points) {
+            const brightness = 0.4 + 0.6 * Math.min(1, Math.max(0, (point.depth + reach) / (2 * reach)));
+            ctx.fillStyle = cellColor(point.cell, brightness);
+            ctx.fillRect(point.x - side / 2, point.y - side / 2, side, side);
+        }
+    }
+
+    /**
+     * Every z layer as its own 2D tile, bottom layer first, laid out left to right.
+     */
+    drawSlices(cells) {
+        const { canvas, ctx, size } = this;
+        const columns = Math.ceil(Math.sqrt(size));
+        const rows = Math.ceil(size / columns);
+        const tile = Math.floor(Math.min(canvas.width / columns, canvas.height / rows));
+        const cellSize = (tile - 2) / size;
+        const left = (canvas.width - tile * columns) / 2;
+        const top = (canvas.height - tile * rows) / 2;
+        const tileX = (z) => left + (z % columns) * tile + 1;
+        const tileY = (z) => top + Math.floor(z / columns) * tile + 1;
+
+        ctx.fillStyle = '#141424';
+        for (let z = 0; z < size; z++) {
+            ctx.fillRect(tileX(z), tileY(z), tile - 2, tile - 2);
+        }
+
+        const cellColor = this.createCellColor();
+        for (const cell of cells) {
+            ctx.fillStyle = cellColor(cell, 1);
+            ctx.fillRect(
+                tileX(cell.z) + cell.x * cellSize,
+                tileY(cell.z) + (size - 1 - cell.y) * cellSize,
+                Math.max(1, cellSize - 0.5),
+                Math.max(1, cellSize - 0.5)
+            );
+        }
+    }
+}
@@ -0,0 +1,178 @@
+/**
+ * Rule Registry for 3D Game of Life
+ * Discovers rule presets listed in rules/index.json and loads each one from rules/<key>.json,
+ * so adding a rule only requires dropping in a JSON file and listing it in the manifest.
+ *
+ * Rules saved from the Rule Editor go to a library kept in Web Storage (localStorage in the
+ * browser) under "my-<name>" keys, in the same format as the preset files, and are listed
+ * after the presets.
+ */
+
+import { DEFAULT_RULE, DEFAULT_PRESET } from './rules.js';
+import { validateRule, formatProblem, RuleValidationError } from './ruleValidation.js';
+
+const LIBRARY_STORAGE_KEY = 'gol3d.ruleLibrary';
+const LIBRARY_KEY_PREFIX = 'my-';
+
+export class RuleRegistry {
+    constructor(basePath = 'rules') {
+        this.basePath = basePath;
+        this.presets = new Map();
+
+        // Keys of rules saved by the user, and the storage they persist to
+        this.library = new Set();
+        this.storage = null;
+    }
+
+    /**
+     * Fetch the manifest and every preset it lists.
+     * Presets that fail to load or validate are skipped with a warning.
+     */
+    async load() {
+        let keys = [];
+        try {
+            const manifest = await this.fetchJSON(`${this.basePath}/index.json`);
+            keys = Array.isArray(manifest.presets) ? manifest.presets : [];
+        } catch (err) {
+            console.warn(`Could not load rule manifest: ${err.message}`);
+        }
+
+        const loaded = await Promise.all(keys.map(async (key) => {
+            try {
+                return [key, await this.fetchJSON(`${this.basePath}/${key}.json`)];
+            } catch (err) {
+                console.warn(`Could not load rule preset "${key}": ${err.message}`);
+                return null;
+            }
+        }));
+
+        // Register in manifest order so dropdowns follow it
+        for (const entry of loaded) {
+            if (entry) this.register(entry[0], entry[1]);
+        }
+
+        // Always keep a usable default, even when served without the rules folder
+        if (!this.presets.has(DEFAULT_PRESET)) {
+            this.presets.set(DEFAULT_PRESET, DEFAULT_RULE);
+        }
+    }
+
+    async fetchJSON(url) {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`${response.status} ${response.statusText}`);
+        }
+        return response.json();
+    }
+
+    /**
+     * Add a preset under the given key. Returns false if the config is malformed.
+     */
+    register(key, config) {
+        const problem = validatePreset(config);
+        if (problem) {
+            console.warn(`Skipping rule preset "${key}": ${problem}`);
+            return false;
+        }
+        this.presets.set(key, config);
+        return true;
+    }
+
+    has(key) {
+        return this.presets.has(key);
+    }
+
+    get(key) {
+        return this.presets.get(key) || null;
+    }
+
+    list() {
+        return Array.from(this.presets.entries()).map(([key, config]) => ({
+            key,
+            name: config.name || key,
+            description: config.description || '',
+            library: this.library.has(key)
+        }));
+    }
+
+    /**
+     * Add the user's saved rules from a Web Storage object, which later saves also write to.
+     * An unreadable library and saved rules that no longer validate are skipped with a warning.
+     */
+    loadLibrary(storage) {
+        this.storage = storage;
+        let saved = {};
+        try {
+            saved = JSON.parse(storage.getItem(LIBRARY_STORAGE_KEY) || '{}');
+        } catch (err) {
+            console.warn(`Could not read the rule library: ${err.message}`);
+        }
+        if (saved === null || typeof saved !== 'object' || Array.isArray(saved)) {
+            console.warn('Could not read the rule library: it is not an object of saved rules');
+            saved = {};
+        }
+        for (const [key, config] of Object.entries(saved)) {
+            if (this.register(key, config)) this.library.add(key);
+        }
+    }
+
+    isLibraryRule(key) {
+        return this.library.has(key);
+    }
+
+    /**
+     * Save a rule to the library under a key derived from its name, replacing any saved rule
+     * with the same name. Throws a RuleValidationError for an invalid rule.
+     * @returns {string} the rule's key
+     */
+    saveToLibrary(config) {
+        const problems = validateRule(config);
+        if (problems.length) throw new RuleValidationError(problems);
+
+        // Stored as plain JSON, so keep exactly what a reload would give back
+        const saved = JSON.parse(JSON.stringify(config));
+        const key = libraryKey(saved.name);
+        this.presets.set(key, saved);
+        this.library.add(key);
+        this.persistLibrary();
+        return key;
+    }
+
+    removeFromLibrary(key) {
+        if (!this.library.delete(key)) return false;
+        this.presets.delete(key);
+        this.persistLibrary();
+        return true;
+    }
+
+    persistLibrary() {
+        if (!this.storage) return;
+        const saved = {};
+        for (const key of this.library) saved[key] = this.presets.get(key);
+        try {
+            this.storage.setItem(LIBRARY_STORAGE_KEY, JSON.stringify(saved));
+        } catch (err) {
+            console.warn(`Could not save the rule library: ${err.message}`);
+        }
+    }
+}
+
+/**
+ * File-name friendly form of a rule name, e.g. "Slow Crystal" -> "slow-crystal".
+ */
+export function ruleSlug(name) {
+    const slug = String(name || '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-+|-+$/g, '');
+    return slug || 'rule';
+}
+
+function libraryKey(name) {
+    return LIBRARY_KEY_PREFIX + ruleSlug(name);
+}
+
+/**
+ * Check a preset with the same rules as RuleEngine. Returns a problem description or null.
+ */
+function validatePreset(config) {
+    const problems = validateRule(config);
+    return problems.length ? problems.map(formatProblem).join('; ') : null;
+}
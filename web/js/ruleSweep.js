@@ -0,0 +1,104 @@
+/**
+ * Rule Sweep for 3D Game of Life
+ * Builds the candidate rules of a survive/birth parameter sweep and runs each one headless on a
+ * small SimulationGrid, classifying the result (see ruleClassifier.js). Used by the rule explorer,
+ * through ruleSweepWorker.js when workers are available.
+ *
+ * A sweep gives ranges for the low and high ends of the survive and birth intervals; every
+ * combination with low <= high becomes a "B<birth>/S<survive>" rule on the Moore neighborhood.
+ * Rows of the result grid are survive intervals, columns are birth intervals.
+ */
+
+import { RuleEngine } from './rules.js';
+import { SimulationGrid } from './simulation.js';
+import { formatRuleString, formatNeighborSet } from './ruleNotation.js';
+import { classifyRun, EXPLODE_FRACTION } from './ruleClassifier.js';
+
+const MAX_NEIGHBORS = 26;
+
+// Sweeps beyond this many rules are refused; each one is a full headless run
+export const MAX_CANDIDATES = 600;
+
+export const DEFAULT_SWEEP = {
+    surviveMin: [3, 6],
+    surviveMax: [4, 8],
+    birthMin: [5, 7],
+    birthMax: [5, 7]
+};
+
+// Every rule runs from the same seeded start so results are comparable and repeatable
+export const DEFAULT_RUN_OPTIONS = {
+    size: 24,
+    generations: 60,
+    boundary: 'wall',
+    seeding: { strategy: 'random', radius: 6, density: 0.35, seed: 1 }
+};
+
+/**
+ * Expand a sweep into result grid rows, columns and candidate rules.
+ * @returns {{ rows: Object[], columns: Object[], candidates: Object[] }} where rows and columns
+ *   are { min, max, label } intervals and candidates are { row, column, rule }
+ */
+export function buildSweep(sweep = DEFAULT_SWEEP) {
+    const rows = intervals(sweep.surviveMin, sweep.surviveMax, 'S');
+    const columns = intervals(sweep.birthMin, sweep.birthMax, 'B');
+
+    const candidates = [];
+    rows.forEach((survive, row) => {
+        columns.forEach((birth, column) => {
+            candidates.push({
+                row,
+                column,
+                rule: formatRuleString({ survive: survive.counts, birth: birth.counts })
+            });
+        });
+    });
+
+    return { rows, columns, candidates };
+}
+
+/**
+ * Run one rule headless and classify it.
+ * @returns {{ rule, classification, population, generation, cycle }}
+ */
+export function exploreRule(rule, options = {}) {
+    const settings = { ...DEFAULT_RUN_OPTIONS, ...options };
+    const engine = new RuleEngine();
+    engine.loadCustom({ name: rule, rule });
+
+    const grid = new SimulationGrid(engine, settings.size, settings.boundary);
+    grid.reset(settings.seeding);
+
+    // Stop early once the outcome is settled: a cycle, or an explosion filling the grid
+    const volume = settings.size * settings.size * settings.size;
+    const populations = [grid.totalCount];
+    for (let i = 0; i < settings.generations; i++) {
+        grid.step();
+        populations.push(grid.totalCount);
+        if (grid.cycleStatus.state !== 'running' || grid.totalCount > volume * EXPLODE_FRACTION) break;
+    }
+
+    return {
+        rule,
+        classification: classifyRun({ populations, cycle: grid.cycleStatus, volume }),
+        population: grid.totalCount,
+        generation: grid.generation,
+        cycle: grid.cycleStatus
+    };
+}
+
+function intervals([lowFrom, lowTo], [highFrom, highTo], prefix) {
+    const result = [];
+    for (let min = clampCount(lowFrom); min <= clampCount(lowTo); min++) {
+        for (let max = Math.max(min, clampCount(highFrom)); max <= clampCount(highTo); max++) {
+            const counts = [];
+            for (let n = min; n <= max; n++) counts.push(n);
+            result.push({ min, max, counts, label: `${prefix}${formatNeighborSet(counts)}` });
+        }
+    }
+    return result;
+}
+
+function clampCount(value) {
+    return Math.max(0, Math.min(MAX_NEIGHBORS, Math.round(value)));
+}
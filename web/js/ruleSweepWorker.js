@@ -0,0 +1,23 @@
+/**
+ * Web Worker entry point for the rule explorer: runs sweep candidates off the main thread.
+ *
+ * Message: { type: 'explore', rules, options }  (rule strings and run options, see ruleSweep.js)
+ * Replies: { type: 'result', index, result } per rule (or { type: 'result', index, error }),
+ *          then { type: 'done' }. The explorer terminates the worker to cancel a sweep.
+ */
+
+import { exploreRule } from './ruleSweep.js';
+
+self.onmessage = (e) => {
+    if (e.data.type !== 'explore') return;
+
+    const { rules, options } = e.data;
+    rules.forEach((rule, index) => {
+        try {
+            self.postMessage({ type: 'result', index, result: exploreRule(rule, options) });
+        } catch (err) {
+            self.postMessage({ type: 'result', index, error: err.message });
+        }
+    });
+    self.postMessage({ type: 'done' });
+};
@@ -0,0 +1,260 @@
+/**
+ * Rule Validation for 3D Game of Life
+ * Checks a rule config (the JSON accepted by RuleEngine.loadCustom, rule presets and the rule
+ * editor) before it is compiled. Every problem is reported with the field it was found in, e.g.
+ * "states.decay: missing" or "survive: must be [min, max] or a set string like "4,6-8"", so a
+ * broken rule can be explained to the user instead of failing later at step time.
+ * Adaptive rules also have their phase program checked: thresholds, hysteresis, the initial
+ * phase and transitions (see phases.js).
+ */
+
+import { parseNeighborSet, parseRuleString, MAX_STATES } from './ruleNotation.js';
+import { resolveNeighborhood } from './neighborhoods.js';
+import { BOUNDARY_MODES } from './simulation.js';
+import { DEFAULT_PHASES, DEFAULT_PHASE_NAMES, MAX_HYSTERESIS, isThresholdValue } from './phases.js';
+
+const PHASE_KEYS = ['initial', 'thresholds', 'hysteresis', 'transitions'];
+const TRANSITION_KEYS = ['from', 'to', 'above', 'below'];
+
+/**
+ * Thrown by RuleEngine for a config that fails validation.
+ * problems holds every { field, message } found; the message lists them all.
+ */
+export class RuleValidationError extends Error {
+    constructor(problems) {
+        super(problems.map(formatProblem).join('; '));
+        this.name = 'RuleValidationError';
+        this.problems = problems;
+    }
+}
+
+export function formatProblem({ field, message }) {
+    return field ? `${field}: ${message}` : message;
+}
+
+/**
+ * List the problems with a rule config.
+ * A "states" table makes the rule adaptive, as in RuleEngine.loadCustom; a numeric "states"
+ * is a Generations state count.
+ * @returns {{ field: string, message: string }[]} empty when the config is valid
+ */
+export function validateRule(config) {
+    if (!isObject(config)) {
+        return [{ field: '', message: 'a rule must be a JSON object' }];
+    }
+
+    const problems = [];
+    const report = (field, message) => problems.push({ field, message });
+
+    if (config.name !== undefined && typeof config.name !== 'string') {
+        report('name', 'must be a string');
+    }
+    if (config.boundary !== undefined && !BOUNDARY_MODES[config.boundary]) {
+        report('boundary', `unknown mode ${JSON.stringify(config.boundary)}, expected one of ${Object.keys(BOUNDARY_MODES).join(', ')}`);
+    }
+
+    // The neighborhood sets the highest neighbor count, and a rule string may name it
+    let notation = {};
+    if (typeof config.rule === 'string') {
+        try {
+            notation = parseRuleString(config.rule, Infinity);
+        } catch (err) {
+            // Reported with the rule's counts below
+        }
+    }
+    let maxNeighbors = 26;
+    try {
+        maxNeighbors = resolveNeighborhood(config.neighborhood || notation.neighborhood).offsets.length;
+    } catch (err) {
+        report('neighborhood', err.message);
+    }
+
+    if (isObject(config.states) || config.adaptive) {
+        validateStateTable(config, maxNeighbors, report);
+    } else {
+        if (config.states !== undefined &&
+            (!Number.isInteger(config.states) || config.states < 2 || config.states > MAX_STATES)) {
+            report('states', `must be an integer from 2 to ${MAX_STATES}, or a table of adaptive states`);
+        }
+        validateRuleSets(config, '', maxNeighbors, report);
+        for (const key of PHASE_KEYS) {
+            if (config[key] !== undefined) report(key, 'only adaptive rules have phases');
+        }
+    }
+
+    return problems;
+}
+
+function validateStateTable(config, maxNeighbors, report) {
+    if (!isObject(config.states)) {
+        report('states', 'adaptive rules need a table with growth, decay and stable entries');
+        return;
+    }
+    if (config.adaptive === false) {
+        report('adaptive', 'is false, but states is a table of adaptive states');
+    }
+
+    // Without transitions the rule runs the default growth/decay/stable program
+    const custom = config.transitions !== undefined;
+    const names = custom ? Object.keys(config.states) : DEFAULT_PHASE_NAMES;
+    if (custom) {
+        if (!names.length) report('states', 'needs at least one phase');
+        for (const name of names) {
+            if (!name.trim() || name === '*') report(`states.${JSON.stringify(name)}`, 'is not a usable phase name');
+            validateRuleSets(config.states[name], `states.${name}`, maxNeighbors, report);
+        }
+    } else {
+        for (const state of DEFAULT_PHASE_NAMES) {
+            validateRuleSets(config.states[state], `states.${state}`, maxNeighbors, report);
+        }
+        for (const key of Object.keys(config.states)) {
+            if (!DEFAULT_PHASE_NAMES.includes(key)) {
+                report(`states.${key}`, `unknown state, expected one of ${DEFAULT_PHASE_NAMES.join(', ')}`);
+            }
+        }
+    }
+
+    const thresholds = custom ? {} : { ...DEFAULT_PHASES.thresholds };
+    if (config.thresholds !== undefined) {
+        if (!isObject(config.thresholds)) {
+            report('thresholds', 'must be an object of named thresholds, like { "upper": "0.5%" }');
+        } else {
+            for (const [name, value] of Object.entries(config.thresholds)) {
+                if (!isThresholdValue(value)) {
+                    report(`thresholds.${name}`, 'must be a cell count, a fraction of the grid volume below 1, or a percentage like "0.5%"');
+                }
+                thresholds[name] = value;
+            }
+        }
+    }
+
+    if (config.hysteresis !== undefined &&
+        (typeof config.hysteresis !== 'number' || !(config.hysteresis >= 0 && config.hysteresis <= MAX_HYSTERESIS))) {
+        report('hysteresis', `must be a number from 0 to ${MAX_HYSTERESIS}`);
+    }
+    if (config.initial !== undefined) {
+        validatePhaseName(config.initial, 'initial', names, report);
+    }
+    if (custom) {
+        validateTransitions(config.transitions, names, thresholds, report);
+    }
+}
+
+function validateTransitions(transitions, names, thresholds, report) {
+    if (!Array.isArray(transitions) || !transitions.length) {
+        report('transitions', 'must be a list of transitions like { "to": "decay", "above": "upper" }');
+        return;
+    }
+    transitions.forEach((transition, i) => {
+        const path = `transitions[${i}]`;
+        if (!isObject(transition)) {
+            report(path, 'must be an object with "to", and optionally "from", "above" and "below"');
+            return;
+        }
+        for (const key of Object.keys(transition)) {
+            if (!TRANSITION_KEYS.includes(key)) report(`${path}.${key}`, 'unknown key');
+        }
+
+        if (transition.to === undefined) {
+            report(`${path}.to`, 'missing, give the phase to switch to');
+        } else {
+            validatePhaseName(transition.to, `${path}.to`, names, report);
+        }
+
+        const from = transition.from;
+        if (Array.isArray(from) && from.length) {
+            from.forEach((name, j) => validatePhaseName(name, `${path}.from[${j}]`, names, report));
+        } else if (from !== undefined && from !== '*') {
+            validatePhaseName(from, `${path}.from`, names, report);
+        }
+
+        for (const key of ['above', 'below']) {
+            const value = transition[key];
+            if (value === undefined || Object.hasOwn(thresholds, value) || isThresholdValue(value)) continue;
+            const known = Object.keys(thresholds).join(', ') || 'none defined';
+            report(`${path}.${key}`, `must be a threshold name (${known}) or a threshold value`);
+        }
+    });
+}
+
+function validatePhaseName(name, field, names, report) {
+    if (typeof name !== 'string') {
+        report(field, 'must be a phase name');
+    } else if (!names.includes(name)) {
+        report(field, `unknown phase ${JSON.stringify(name)}, expected one of ${names.join(', ')}`);
+    }
+}
+
+/**
+ * A rule string, or survive and birth, for the static rule (path '') or one adaptive phase.
+ */
+function validateRuleSets(rules, path, maxNeighbors, report) {
+    const field = (key) => path ? `${path}.${key}` : key;
+
+    if (rules === undefined) {
+        report(path, 'missing');
+        return;
+    }
+    if (!isObject(rules)) {
+        report(path, 'must be an object with a rule string, or survive and birth');
+        return;
+    }
+
+    if (rules.rule !== undefined) {
+        if (typeof rules.rule !== 'string') {
+            report(field('rule'), 'must be a rule string like "B5/S4-5"');
+            return;
+        }
+        try {
+            parseRuleString(rules.rule, maxNeighbors);
+        } catch (err) {
+            report(field('rule'), err.message);
+        }
+        return;
+    }
+
+    validateSurvive(rules.survive, field('survive'), maxNeighbors, report);
+    validateBirth(rules.birth, field('birth'), maxNeighbors, report);
+}
+
+function validateSurvive(value, field, maxNeighbors, report) {
+    if (value === undefined) {
+        report(field, 'missing, give [min, max] or a set string like "4,6-8"');
+    } else if (typeof value === 'string') {
+        validateNeighborSet(value, field, maxNeighbors, report);
+    } else if (!Array.isArray(value) || value.length !== 2) {
+        report(field, 'must be [min, max] or a set string like "4,6-8"');
+    } else if (!isCount(value[0]) || !isCount(value[1])) {
+        report(field, 'min and max must be whole numbers of neighbors');
+    } else if (value[0] > value[1]) {
+        report(field, `min ${value[0]} is greater than max ${value[1]}`);
+    }
+}
+
+function validateBirth(value, field, maxNeighbors, report) {
+    if (value === undefined) {
+        report(field, 'missing, give a threshold number or a set string like "5,7"');
+    } else if (typeof value === 'string') {
+        validateNeighborSet(value, field, maxNeighbors, report);
+    } else if (typeof value !== 'number') {
+        report(field, 'must be a threshold number or a set string like "5,7"');
+    } else if (!isCount(value)) {
+        report(field, 'must be a whole number of neighbors');
+    }
+}
+
+function validateNeighborSet(text, field, maxNeighbors, report) {
+    try {
+        parseNeighborSet(text, maxNeighbors);
+    } catch (err) {
+        report(field, err.message);
+    }
+}
+
+function isCount(value) {
+    return Number.isInteger(value) && value >= 0;
+}
+
+function isObject(value) {
+    return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
@@ -1,122 +1,204 @@
 /**
  * Pluggable Rules Engine for 3D Game of Life
- * Supports JSON-based rule configurations with both adaptive (state-based) and static modes.
+ * Supports JSON-based rule configurations with both adaptive (state-based) and static modes,
+ * plus multi-state Generations rules with dying/decay states.
+ * Survive/birth may be given as legacy min/threshold values, neighbor-count sets or rule strings
+ * (see ruleNotation.js), counted over the rule's neighborhood (see neighborhoods.js).
+ * Adaptive rules switch between named phases, each with its own survive/birth sets, as the
+ * population changes (see phases.js).
+ * Configs are validated before they replace the current rule (see ruleValidation.js).
  */
 
-// Built-in rule presets
-const PRESETS = {
-    'default': {
-        name: '3D Life',
-        description: 'Simple 3D cellular automaton with balanced survival and birth rules',
-        adaptive: false,
-        survive: [4, 5],   // Survive with 4-5 neighbors
-        birth: 5           // Born with exactly 5 neighbors
-    },
-    'conway-classic': {
-        name: 'Conway Classic 3D',
-        description: 'Traditional 2D rules adapted to 3D - tends toward extinction or explosion',
-        adaptive: false,
-        survive: [5, 7],   // Survive with 5-7 neighbors
-        birth: 6           // Born with exactly 6 neighbors
-    },
-    'crystal': {
-        name: 'Crystal Growth',
-        description: 'Slow, structured growth patterns resembling crystal formation',
-        adaptive: false,
-        survive: [4, 6],
-        birth: 5
-    },
-    'adaptive': {
-        name: 'Adaptive',
-        description: 'Growth/decay/stable phases with population-based state transitions',
-        adaptive: true,
-        states: {
-            growth:  { survive: [3, 15], birth: 9 },
-            decay:   { survive: [7, 13], birth: 12 },
-            stable:  { survive: [4, 14], birth: 11 }
-        }
-    }
+import { resolveRuleSets, parseRuleString, formatRuleString } from './ruleNotation.js';
+import { resolveNeighborhood } from './neighborhoods.js';
+import { validateRule, RuleValidationError } from './ruleValidation.js';
+import { PhaseMachine } from './phases.js';
+
+// Fallback used when no registry is available or a preset is missing.
+// Presets themselves live in web/rules/*.json and are loaded by RuleRegistry.
+const DEFAULT_RULE = {
+    name: '3D Life',
+    description: 'Simple 3D cellular automaton with balanced survival and birth rules',
+    adaptive: false,
+    survive: [4, 5],   // Survive with 4-5 neighbors
+    birth: 5           // Born with 5 or more neighbors
 };
 
+// Preset key of DEFAULT_RULE, the rule the app and the command-line runner start with
+const DEFAULT_PRESET = '3d-life';
+
 export class RuleEngine {
-    constructor(presetName = 'default') {
+    constructor(registry = null, presetName = DEFAULT_PRESET) {
+        this.registry = registry;
         this.loadPreset(presetName);
     }
 
     loadPreset(name) {
-        const preset = PRESETS[name];
+        const preset = this.registry ? this.registry.get(name) : null;
         if (!preset) {
-            console.warn(`Unknown preset "${name}", using default`);
-            this.config = PRESETS['default'];
+            if (this.registry) console.warn(`Unknown preset "${name}", using default`);
+            this.setConfig((this.registry && this.registry.get(DEFAULT_PRESET)) || DEFAULT_RULE);
         } else {
-            this.config = preset;
+            this.setConfig(preset);
         }
         this.name = this.config.name;
     }
 
+    /**
+     * Load a user-supplied rule config. Throws a RuleValidationError listing every problem,
+     * leaving the current rule in place, if the config is invalid.
+     */
     loadCustom(jsonConfig) {
-        // Convert states format to internal format if needed
-        if (jsonConfig.states) {
-            this.config = {
+        const problems = validateRule(jsonConfig);
+        if (problems.length) throw new RuleValidationError(problems);
+
+        // Convert the adaptive phase tables to internal format if needed
+        // (a numeric "states" is a Generations state count and passes through unchanged)
+        if (jsonConfig.states && typeof jsonConfig.states === 'object') {
+            const states = {};
+            for (const [phase, { rule, survive, birth }] of Object.entries(jsonConfig.states)) {
+                states[phase] = rule !== undefined ? { rule } : { survive, birth };
+            }
+            this.setConfig({
                 name: jsonConfig.name || 'Custom Rules',
                 adaptive: true,
-                states: {
-                    growth: { survive: jsonConfig.states.growth.survive, birth: jsonConfig.states.growth.birth },
-                    decay: { survive: jsonConfig.states.decay.survive, birth: jsonConfig.states.decay.birth },
-                    stable: { survive: jsonConfig.states.stable.survive, birth: jsonConfig.states.stable.birth }
-                }
-            };
+                neighborhood: jsonConfig.neighborhood,
+                boundary: jsonConfig.boundary,
+                states,
+                initial: jsonConfig.initial,
+                thresholds: jsonConfig.thresholds,
+                hysteresis: jsonConfig.hysteresis,
+                transitions: jsonConfig.transitions
+            });
         } else {
-            this.config = jsonConfig;
+            this.setConfig(jsonConfig);
         }
         this.name = this.config.name || 'Custom Rules';
     }
 
+    /**
+     * Swap in a config, resolve its neighborhood and precompute survive/birth
+     * lookup tables indexed by neighbor count (0..maxNeighbors).
+     * Throws a RuleValidationError, keeping the current config, if the config is invalid.
+     */
+    setConfig(config) {
+        const problems = validateRule(config);
+        if (problems.length) throw new RuleValidationError(problems);
+        // A states table makes the rule adaptive, with or without the flag
+        if (!config.adaptive && typeof config.states === 'object') {
+            config = { ...config, adaptive: true };
+        }
+
+        // A rule string may carry a state count and neighborhood; explicit keys take precedence
+        const notation = typeof config.rule === 'string' ? parseRuleString(config.rule, Infinity) : {};
+        const neighborhood = resolveNeighborhood(config.neighborhood || notation.neighborhood);
+        const maxNeighbors = neighborhood.offsets.length;
+
+        // A numeric "states" is a Generations state count; an object is the adaptive state table
+        const stateCount = typeof config.states === 'number' ? config.states : (notation.states || 2);
+
+        const tables = {};
+        if (config.adaptive) {
+            for (const [phase, rules] of Object.entries(config.states)) {
+                tables[phase] = buildTables(resolveRuleSets(rules, maxNeighbors), maxNeighbors);
+            }
+        } else {
+            tables.static = buildTables(resolveRuleSets(config, maxNeighbors), maxNeighbors);
+        }
+
+        this.config = config;
+        this.neighborhood = neighborhood;
+        this.maxNeighbors = maxNeighbors;
+        this.stateCount = stateCount;
+        this.tables = tables;
+        this.phases = config.adaptive ? new PhaseMachine(config) : null;
+    }
+
+    /**
+     * Generations rules have more than two states: live cells that fail to survive
+     * pass through dying states 2..stateCount-1 before becoming empty.
+     */
+    isGenerations() {
+        return this.stateCount > 2;
+    }
+
+    /**
+     * Next state of a cell: 0 = empty, 1 = alive, 2..stateCount-1 = dying.
+     * Dying cells ignore their neighbors and cannot be reborn until they are empty.
+     */
+    nextState(state, neighbors, phase) {
+        if (state === 0) {
+            return this.isAlive(false, neighbors, phase) ? 1 : 0;
+        }
+        if (state === 1) {
+            if (this.isAlive(true, neighbors, phase)) return 1;
+            return this.stateCount > 2 ? 2 : 0;
+        }
+        return state + 1 < this.stateCount ? state + 1 : 0;
+    }
+
     /**
      * Determine if a cell should be alive next generation.
      * @param {boolean} wasAlive - Cell's previous state
-     * @param {number} neighbors - Count of live neighbors (0-26)
-     * @param {number} growthState - Current simulation state (1=growth, 0=stable, -1=decay)
+     * @param {number} neighbors - Count of live neighbors (0..maxNeighbors)
+     * @param {string} phase - Current adaptive phase, e.g. 'growth' (ignored by static rules)
      */
-    isAlive(wasAlive, neighbors, growthState) {
+    isAlive(wasAlive, neighbors, phase) {
         if (this.config.adaptive) {
-            return this.evaluateAdaptive(wasAlive, neighbors, growthState);
+            return this.evaluateAdaptive(wasAlive, neighbors, phase);
         }
         return this.evaluateStatic(wasAlive, neighbors);
     }
 
-    evaluateAdaptive(wasAlive, neighbors, growthState) {
-        let stateRules;
-        if (growthState > 0) {
-            stateRules = this.config.states.growth;
-        } else if (growthState < 0) {
-            stateRules = this.config.states.decay;
-        } else {
-            stateRules = this.config.states.stable;
-        }
-
-        if (wasAlive) {
-            const [min, max] = stateRules.survive;
-            return neighbors >= min && neighbors <= max;
-        }
-        return neighbors >= stateRules.birth;
+    evaluateAdaptive(wasAlive, neighbors, phase) {
+        const table = this.tables[phase] || this.tables[this.phases.initial];
+        return (wasAlive ? table.survive : table.birth)[neighbors] === 1;
     }
 
     evaluateStatic(wasAlive, neighbors) {
-        if (wasAlive) {
-            const [min, max] = this.config.survive;
-            return neighbors >= min && neighbors <= max;
-        }
-        return neighbors >= this.config.birth;
+        const table = this.tables.static;
+        return (wasAlive ? table.survive : table.birth)[neighbors] === 1;
+    }
+
+    /**
+     * Resolved survive/birth sets for the static rule, or for one adaptive phase
+     * (the initial phase if the rule has no phase of that name).
+     */
+    getRuleSets(state = 'stable') {
+        const rules = this.config.adaptive
+            ? this.config.states[state] || this.config.states[this.phases.initial]
+            : this.config;
+        return resolveRuleSets(rules, this.maxNeighbors);
+    }
+
+    /**
+     * Standard "B.../S..." string for the static rule, or for one adaptive phase.
+     */
+    getRuleString(state = 'stable') {
+        return formatRuleString({ ...this.getRuleSets(state), states: this.stateCount });
+    }
+
+    /**
+     * Rule string to store in pattern files, or null when the rule can't be written as one
+     * (adaptive rules, or neighborhoods other than the standard Moore range 1).
+     */
+    getPortableRuleString() {
+        const { type, range } = this.neighborhood;
+        if (this.config.adaptive || type !== 'moore' || range !== 1) return null;
+        return this.getRuleString();
     }
 
     getAvailablePresets() {
-        return Object.entries(PRESETS).map(([key, config]) => ({
-            key,
-            name: config.name,
-            description: config.description
-        }));
+        return this.registry ? this.registry.list() : [];
     }
 }
 
-export { PRESETS };
+function buildTables(sets, maxNeighbors) {
+    const survive = new Uint8Array(maxNeighbors + 1);
+    const birth = new Uint8Array(maxNeighbors + 1);
+    for (const n of sets.survive) survive[n] = 1;
+    for (const n of sets.birth) birth[n] = 1;
+    return { survive, birth };
+}
+
+export { DEFAULT_RULE, DEFAULT_PRESET };
@@ -0,0 +1,167 @@
+/**
+ * Seeding Strategies for 3D Game of Life
+ * Generate the initial cells for SimulationGrid.reset(). Every strategy fills a region of the
+ * given radius around the middle of the grid and returns a flat x, y, z list in visible coordinates.
+ *
+ * Options: { strategy, radius, density, thickness, seed, pattern }
+ *   density   - fraction of candidate cells filled by random, blobs and symmetric (0..1)
+ *   thickness - wall thickness of the hollow shell
+ *   seed      - integer seed for the random strategies when no generator is passed (see random.js)
+ *   pattern   - flat x, y, z list placed by the "pattern" strategy
+ */
+
+import { createRandom, randomSeed } from './random.js';
+import { centerCells } from './patterns.js';
+
+export const SEED_STRATEGIES = {
+    'sphere': 'Solid Sphere',
+    'shell': 'Hollow Shell',
+    'cube': 'Cube',
+    'random': 'Random Fill',
+    'blobs': 'Noise Blobs',
+    'symmetric': 'Symmetric',
+    'pattern': 'Pattern at Center'
+};
+
+export const DEFAULT_SEEDING = {
+    strategy: 'sphere',
+    radius: 5,
+    density: 0.3,
+    thickness: 1
+};
+
+// Lattice spacing of the blob noise, in cells
+const NOISE_SCALE = 4;
+
+/**
+ * Cells for the given seeding options in a grid of the given size.
+ * Random strategies draw from `random` (a random.js generator) when given.
+ */
+export function generateSeed(options, gridSize, random = null) {
+    const settings = { ...DEFAULT_SEEDING, ...options };
+    if (!random) {
+        random = createRandom(settings.seed !== undefined ? settings.seed : randomSeed());
+    }
+    const mid = Math.floor(gridSize / 2);
+
+    switch (settings.strategy) {
+        case 'sphere':
+            return fillRegion(mid, settings.radius, (dist) => dist <= settings.radius);
+        case 'shell':
+            return fillRegion(mid, settings.radius,
+                (dist) => dist <= settings.radius && dist > settings.radius - settings.thickness);
+        case 'cube':
+            return fillRegion(mid, settings.radius, () => true);
+        case 'random':
+            return fillRegion(mid, settings.radius,
+                (dist) => dist <= settings.radius && random() < settings.density);
+        case 'blobs':
+            return seedBlobs(mid, settings, random);
+        case 'symmetric':
+            return seedSymmetric(mid, settings, random);
+        case 'pattern':
+            if (settings.pattern && settings.pattern.length > 0) {
+                return centerCells(settings.pattern, gridSize);
+            }
+            console.warn('No pattern loaded, seeding a sphere');
+            return fillRegion(mid, settings.radius, (dist) => dist <= settings.radius);
+        default:
+            console.warn(`Unknown seeding strategy "${settings.strategy}", seeding a sphere`);
+            return fillRegion(mid, settings.radius, (dist) => dist <= settings.radius);
+    }
+}
+
+/**
+ * Visit the cube of the given radius around mid, keeping cells the test accepts.
+ * The test receives the distance from the center and the offsets dx, dy, dz.
+ */
+function fillRegion(mid, radius, test) {
+    const cells = [];
+    const extent = Math.ceil(radius);
+
+    for (let dx = -extent; dx <= extent; dx++) {
+        for (let dy = -extent; dy <= extent; dy++) {
+            for (let dz = -extent; dz <= extent; dz++) {
+                const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
+                if (test(dist, dx, dy, dz)) {
+                    cells.push(mid + dx, mid + dy, mid + dz);
+                }
+            }
+        }
+    }
+
+    return cells;
+}
+
+/**
+ * Smooth value noise thresholded so `density` of the sphere is filled in connected blobs.
+ */
+function seedBlobs(mid, settings, random) {
+    const extent = Math.ceil(settings.radius);
+    const lattice = Math.ceil((2 * extent) / NOISE_SCALE) + 2;
+    const values = new Float32Array(lattice * lattice * lattice);
+    for (let i = 0; i < values.length; i++) {
+        values[i] = random();
+    }
+
+    const at = (i, j, k) => values[(i * lattice + j) * lattice + k];
+    const smooth = (t) => t * t * (3 - 2 * t);
+    const noise = (x, y, z) => {
+        const i = Math.floor(x), j = Math.floor(y), k = Math.floor(z);
+        const u = smooth(x - i), v = smooth(y - j), w = smooth(z - k);
+        const lerp = (a, b, t) => a + (b - a) * t;
+        return lerp(
+            lerp(lerp(at(i, j, k), at(i + 1, j, k), u), lerp(at(i, j + 1, k), at(i + 1, j + 1, k), u), v),
+            lerp(lerp(at(i, j, k + 1), at(i + 1, j, k + 1), u), lerp(at(i, j + 1, k + 1), at(i + 1, j + 1, k + 1), u), v),
+            w
+        );
+    };
+
+    // Threshold at the density quantile, so the fill matches density despite the noise's bias to 0.5
+    const scaled = (d) => (d + extent) / NOISE_SCALE;
+    const candidates = fillRegion(mid, settings.radius, (dist) => dist <= settings.radius);
+    const levels = new Float32Array(candidates.length / 3);
+    for (let i = 0; i < levels.length; i++) {
+        levels[i] = noise(
+            scaled(candidates[i * 3] - mid), scaled(candidates[i * 3 + 1] - mid), scaled(candidates[i * 3 + 2] - mid)
+        );
+    }
+    const sorted = Float32Array.from(levels).sort();
+    const threshold = sorted[Math.floor((1 - settings.density) * (sorted.length - 1))];
+
+    const cells = [];
+    for (let i = 0; i < levels.length; i++) {
+        if (levels[i] > threshold) {
+            cells.push(candidates[i * 3], candidates[i * 3 + 1], candidates[i * 3 + 2]);
+        }
+    }
+    return cells;
+}
+
+/**
+ * Random fill of one octant, mirrored across the three planes through the center.
+ */
+function seedSymmetric(mid, settings, random) {
+    const octant = fillRegion(0, settings.radius, (dist, dx, dy, dz) =>
+        dx >= 0 && dy >= 0 && dz >= 0 && dist <= settings.radius && random() < settings.density);
+
+    const unique = new Set();
+    const cells = [];
+    for (let i = 0; i < octant.length; i += 3) {
+        for (const sx of [1, -1]) {
+            for (const sy of [1, -1]) {
+                for (const sz of [1, -1]) {
+                    const x = mid + sx * octant[i];
+                    const y = mid + sy * octant[i + 1];
+                    const z = mid + sz * octant[i + 2];
+                    const key = `${x},${y},${z}`;
+                    if (!unique.has(key)) {
+                        unique.add(key);
+                        cells.push(x, y, z);
+                    }
+                }
+            }
+        }
+    }
+    return cells;
+}
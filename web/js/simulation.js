@@ -4,13 +4,69 @@
  * Uses typed arrays and sparse update lists to handle large grids efficiently.
  */
 
+import { generateSeed } from './seeding.js';
+import { createRandom, randomSeed } from './random.js';
+import { CycleDetector, SignatureBuilder } from './cycleDetector.js';
+import { formatPhaseName } from './phases.js';
+
+/**
+ * How neighbors beyond the visible region are treated:
+ *   wall   - dropped once they leave the padded array (cells near the edge see fewer neighbors)
+ *   wrap   - periodic/toroidal, opposite faces are adjacent
+ *   mirror - reflected back across the face, so edge cells see their own neighbors mirrored
+ */
+export const BOUNDARY_MODES = {
+    'wall': 'Hard Wall',
+    'wrap': 'Wrap (Toroidal)',
+    'mirror': 'Mirror'
+};
+
+/**
+ * Fold a visible-space coordinate back into 0..size-1 for wrap or mirror boundaries.
+ */
+export function foldCoordinate(v, size, mode) {
+    if (v >= 0 && v < size) return v;
+
+    if (mode === 'wrap') {
+        return ((v % size) + size) % size;
+    }
+    // Mirror: reflect about the face, -1 maps to 0 and size maps to size - 1
+    while (v < 0 || v >= size) {
+        v = v < 0 ? -v - 1 : 2 * size - v - 1;
+    }
+    return v;
+}
+
+// Ages stop counting here (they are stored as 16-bit values)
+export const MAX_AGE = 65535;
+
 export class SimulationGrid {
-    constructor(ruleEngine, size = 50) {
+    constructor(ruleEngine, size = 50, boundary = 'wall') {
         this.ruleEngine = ruleEngine;
         this.padding = 2; // Extra cells on each side for proper neighbor counting
+        this.setBoundary(boundary);
+        this.setSeed(randomSeed());
+        this.cycleDetector = new CycleDetector();
         this.resize(size);
     }
 
+    /**
+     * Restart the grid's random generator. Everything random in a run draws from
+     * this.random, so a run is reproduced by its seed, seeding options and rules.
+     */
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this.random = createRandom(this.seed);
+    }
+
+    setBoundary(mode) {
+        if (!BOUNDARY_MODES[mode]) {
+            console.warn(`Unknown boundary mode "${mode}", using wall`);
+            mode = 'wall';
+        }
+        this.boundary = mode;
+    }
+
     resize(size) {
         // Visible size (what gets rendered)
         this.visibleSize = size;
@@ -22,18 +78,27 @@ export class SimulationGrid {
         this.zMax = simSize;
         this.maxIndex = simSize * simSize * simSize;
 
-        // Typed arrays for performance - visibility and neighbor counts
+        // Typed arrays for performance - cell state and neighbor counts
+        // visibility: 0 = empty, 1 = alive, 2+ = dying (Generations rules)
         this.visibility = new Uint8Array(this.maxIndex);
-        this.neighbors = new Uint8Array(this.maxIndex);
+        this.neighbors = new Uint16Array(this.maxIndex); // Extended neighborhoods exceed 255
+        this.ages = new Uint16Array(this.maxIndex);      // Generations since the cell was born
         this.inUpdateList = new Uint8Array(this.maxIndex);
 
         // Sparse lists for active cells
         this.visibleCells = [];
+        this.dyingCells = [];
         this.updateList = [];
 
-        // Adaptive state machine: 1=growth, 0=stable, -1=decay
-        this.growthState = 1;
+        // Adaptive phase, e.g. 'growth' (null for static rules)
+        this.phase = this.initialPhase();
         this.totalCount = 0;
+        this.generation = 0;
+
+        // Cells born and died in the last step
+        this.births = 0;
+        this.deaths = 0;
+        this.cycleDetector.clear();
     }
 
     /**
@@ -66,73 +131,161 @@ export class SimulationGrid {
     }
 
     /**
-     * Reset simulation with cells seeded in a sphere of given radius.
+     * Remove every cell and restart the adaptive phases.
      */
-    reset(radius = 5) {
-        // Clear all state
+    clear() {
         this.visibility.fill(0);
         this.neighbors.fill(0);
+        this.ages.fill(0);
         this.inUpdateList.fill(0);
         this.visibleCells = [];
+        this.dyingCells = [];
         this.updateList = [];
-        this.growthState = 1;
+        this.phase = this.initialPhase();
         this.totalCount = 0;
+        this.generation = 0;
 
-        // Center is in the middle of the visible region (offset by padding)
-        const midX = this.padding + Math.floor(this.visibleSize / 2);
-        const midY = this.padding + Math.floor(this.visibleSize / 2);
-        const midZ = this.padding + Math.floor(this.visibleSize / 2);
-
-        // Seed cells within spherical region
-        for (let x = 0; x < this.xMax; x++) {
-            for (let y = 0; y < this.yMax; y++) {
-                for (let z = 0; z < this.zMax; z++) {
-                    const dx = x - midX;
-                    const dy = y - midY;
-                    const dz = z - midZ;
-                    const dist = Math.sqrt(dx * dx + dy * dy + dz * dz);
-
-                    if (dist <= radius) {
-                        const index = this.calcIndex(x, y, z);
-                        this.visibility[index] = 1;
-                        this.visibleCells.push(index);
-                        this.totalCount++;
-                    }
-                }
+        // Cells born and died in the last step
+        this.births = 0;
+        this.deaths = 0;
+        this.cycleDetector.clear();
+    }
+
+    /**
+     * Reset simulation with freshly seeded cells.
+     * @param {number|Object} seeding - Sphere radius, or seeding options (see seeding.js);
+     *   options.seed replays a previous run, otherwise a new seed is drawn
+     */
+    reset(seeding = 5) {
+        this.clear();
+
+        const options = typeof seeding === 'number' ? { radius: seeding } : seeding;
+        this.setSeed(options.seed !== undefined && options.seed !== null ? options.seed : randomSeed());
+        this.seeding = { ...options, seed: this.seed };
+        const coords = generateSeed(options, this.visibleSize, this.random);
+        for (let i = 0; i < coords.length; i += 3) {
+            this.addCell(coords[i], coords[i + 1], coords[i + 2], 1);
+        }
+    }
+
+    /**
+     * Replace the whole configuration with the given cells.
+     * @param {ArrayLike<number>} coords - Flat x, y, z triples in visible (0-based) coordinates
+     * @param {ArrayLike<number>} [states] - Per-cell state (1 = alive, 2+ = dying), alive if omitted
+     * @param {ArrayLike<number>} [ages] - Per-cell age in generations, 0 (newborn) if omitted
+     */
+    setCells(coords, states, ages) {
+        this.clear();
+
+        for (let i = 0; i < coords.length / 3; i++) {
+            const state = states ? states[i] : 1;
+            if (state !== 0) {
+                this.addCell(coords[i * 3], coords[i * 3 + 1], coords[i * 3 + 2], state, ages ? ages[i] : 0);
             }
         }
     }
 
     /**
-     * Thresholds for state transitions based on visible grid volume.
-     * Decay kicks in at high population, growth at low.
+     * Place a cell at visible (0-based) coordinates. Cells outside the simulated region
+     * (the padded array in wall mode, the visible region otherwise) or already occupied are ignored.
      */
-    get decayUpperLimit() {
-        const visibleVolume = this.visibleSize * this.visibleSize * this.visibleSize;
-        return Math.floor(visibleVolume / 300);
+    addCell(vx, vy, vz, state, age = 0) {
+        const x = vx + this.padding;
+        const y = vy + this.padding;
+        const z = vz + this.padding;
+
+        // Only wall mode simulates the padding; elsewhere it is never reached
+        const inRegion = this.boundary === 'wall' ? this.isInRange(x, y, z) : this.isInVisibleRegion(x, y, z);
+        if (!inRegion) return false;
+
+        const index = this.calcIndex(x, y, z);
+        if (this.visibility[index]) return false;
+
+        this.visibility[index] = state;
+        this.ages[index] = age;
+        if (state === 1) {
+            this.visibleCells.push(index);
+            this.totalCount++;
+        } else {
+            this.dyingCells.push(index);
+        }
+        return true;
     }
 
-    get growthLowerLimit() {
-        const visibleVolume = this.visibleSize * this.visibleSize * this.visibleSize;
-        return Math.floor(visibleVolume / 2000);
+    /**
+     * Edit cells in place at visible coordinates: state 1 sets them alive, 0 clears them.
+     * Other cells and the adaptive state are left alone.
+     */
+    editCells(coords, state) {
+        this.cycleDetector.clear();
+        this.removeCells(coords);
+        if (state === 0) return;
+        for (let i = 0; i < coords.length; i += 3) {
+            this.addCell(coords[i], coords[i + 1], coords[i + 2], state);
+        }
     }
 
     /**
-     * Execute one simulation step.
+     * Clear cells at visible coordinates, keeping visibility and the cell lists consistent.
      */
-    step() {
-        // Update growth state only for adaptive rules
-        if (this.ruleEngine.config.adaptive) {
-            if (this.totalCount > this.decayUpperLimit) {
-                this.growthState = -1; // Decay phase
-            } else if (this.totalCount < this.growthLowerLimit) {
-                this.growthState = 1;  // Growth phase
-            } else {
-                this.growthState = 0;  // Stable phase
+    removeCells(coords) {
+        let removed = 0;
+        for (let i = 0; i < coords.length; i += 3) {
+            const x = coords[i] + this.padding;
+            const y = coords[i + 1] + this.padding;
+            const z = coords[i + 2] + this.padding;
+            if (!this.isInRange(x, y, z)) continue;
+
+            const index = this.calcIndex(x, y, z);
+            if (this.visibility[index]) {
+                this.visibility[index] = 0;
+                removed++;
             }
         }
+        if (removed === 0) return;
+
+        this.visibleCells = this.visibleCells.filter(index => this.visibility[index] === 1);
+        this.dyingCells = this.dyingCells.filter(index => this.visibility[index] > 1);
+        this.totalCount = this.visibleCells.length;
+    }
+
+    /**
+     * Cell count of the visible region, which fractional adaptive thresholds refer to.
+     */
+    get volume() {
+        return this.visibleSize * this.visibleSize * this.visibleSize;
+    }
+
+    /**
+     * The adaptive rule's named thresholds as cell counts, or null for static rules.
+     */
+    get phaseThresholds() {
+        const phases = this.ruleEngine.phases;
+        return phases ? phases.resolveThresholds(this.volume) : null;
+    }
+
+    initialPhase() {
+        const phases = this.ruleEngine.phases;
+        return phases ? phases.initial : null;
+    }
+
+    /**
+     * Move to the adaptive phase for the current population (adaptive rules only).
+     */
+    updatePhase() {
+        const phases = this.ruleEngine.phases;
+        if (phases) {
+            this.phase = phases.next(this.phase, this.totalCount, this.volume);
+        }
+    }
+
+    /**
+     * Execute one simulation step.
+     */
+    step() {
+        this.updatePhase();
 
-        // Run rules on all visible cells - increments neighbor counts
+        // Run rules on all live cells - increments neighbor counts
         for (const index of this.visibleCells) {
             this.runRule(index);
         }
@@ -140,31 +293,83 @@ export class SimulationGrid {
         // Compile new visible set based on neighbor counts
         this.compileVisibleSet();
         this.totalCount = this.visibleCells.length;
+        this.generation++;
+        this.observeCycle();
     }
 
     /**
-     * For each visible cell, increment neighbor count for all 26 adjacent cells.
+     * Hash the new generation and check it against recent ones (see cycleDetector.js). Under an
+     * adaptive rule the phase is part of the state: the same cells can evolve differently once
+     * the phase has moved on, so they only repeat in the same phase.
+     */
+    observeCycle() {
+        const cellCount = this.visibleCells.length + this.dyingCells.length;
+        let signature = this.cellSignature();
+        if (this.isAdaptive()) signature += ':' + this.ruleEngine.phases.names.indexOf(this.phase);
+        this.cycleDetector.observe(this.generation, signature, cellCount);
+    }
+
+    get cycleStatus() {
+        return this.cycleDetector.status;
+    }
+
+    /**
+     * Order-independent signature of every simulated cell and its state.
+     */
+    cellSignature() {
+        const signature = new SignatureBuilder();
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (const index of list) {
+                signature.add(index, this.visibility[index]);
+            }
+        }
+        return signature.toString();
+    }
+
+    /**
+     * What is needed to replay this run: the seed, how the grid was seeded and how far it has run.
+     */
+    getRunState() {
+        return {
+            seed: this.seed,
+            generation: this.generation,
+            size: this.visibleSize,
+            boundary: this.boundary,
+            seeding: this.seeding || null
+        };
+    }
+
+    /**
+     * For each live cell, increment neighbor count for every cell in the rule's neighborhood.
+     * The cell itself is queued too so it is evaluated even with no live neighbors; otherwise it
+     * would drop out of visibleCells while staying alive in visibility, and block a later birth.
      */
     runRule(index) {
         const { x, y, z } = this.getCoords(index);
+        const offsets = this.ruleEngine.neighborhood.offsets;
 
-        // All 26 neighbors in a 3x3x3 cube (excluding center)
-        for (let dx = -1; dx <= 1; dx++) {
-            for (let dy = -1; dy <= 1; dy++) {
-                for (let dz = -1; dz <= 1; dz++) {
-                    if (dx === 0 && dy === 0 && dz === 0) continue;
-                    this.addNeighbor(x + dx, y + dy, z + dz);
-                }
-            }
+        this.queueUpdate(index);
+        for (let i = 0; i < offsets.length; i++) {
+            const offset = offsets[i];
+            this.addNeighbor(x + offset[0], y + offset[1], z + offset[2]);
         }
     }
 
     addNeighbor(x, y, z) {
-        if (!this.isInRange(x, y, z)) return;
+        if (this.boundary !== 'wall') {
+            x = this.foldCoord(x);
+            y = this.foldCoord(y);
+            z = this.foldCoord(z);
+        } else if (!this.isInRange(x, y, z)) {
+            return;
+        }
 
         const index = this.calcIndex(x, y, z);
         this.neighbors[index]++;
+        this.queueUpdate(index);
+    }
 
+    queueUpdate(index) {
         if (!this.inUpdateList[index]) {
             this.updateList.push(index);
             this.inUpdateList[index] = 1;
@@ -172,20 +377,37 @@ export class SimulationGrid {
     }
 
     /**
-     * Determine which cells live or die based on current neighbor counts.
+     * Map a coordinate outside the visible region back into it for wrap and mirror modes.
+     */
+    foldCoord(c) {
+        return foldCoordinate(c - this.padding, this.visibleSize, this.boundary) + this.padding;
+    }
+
+    /**
+     * Determine which cells live or die based on current neighbor counts,
+     * and advance dying cells one state towards empty.
      */
     compileVisibleSet() {
         const newVisible = [];
+        const newDying = [];
+        let births = 0;
+        let deaths = 0;
 
         for (const index of this.updateList) {
-            const wasAlive = this.visibility[index] === 1;
-            const neighborCount = this.neighbors[index];
-
-            if (this.ruleEngine.isAlive(wasAlive, neighborCount, this.growthState)) {
-                this.visibility[index] = 1;
-                newVisible.push(index);
-            } else {
-                this.visibility[index] = 0;
+            const state = this.visibility[index];
+
+            // Dying cells advance below, whatever their neighbors
+            if (state < 2) {
+                const next = this.ruleEngine.nextState(state, this.neighbors[index], this.phase);
+                this.visibility[index] = next;
+                if (next === 1) {
+                    newVisible.push(index);
+                    if (state === 0) births++;
+                } else {
+                    if (next > 1) newDying.push(index);
+                    if (state === 1) deaths++;
+                }
+                this.ages[index] = state === 0 ? 0 : Math.min(this.ages[index] + 1, MAX_AGE);
             }
 
             // Reset for next iteration
@@ -193,8 +415,20 @@ export class SimulationGrid {
             this.inUpdateList[index] = 0;
         }
 
+        for (const index of this.dyingCells) {
+            const next = this.ruleEngine.nextState(this.visibility[index], 0, this.phase);
+            this.visibility[index] = next;
+            this.ages[index] = Math.min(this.ages[index] + 1, MAX_AGE);
+            if (next > 1) {
+                newDying.push(index);
+            }
+        }
+
         this.visibleCells = newVisible;
+        this.dyingCells = newDying;
         this.updateList = [];
+        this.births = births;
+        this.deaths = deaths;
     }
 
     /**
@@ -207,11 +441,15 @@ export class SimulationGrid {
     }
 
     /**
-     * Get all visible cell positions for rendering.
+     * Get all visible cell positions for rendering, live cells first, then dying cells.
      * Only returns cells within the visible region (not padding).
-     * Coordinates are adjusted to be 0-based within visible region.
+     * Coordinates are adjusted to be 0-based within visible region; state is 1 for live
+     * cells and 2+ for dying cells of Generations rules. age counts the generations since the
+     * cell was born (0 = born this generation, or placed by a reset or edit).
+     * @param {boolean} [countNeighbors] - Also set neighbors, the cell's live neighbor count
+     *   (null otherwise; counting costs about as much as a step)
      */
-    getVisibleCells() {
+    getVisibleCells(countNeighbors = false) {
         // Reuse or create cell objects array
         if (!this._cellObjects) {
             this._cellObjects = [];
@@ -221,24 +459,29 @@ export class SimulationGrid {
         let outputIndex = 0;
 
         // Filter to only cells in visible region
-        for (let i = 0; i < this.visibleCells.length; i++) {
-            const index = this.visibleCells[i];
-            const coords = this.getCoords(index);
-
-            // Only include cells within visible bounds
-            if (this.isInVisibleRegion(coords.x, coords.y, coords.z)) {
-                // Ensure array is large enough
-                if (outputIndex >= cells.length) {
-                    cells.push({ x: 0, y: 0, z: 0, index: 0 });
-                }
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (let i = 0; i < list.length; i++) {
+                const index = list[i];
+                const coords = this.getCoords(index);
+
+                // Only include cells within visible bounds
+                if (this.isInVisibleRegion(coords.x, coords.y, coords.z)) {
+                    // Ensure array is large enough
+                    if (outputIndex >= cells.length) {
+                        cells.push({ x: 0, y: 0, z: 0, index: 0, state: 1, age: 0, neighbors: null });
+                    }
 
-                const cell = cells[outputIndex];
-                // Adjust coordinates to be 0-based within visible region
-                cell.x = coords.x - this.padding;
-                cell.y = coords.y - this.padding;
-                cell.z = coords.z - this.padding;
-                cell.index = index;
-                outputIndex++;
+                    const cell = cells[outputIndex];
+                    // Adjust coordinates to be 0-based within visible region
+                    cell.x = coords.x - this.padding;
+                    cell.y = coords.y - this.padding;
+                    cell.z = coords.z - this.padding;
+                    cell.index = index;
+                    cell.state = this.visibility[index];
+                    cell.age = this.ages[index];
+                    cell.neighbors = countNeighbors ? this.countLiveNeighbors(index) : null;
+                    outputIndex++;
+                }
             }
         }
 
@@ -246,6 +489,55 @@ export class SimulationGrid {
         return cells.slice(0, outputIndex);
     }
 
+    /**
+     * Live cells in the rule's neighborhood of a cell, counted as the next step will count them.
+     */
+    countLiveNeighbors(index) {
+        const { x, y, z } = this.getCoords(index);
+        const offsets = this.ruleEngine.neighborhood.offsets;
+        let count = 0;
+        for (let i = 0; i < offsets.length; i++) {
+            let nx = x + offsets[i][0];
+            let ny = y + offsets[i][1];
+            let nz = z + offsets[i][2];
+            if (this.boundary !== 'wall') {
+                nx = this.foldCoord(nx);
+                ny = this.foldCoord(ny);
+                nz = this.foldCoord(nz);
+            } else if (!this.isInRange(nx, ny, nz)) {
+                continue;
+            }
+            if (this.visibility[this.calcIndex(nx, ny, nz)] === 1) count++;
+        }
+        return count;
+    }
+
+    /**
+     * Every simulated cell, including wall-mode padding, as flat visible coordinates, states and
+     * ages. Unlike getVisibleCells this captures the whole configuration, so setCells can restore it.
+     */
+    exportCells() {
+        const count = this.visibleCells.length + this.dyingCells.length;
+        const coords = new Int32Array(count * 3);
+        const states = new Uint8Array(count);
+        const ages = new Uint16Array(count);
+
+        let i = 0;
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (const index of list) {
+                const { x, y, z } = this.getCoords(index);
+                coords[i * 3] = x - this.padding;
+                coords[i * 3 + 1] = y - this.padding;
+                coords[i * 3 + 2] = z - this.padding;
+                states[i] = this.visibility[index];
+                ages[i] = this.ages[index];
+                i++;
+            }
+        }
+
+        return { coords, states, ages };
+    }
+
     getCenter() {
         // Return center of visible region (0-based coordinates)
         return {
@@ -255,11 +547,12 @@ export class SimulationGrid {
         };
     }
 
-    getGrowthStateName() {
+    /**
+     * Display label of the adaptive phase, or null for static rules.
+     */
+    getPhaseName() {
         if (!this.ruleEngine.config.adaptive) return null;
-        if (this.growthState > 0) return 'Growth';
-        if (this.growthState < 0) return 'Decay';
-        return 'Stable';
+        return formatPhaseName(this.phase || this.initialPhase());
     }
 
     isAdaptive() {
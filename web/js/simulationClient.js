@@ -0,0 +1,251 @@
+/**
+ * Simulation Client for 3D Game of Life
+ * Main-thread proxy for the simulation running in simulationWorker.js. Mirrors the parts of the
+ * SimulationGrid interface the app uses, but every command is asynchronous: results arrive as
+ * snapshots and are reported through onUpdate, while the render loop keeps drawing the last one.
+ * Falls back to running the host on the main thread when module workers are unavailable.
+ */
+
+import { SimulationHost, BACKENDS } from './simulationHost.js';
+import { BOUNDARY_MODES } from './simulation.js';
+
+// Snapshots whose changes are kept for takeChanges; a view that falls further behind redraws
+const MAX_PENDING_CHANGES = 16;
+
+export class SimulationClient {
+    constructor(options) {
+        this.onUpdate = options.onUpdate || (() => {});
+
+        this.visibleSize = options.size;
+        this.boundary = BOUNDARY_MODES[options.boundary] ? options.boundary : 'wall';
+        this.backend = BACKENDS[options.backend] ? options.backend : 'dense';
+        this.stepPending = false;
+
+        // Latest snapshot; snapshotId counts them, so views can tell a new one from a redraw
+        this.snapshotId = 0;
+        this.cells = new Int32Array(0);
+        this.states = new Uint8Array(0);
+        this.ages = new Uint16Array(0);
+        this.neighbors = null;
+        this.bounds = null;
+        this.totalCount = 0;
+        this.phaseName = null;
+        this.seed = null;
+        this.generation = 0;
+        this.historyStart = 0;
+        this.historyEnd = 0;
+
+        // Statistics of the last step
+        this.births = 0;
+        this.deaths = 0;
+        this.phase = null;
+        this.phases = null;
+        this.phaseThresholds = null;
+
+        // Cycle detector status (see cycleDetector.js)
+        this.cycle = { state: 'running', period: 0, since: 0 };
+
+        // Changes of the snapshots received since the view last took them (see takeChanges)
+        this.changes = [];
+
+        this.startWorker();
+        this.post({
+            type: 'init',
+            size: options.size,
+            boundary: this.boundary,
+            backend: this.backend,
+            rules: options.rules
+        });
+    }
+
+    startWorker() {
+        try {
+            this.worker = new Worker(new URL('./simulationWorker.js', import.meta.url), { type: 'module' });
+            this.worker.onmessage = (e) => this.receive(e.data);
+            this.worker.onerror = (e) => console.error('Simulation worker error:', e.message);
+        } catch (err) {
+            console.warn(`Simulation worker unavailable, running on main thread: ${err.message}`);
+            this.worker = null;
+            this.host = new SimulationHost();
+        }
+    }
+
+    post(message) {
+        if (this.worker) {
+            this.worker.postMessage(message);
+        } else {
+            // Keep the fallback asynchronous so callers see the same ordering either way
+            Promise.resolve().then(() => {
+                try {
+                    this.receive(this.host.handle(message).response);
+                } catch (err) {
+                    this.receive({ type: message.type, error: err.message });
+                }
+            });
+        }
+    }
+
+    receive(snapshot) {
+        if (snapshot.type === 'step') {
+            this.stepPending = false;
+        }
+        if (snapshot.error) {
+            console.error(`Simulation ${snapshot.type} failed: ${snapshot.error}`);
+            return;
+        }
+        this.snapshotId++;
+        this.cells = snapshot.cells;
+        this.states = snapshot.states;
+        this.ages = snapshot.ages;
+        this.neighbors = snapshot.neighbors;
+        this.bounds = snapshot.bounds;
+        this.totalCount = snapshot.totalCount;
+        this.phaseName = snapshot.phaseName;
+        this.seed = snapshot.seed;
+        this.generation = snapshot.generation;
+        this.historyStart = snapshot.historyStart;
+        this.historyEnd = snapshot.historyEnd;
+        this.births = snapshot.births;
+        this.deaths = snapshot.deaths;
+        this.phase = snapshot.phase;
+        this.phases = snapshot.phases;
+        this.phaseThresholds = snapshot.phaseThresholds;
+        this.cycle = snapshot.cycle;
+        if (this.changes && this.changes.length < MAX_PENDING_CHANGES) {
+            const { cells, states, ages, neighbors, added, changed, removed } = snapshot;
+            this.changes.push({ cells, states, ages, neighbors, added, changed, removed });
+        } else {
+            this.changes = null;
+        }
+        this.onUpdate(snapshot.type);
+    }
+
+    /**
+     * Request one generation. Ignored while a previous step is still in flight.
+     */
+    step() {
+        if (this.stepPending) return;
+        this.stepPending = true;
+        this.post({ type: 'step' });
+    }
+
+    /**
+     * Go back one generation, if it is still in history.
+     */
+    stepBack() {
+        this.post({ type: 'stepBack' });
+    }
+
+    /**
+     * Jump to a generation between historyStart and historyEnd.
+     */
+    seek(generation) {
+        this.post({ type: 'seek', generation });
+    }
+
+    /**
+     * Reseed the grid. Takes a sphere radius or seeding options (see seeding.js);
+     * options.seed replays a run, otherwise the grid draws a new seed.
+     */
+    reset(seeding = 5) {
+        this.post({ type: 'reset', seeding });
+    }
+
+    resize(size) {
+        this.visibleSize = size;
+        this.post({ type: 'resize', size });
+    }
+
+    setRules(config) {
+        this.post({ type: 'setRules', rules: config });
+    }
+
+    setBoundary(mode) {
+        if (!BOUNDARY_MODES[mode]) {
+            console.warn(`Unknown boundary mode "${mode}", using wall`);
+            mode = 'wall';
+        }
+        this.boundary = mode;
+        this.post({ type: 'setBoundary', mode });
+    }
+
+    /**
+     * Switch storage backend (see BACKENDS). The new grid starts empty.
+     */
+    setBackend(backend) {
+        this.backend = BACKENDS[backend] ? backend : 'dense';
+        this.post({ type: 'setBackend', backend: this.backend });
+    }
+
+    /**
+     * Replace all cells. coords is a flat x, y, z list; states is optional (alive if omitted).
+     */
+    setCells(coords, states) {
+        this.post({ type: 'setCells', cells: coords, states });
+    }
+
+    /**
+     * Add (state 1) or remove (state 0) cells, leaving the rest of the grid as it is.
+     */
+    editCells(coords, state) {
+        this.post({ type: 'editCells', cells: coords, state });
+    }
+
+    /**
+     * Ask for live neighbor counts with every snapshot (they cost about as much as a step).
+     */
+    setNeighborCounts(enabled) {
+        this.post({ type: 'setNeighborCounts', enabled });
+    }
+
+    /**
+     * Cells of the latest snapshot as { x, y, z, state, age, neighbors } objects, live cells
+     * first. neighbors is null unless neighbor counts are on (see setNeighborCounts).
+     */
+    getVisibleCells() {
+        const count = this.states.length;
+        const cells = new Array(count);
+        for (let i = 0; i < count; i++) {
+            cells[i] = {
+                x: this.cells[i * 3],
+                y: this.cells[i * 3 + 1],
+                z: this.cells[i * 3 + 2],
+                index: i,
+                state: this.states[i],
+                age: this.ages[i],
+                neighbors: this.neighbors ? this.neighbors[i] : null
+            };
+        }
+        return cells;
+    }
+
+    /**
+     * The changes of each snapshot since the last call, oldest first: { cells, states, ages,
+     * neighbors, added, changed, removed } as sent by the host, with added and changed indexing
+     * that snapshot's own arrays. null when too many piled up to be worth replaying.
+     */
+    takeChanges() {
+        const changes = this.changes;
+        this.changes = [];
+        return changes;
+    }
+
+    getCenter() {
+        // Return center of visible region (0-based coordinates)
+        return {
+            x: this.visibleSize / 2,
+            y: this.visibleSize / 2,
+            z: this.visibleSize / 2
+        };
+    }
+
+    getPhaseName() {
+        return this.phaseName;
+    }
+
+    dispose() {
+        if (this.worker) {
+            this.worker.terminate();
+        }
+    }
+}
@@ -0,0 +1,247 @@
+/**
+ * Simulation Host for 3D Game of Life
+ * Owns a RuleEngine and SimulationGrid and answers protocol messages with snapshots.
+ * Runs inside simulationWorker.js, or directly on the main thread when workers are unavailable.
+ *
+ * Messages (all answered with a snapshot of the same type):
+ *   { type: 'init', size, boundary, backend, rules }
+ *   { type: 'setBackend', backend }
+ *   { type: 'step' }
+ *   { type: 'reset', seeding }      (seeding options, see seeding.js)
+ *   { type: 'resize', size }
+ *   { type: 'setRules', rules }
+ *   { type: 'setBoundary', mode }
+ *   { type: 'setCells', cells, states }
+ *   { type: 'editCells', cells, state }  (state 1 adds, 0 removes; other cells are kept)
+ *   { type: 'stepBack' }                  (restore the previous generation from history)
+ *   { type: 'seek', generation }          (restore any generation still in history)
+ *   { type: 'setNeighborCounts', enabled } (include live neighbor counts in snapshots)
+ *
+ * A message that fails is answered with { type, error } instead.
+ *
+ * Snapshot fields:
+ *   type                      the message it answers
+ *   cells                     Int32Array of x, y, z triples in visible coordinates
+ *   states                    Uint8Array, 1 (alive) or 2+ (dying) per cell
+ *   ages                      Uint16Array, each cell's age in generations
+ *   neighbors                 Uint16Array of live neighbor counts, or null unless asked for
+ *   added, changed            Uint32Array indices of the cells that are new, or changed
+ *                             state, since the previous snapshot
+ *   removed                   Int32Array of x, y, z triples of the cells gone since then
+ *   bounds                    [minX, minY, minZ, maxX, maxY, maxZ], or null without cells
+ *   totalCount, phaseName     live cell count, and the adaptive phase's display name (null for
+ *                             static rules)
+ *   seed, generation          identify the run (see SimulationGrid.getRunState)
+ *   historyStart, historyEnd  the oldest and newest generations that can be sought to
+ *   births, deaths            of the last step, for the statistics chart
+ *   phase, phases             the adaptive phase and all phase names (null likewise)
+ *   phaseThresholds           the rule's named thresholds as cell counts (null likewise)
+ *   cycle                     the cycle detector's status (see cycleDetector.js):
+ *                             { state: 'running' | 'extinct' | 'still' | 'oscillating',
+ *                               period, since }
+ */
+
+import { RuleEngine } from './rules.js';
+import { SimulationGrid } from './simulation.js';
+import { SparseSimulationGrid, packKey, unpackKey } from './sparseSimulation.js';
+import { HistoryBuffer } from './history.js';
+import { validateRule, RuleValidationError } from './ruleValidation.js';
+
+/**
+ * Storage backends, all behind the SimulationGrid interface.
+ * maxSize is the largest grid the control panel offers for each.
+ */
+export const BACKENDS = {
+    'dense': { label: 'Dense', maxSize: 80 },
+    'sparse': { label: 'Sparse', maxSize: 500 },
+    'unbounded': { label: 'Unbounded', maxSize: 500 }
+};
+
+export function createSimulationGrid(backend, ruleEngine, size, boundary) {
+    switch (backend) {
+        case 'sparse':
+            return new SparseSimulationGrid(ruleEngine, size, boundary);
+        case 'unbounded':
+            return new SparseSimulationGrid(ruleEngine, size, boundary, { unbounded: true });
+        default:
+            return new SimulationGrid(ruleEngine, size, boundary);
+    }
+}
+
+export class SimulationHost {
+    constructor() {
+        this.ruleEngine = new RuleEngine();
+        this.simulation = null;
+        this.history = new HistoryBuffer();
+        this.neighborCounts = false;
+
+        // State of each cell in the last snapshot by packKey, to tell what the next one changes
+        this.shown = new Map();
+    }
+
+    /**
+     * Apply one message. Returns the reply and the buffers to transfer with it.
+     */
+    handle(message) {
+        if (!this.simulation && message.type !== 'init') {
+            throw new Error('the simulation has not been initialized');
+        }
+        switch (message.type) {
+            case 'init': {
+                // An invalid rule is reported, but the grid still starts with the built-in rule
+                // so the messages that follow have a simulation to work on
+                const problems = validateRule(message.rules);
+                if (!problems.length) this.ruleEngine.loadCustom(message.rules);
+                this.simulation = createSimulationGrid(message.backend, this.ruleEngine, message.size, message.boundary);
+                this.restartHistory();
+                if (problems.length) {
+                    const error = new RuleValidationError(problems).message;
+                    return { response: { type: message.type, error }, transfer: [] };
+                }
+                break;
+            }
+            case 'setBackend':
+                this.simulation = createSimulationGrid(
+                    message.backend, this.ruleEngine, this.simulation.visibleSize, this.simulation.boundary
+                );
+                this.restartHistory();
+                break;
+            case 'step':
+                // Replay a generation still in history (after stepping back), otherwise compute it
+                if (!this.history.restore(this.simulation, this.simulation.generation + 1)) {
+                    this.simulation.step();
+                    this.history.record(this.simulation);
+                }
+                break;
+            case 'stepBack':
+                this.history.restore(this.simulation, this.simulation.generation - 1);
+                break;
+            case 'seek':
+                this.history.restore(this.simulation, message.generation);
+                break;
+            case 'reset':
+                this.simulation.reset(message.seeding);
+                this.restartHistory();
+                break;
+            case 'resize':
+                this.simulation.resize(message.size);
+                this.restartHistory();
+                break;
+            case 'setRules':
+                this.ruleEngine.loadCustom(message.rules);
+                this.simulation.cycleDetector.clear();
+                this.history.truncateAfter(this.simulation.generation);
+                break;
+            case 'setBoundary':
+                this.simulation.setBoundary(message.mode);
+                this.simulation.cycleDetector.clear();
+                this.history.truncateAfter(this.simulation.generation);
+                break;
+            case 'setCells':
+                this.simulation.setCells(message.cells, message.states);
+                this.restartHistory();
+                break;
+            case 'editCells':
+                // Replaces this generation in history and drops the ones after it
+                this.simulation.editCells(message.cells, message.state);
+                this.history.record(this.simulation);
+                break;
+            case 'setNeighborCounts':
+                this.neighborCounts = !!message.enabled;
+                break;
+            default:
+                console.warn(`Unknown simulation message "${message.type}"`);
+        }
+        return this.snapshot(message.type);
+    }
+
+    restartHistory() {
+        this.history.clear();
+        this.history.record(this.simulation);
+    }
+
+    snapshot(type) {
+        const visible = this.simulation.getVisibleCells(this.neighborCounts);
+        const cells = new Int32Array(visible.length * 3);
+        const states = new Uint8Array(visible.length);
+        const ages = new Uint16Array(visible.length);
+        const neighbors = this.neighborCounts ? new Uint16Array(visible.length) : null;
+        const shown = new Map();
+        const added = [];
+        const changed = [];
+        let minX = Infinity, minY = Infinity, minZ = Infinity;
+        let maxX = -Infinity, maxY = -Infinity, maxZ = -Infinity;
+
+        for (let i = 0; i < visible.length; i++) {
+            const cell = visible[i];
+            cells[i * 3] = cell.x;
+            cells[i * 3 + 1] = cell.y;
+            cells[i * 3 + 2] = cell.z;
+            states[i] = cell.state;
+            ages[i] = cell.age;
+            if (neighbors) neighbors[i] = cell.neighbors;
+
+            const key = packKey(cell.x, cell.y, cell.z);
+            const before = this.shown.get(key);
+            if (before === undefined) {
+                added.push(i);
+            } else {
+                if (before !== cell.state) changed.push(i);
+                this.shown.delete(key);
+            }
+            shown.set(key, cell.state);
+
+            if (cell.x < minX) minX = cell.x;
+            if (cell.y < minY) minY = cell.y;
+            if (cell.z < minZ) minZ = cell.z;
+            if (cell.x > maxX) maxX = cell.x;
+            if (cell.y > maxY) maxY = cell.y;
+            if (cell.z > maxZ) maxZ = cell.z;
+        }
+
+        // What is left of the last snapshot are the cells that are gone
+        const removed = new Int32Array(this.shown.size * 3);
+        let offset = 0;
+        for (const key of this.shown.keys()) {
+            const { x, y, z } = unpackKey(key);
+            removed[offset++] = x;
+            removed[offset++] = y;
+            removed[offset++] = z;
+        }
+        this.shown = shown;
+        const addedIndices = Uint32Array.from(added);
+        const changedIndices = Uint32Array.from(changed);
+        const transfer = [
+            cells.buffer, states.buffer, ages.buffer, addedIndices.buffer, changedIndices.buffer, removed.buffer
+        ];
+        if (neighbors) transfer.push(neighbors.buffer);
+
+        const phases = this.simulation.ruleEngine.phases;
+        return {
+            response: {
+                type,
+                cells,
+                states,
+                ages,
+                neighbors,
+                totalCount: this.simulation.totalCount,
+                phaseName: this.simulation.getPhaseName(),
+                seed: this.simulation.seed,
+                generation: this.simulation.generation,
+                historyStart: this.history.oldest,
+                historyEnd: this.history.newest,
+                births: this.simulation.births,
+                deaths: this.simulation.deaths,
+                phase: phases ? this.simulation.phase : null,
+                phases: phases ? phases.names : null,
+                phaseThresholds: this.simulation.phaseThresholds,
+                cycle: { ...this.simulation.cycleStatus },
+                added: addedIndices,
+                changed: changedIndices,
+                removed,
+                bounds: visible.length ? [minX, minY, minZ, maxX, maxY, maxZ] : null
+            },
+            transfer
+        };
+    }
+}
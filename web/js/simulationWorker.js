@@ -0,0 +1,18 @@
+/**
+ * Web Worker entry point: runs the simulation off the main thread.
+ * See simulationHost.js for the message protocol.
+ */
+
+import { SimulationHost } from './simulationHost.js';
+
+const host = new SimulationHost();
+
+self.onmessage = (e) => {
+    try {
+        const { response, transfer } = host.handle(e.data);
+        self.postMessage(response, transfer);
+    } catch (err) {
+        // Report instead of dying so the client can clear its pending step
+        self.postMessage({ type: e.data.type, error: err.message });
+    }
+};
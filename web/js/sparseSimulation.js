@@ -0,0 +1,278 @@
+/**
+ * Sparse Simulation Backend for 3D Game of Life
+ * Stores only occupied cells in a hash map keyed by packed coordinates, so memory and step time
+ * scale with the population rather than the grid volume. Supports grids far larger than the dense
+ * backend (500^3) and, with `unbounded`, worlds with no edges at all.
+ *
+ * Exposes the same interface as SimulationGrid (step/reset/setCells/getVisibleCells/...).
+ * Cells are kept in visible (0-based) coordinates; bounded wall mode simulates the same hidden
+ * padding as the dense grid, so both backends evolve identically.
+ */
+
+import { SimulationGrid, foldCoordinate, MAX_AGE } from './simulation.js';
+import { SignatureBuilder } from './cycleDetector.js';
+
+// Coordinates are packed into one safe integer: 17 bits per axis, offset to keep them positive
+const AXIS_SPAN = 1 << 17;
+const AXIS_OFFSET = 1 << 16;
+
+export function packKey(x, y, z) {
+    return ((x + AXIS_OFFSET) * AXIS_SPAN + (y + AXIS_OFFSET)) * AXIS_SPAN + (z + AXIS_OFFSET);
+}
+
+export function unpackKey(key) {
+    const z = key % AXIS_SPAN;
+    const rest = (key - z) / AXIS_SPAN;
+    const y = rest % AXIS_SPAN;
+    const x = (rest - y) / AXIS_SPAN;
+    return { x: x - AXIS_OFFSET, y: y - AXIS_OFFSET, z: z - AXIS_OFFSET };
+}
+
+export class SparseSimulationGrid extends SimulationGrid {
+    constructor(ruleEngine, size = 50, boundary = 'wall', options = {}) {
+        super(ruleEngine, size, boundary);
+        this.unbounded = !!options.unbounded;
+    }
+
+    resize(size) {
+        // Nominal size: seeding center, camera framing and adaptive thresholds
+        this.visibleSize = size;
+
+        // key -> state (1 = alive, 2+ = dying); empty cells are absent
+        this.cells = new Map();
+        // key -> generations since the cell was born, for every cell in this.cells
+        this.ages = new Map();
+        this.visibleCells = [];
+        this.dyingCells = [];
+
+        // Adaptive phase, e.g. 'growth' (null for static rules)
+        this.phase = this.initialPhase();
+        this.totalCount = 0;
+        this.generation = 0;
+        this.births = 0;
+        this.deaths = 0;
+        this.cycleDetector.clear();
+    }
+
+    clear() {
+        this.cells.clear();
+        this.ages.clear();
+        this.visibleCells = [];
+        this.dyingCells = [];
+        this.phase = this.initialPhase();
+        this.totalCount = 0;
+        this.generation = 0;
+        this.births = 0;
+        this.deaths = 0;
+        this.cycleDetector.clear();
+    }
+
+    /**
+     * Whether a cell at visible coordinates is simulated at all.
+     */
+    isSimulated(x, y, z) {
+        if (this.unbounded) {
+            // Limited only by what fits in a packed key
+            return Math.abs(x) < AXIS_OFFSET && Math.abs(y) < AXIS_OFFSET && Math.abs(z) < AXIS_OFFSET;
+        }
+        const low = this.boundary === 'wall' ? -this.padding : 0;
+        const high = this.boundary === 'wall' ? this.visibleSize + this.padding : this.visibleSize;
+        return x >= low && y >= low && z >= low && x < high && y < high && z < high;
+    }
+
+    addCell(x, y, z, state, age = 0) {
+        if (!this.isSimulated(x, y, z)) return false;
+
+        const key = packKey(x, y, z);
+        if (this.cells.has(key)) return false;
+
+        this.cells.set(key, state);
+        this.ages.set(key, age);
+        if (state === 1) {
+            this.visibleCells.push(key);
+            this.totalCount++;
+        } else {
+            this.dyingCells.push(key);
+        }
+        return true;
+    }
+
+    removeCells(coords) {
+        let removed = 0;
+        for (let i = 0; i < coords.length; i += 3) {
+            const key = packKey(coords[i], coords[i + 1], coords[i + 2]);
+            if (this.cells.delete(key)) {
+                this.ages.delete(key);
+                removed++;
+            }
+        }
+        if (removed === 0) return;
+
+        this.visibleCells = this.visibleCells.filter(key => this.cells.get(key) === 1);
+        this.dyingCells = this.dyingCells.filter(key => this.cells.get(key) > 1);
+        this.totalCount = this.visibleCells.length;
+    }
+
+    step() {
+        this.updatePhase();
+
+        // Count live neighbors of every cell touched by a live cell (including the cell itself)
+        const counts = new Map();
+        const offsets = this.ruleEngine.neighborhood.offsets;
+        const folding = !this.unbounded && this.boundary !== 'wall';
+
+        for (const key of this.visibleCells) {
+            const { x, y, z } = unpackKey(key);
+            if (!counts.has(key)) counts.set(key, 0);
+
+            for (let i = 0; i < offsets.length; i++) {
+                let nx = x + offsets[i][0];
+                let ny = y + offsets[i][1];
+                let nz = z + offsets[i][2];
+
+                if (folding) {
+                    nx = foldCoordinate(nx, this.visibleSize, this.boundary);
+                    ny = foldCoordinate(ny, this.visibleSize, this.boundary);
+                    nz = foldCoordinate(nz, this.visibleSize, this.boundary);
+                } else if (!this.isSimulated(nx, ny, nz)) {
+                    continue;
+                }
+
+                const neighborKey = packKey(nx, ny, nz);
+                counts.set(neighborKey, (counts.get(neighborKey) || 0) + 1);
+            }
+        }
+
+        const newVisible = [];
+        const newDying = [];
+        let births = 0;
+        let deaths = 0;
+
+        for (const [key, neighborCount] of counts) {
+            const state = this.cells.get(key) || 0;
+
+            // Dying cells advance below, whatever their neighbors
+            if (state < 2) {
+                const next = this.ruleEngine.nextState(state, neighborCount, this.phase);
+                if (state === 0 && next === 1) births++;
+                if (state === 1 && next !== 1) deaths++;
+                if (next === 0) {
+                    this.cells.delete(key);
+                    this.ages.delete(key);
+                } else {
+                    this.cells.set(key, next);
+                    this.ages.set(key, state === 0 ? 0 : Math.min(this.ages.get(key) + 1, MAX_AGE));
+                    if (next === 1) {
+                        newVisible.push(key);
+                    } else {
+                        newDying.push(key);
+                    }
+                }
+            }
+        }
+
+        for (const key of this.dyingCells) {
+            const next = this.ruleEngine.nextState(this.cells.get(key), 0, this.phase);
+            if (next === 0) {
+                this.cells.delete(key);
+                this.ages.delete(key);
+            } else {
+                this.cells.set(key, next);
+                this.ages.set(key, Math.min(this.ages.get(key) + 1, MAX_AGE));
+                newDying.push(key);
+            }
+        }
+
+        this.visibleCells = newVisible;
+        this.dyingCells = newDying;
+        this.totalCount = this.visibleCells.length;
+        this.births = births;
+        this.deaths = deaths;
+        this.generation++;
+        this.observeCycle();
+    }
+
+    cellSignature() {
+        const signature = new SignatureBuilder();
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (const key of list) {
+                signature.add(key, this.cells.get(key));
+            }
+        }
+        return signature.toString();
+    }
+
+    exportCells() {
+        const count = this.visibleCells.length + this.dyingCells.length;
+        const coords = new Int32Array(count * 3);
+        const states = new Uint8Array(count);
+        const ages = new Uint16Array(count);
+
+        let i = 0;
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (const key of list) {
+                const { x, y, z } = unpackKey(key);
+                coords[i * 3] = x;
+                coords[i * 3 + 1] = y;
+                coords[i * 3 + 2] = z;
+                states[i] = this.cells.get(key);
+                ages[i] = this.ages.get(key);
+                i++;
+            }
+        }
+
+        return { coords, states, ages };
+    }
+
+    isInVisibleRegion(x, y, z) {
+        if (this.unbounded) return true;
+        return x >= 0 && x < this.visibleSize &&
+               y >= 0 && y < this.visibleSize &&
+               z >= 0 && z < this.visibleSize;
+    }
+
+    /**
+     * Get visible cell positions for rendering, live cells first, then dying cells.
+     * Unbounded worlds return every cell, including those outside the nominal size.
+     * See SimulationGrid.getVisibleCells for age and neighbors.
+     */
+    getVisibleCells(countNeighbors = false) {
+        const cells = [];
+
+        for (const list of [this.visibleCells, this.dyingCells]) {
+            for (const key of list) {
+                const { x, y, z } = unpackKey(key);
+                if (this.isInVisibleRegion(x, y, z)) {
+                    cells.push({
+                        x, y, z,
+                        index: key,
+                        state: this.cells.get(key),
+                        age: this.ages.get(key),
+                        neighbors: countNeighbors ? this.countLiveNeighbors(key) : null
+                    });
+                }
+            }
+        }
+
+        return cells;
+    }
+
+    countLiveNeighbors(key) {
+        const { x, y, z } = unpackKey(key);
+        const offsets = this.ruleEngine.neighborhood.offsets;
+        const folding = !this.unbounded && this.boundary !== 'wall';
+        let count = 0;
+        for (let i = 0; i < offsets.length; i++) {
+            let nx = x + offsets[i][0];
+            let ny = y + offsets[i][1];
+            let nz = z + offsets[i][2];
+            if (folding) {
+                nx = foldCoordinate(nx, this.visibleSize, this.boundary);
+                ny = foldCoordinate(ny, this.visibleSize, this.boundary);
+                nz = foldCoordinate(nz, this.visibleSize, this.boundary);
+            }
+            if (this.cells.get(packKey(nx, ny, nz)) === 1) count++;
+        }
+        return count;
+    }
+}
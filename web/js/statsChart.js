@@ -0,0 +1,150 @@
+/**
+ * Statistics Chart for 3D Game of Life
+ * Live canvas chart of population, births and deaths per generation. For adaptive rules it also
+ * shades the current phase under the plot and draws the rule's population thresholds
+ * (SimulationGrid.phaseThresholds) as dashed reference lines.
+ */
+
+const SERIES = [
+    { key: 'population', color: '#6a8cff' },
+    { key: 'births', color: '#5ed68a' },
+    { key: 'deaths', color: '#ff7a6a' }
+];
+
+// Band colors of the default phases; other phases take PHASE_PALETTE colors in rule order
+const PHASE_COLORS = {
+    growth: 'rgba(94, 214, 138, 0.35)',
+    stable: 'rgba(106, 140, 255, 0.3)',
+    decay: 'rgba(255, 122, 106, 0.35)'
+};
+const PHASE_PALETTE = [
+    'rgba(240, 200, 90, 0.35)',
+    'rgba(200, 120, 240, 0.35)',
+    'rgba(90, 210, 220, 0.35)',
+    'rgba(240, 150, 200, 0.35)'
+];
+
+// Line colors of the default thresholds; other thresholds are drawn in THRESHOLD_COLOR
+const THRESHOLD_COLORS = {
+    upper: 'rgba(255, 122, 106, 0.6)',
+    lower: 'rgba(94, 214, 138, 0.6)'
+};
+const THRESHOLD_COLOR = 'rgba(160, 176, 208, 0.6)';
+
+const PHASE_BAND_HEIGHT = 6;
+
+export class StatsChart {
+    constructor(canvas, options = {}) {
+        this.canvas = canvas;
+        this.context = canvas.getContext('2d');
+        this.capacity = options.capacity || 300;
+        this.samples = [];
+        this.dirty = true;
+    }
+
+    /**
+     * Record the statistics of one generation. A generation at or before the last recorded one
+     * (after a reset, step back or timeline seek) replaces it and everything after it.
+     */
+    addSample(sample) {
+        while (this.samples.length > 0 && this.samples[this.samples.length - 1].generation >= sample.generation) {
+            this.samples.pop();
+        }
+        this.samples.push(sample);
+        if (this.samples.length > this.capacity) {
+            this.samples.shift();
+        }
+        this.dirty = true;
+    }
+
+    clear() {
+        this.samples = [];
+        this.dirty = true;
+    }
+
+    /**
+     * Redraw if anything changed since the last draw.
+     */
+    draw() {
+        if (!this.dirty) return;
+        this.dirty = false;
+
+        const ctx = this.context;
+        const { width, height } = this.canvas;
+        ctx.clearRect(0, 0, width, height);
+
+        const samples = this.samples;
+        if (samples.length === 0) return;
+
+        const last = samples[samples.length - 1];
+        const adaptive = last.phase !== null;
+        const thresholds = adaptive ? Object.entries(last.thresholds) : [];
+        const plotHeight = height - (adaptive ? PHASE_BAND_HEIGHT + 2 : 0);
+
+        // Shared vertical scale, including the thresholds when they are drawn
+        let max = 1;
+        for (const sample of samples) {
+            max = Math.max(max, sample.population, sample.births, sample.deaths);
+        }
+        for (const [, value] of thresholds) {
+            max = Math.max(max, value);
+        }
+        max *= 1.1;
+
+        const step = width / Math.max(1, this.capacity - 1);
+        const xAt = (i) => width - (samples.length - 1 - i) * step;
+        const yAt = (value) => plotHeight - (value / max) * plotHeight;
+
+        if (adaptive) {
+            for (let i = 0; i < samples.length; i++) {
+                const phase = samples[i].phase;
+                if (phase === null) continue;
+                ctx.fillStyle = phaseColor(phase, samples[i].phases);
+                ctx.fillRect(xAt(i) - step / 2, height - PHASE_BAND_HEIGHT, step + 1, PHASE_BAND_HEIGHT);
+            }
+
+            ctx.save();
+            ctx.setLineDash([4, 4]);
+            ctx.lineWidth = 1;
+            for (const [name, value] of thresholds) {
+                ctx.strokeStyle = THRESHOLD_COLORS[name] || THRESHOLD_COLOR;
+                this.horizontalLine(yAt(value), width);
+            }
+            ctx.restore();
+        }
+
+        ctx.lineWidth = 1.5;
+        for (const series of SERIES) {
+            ctx.strokeStyle = series.color;
+            ctx.beginPath();
+            for (let i = 0; i < samples.length; i++) {
+                const x = xAt(i);
+                const y = yAt(samples[i][series.key]);
+                if (i === 0) {
+                    ctx.moveTo(x, y);
+                } else {
+                    ctx.lineTo(x, y);
+                }
+            }
+            ctx.stroke();
+        }
+
+        ctx.fillStyle = '#8090b0';
+        ctx.font = '10px sans-serif';
+        ctx.fillText(Math.round(max).toLocaleString(), 4, 11);
+    }
+
+    horizontalLine(y, width) {
+        const ctx = this.context;
+        ctx.beginPath();
+        ctx.moveTo(0, y);
+        ctx.lineTo(width, y);
+        ctx.stroke();
+    }
+}
+
+function phaseColor(phase, phases) {
+    if (PHASE_COLORS[phase]) return PHASE_COLORS[phase];
+    const others = phases.filter(name => !PHASE_COLORS[name]);
+    return PHASE_PALETTE[Math.max(0, others.indexOf(phase)) % PHASE_PALETTE.length];
+}
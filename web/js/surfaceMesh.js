@@ -0,0 +1,152 @@
+/**
+ * Surface Meshes for 3D Game of Life
+ * Builds the single merged mesh of the surface render mode. Only faces between a cell and an
+ * empty neighbor are kept, and touching faces of the same color that lie in one plane are
+ * merged into larger rectangles (greedy meshing), so a dense blob that takes thousands of cube
+ * instances comes down to a few hundred quads.
+ *
+ * The geometry is plain typed arrays, independent of Babylon.js:
+ *   { positions, normals, colors, indices, faceCount, quadCount }
+ * with RGBA colors (alpha 1) per vertex, four vertices and two triangles per quad, and
+ * faceCount the exposed cell faces before merging.
+ */
+
+import { packKey } from './sparseSimulation.js';
+
+/**
+ * Merged surface of cells ({ x, y, z, ... } in grid coordinates, each a unit cube centered on
+ * its coordinates). colorize(cell, target, offset) writes a cell's RGB, as the renderer's
+ * colorizers do (see colorModes.js); faces only merge when their colors match to 8 bits.
+ */
+export function buildSurfaceMesh(cells, colorize) {
+    const solid = new Set();
+    for (const cell of cells) {
+        solid.add(packKey(cell.x, cell.y, cell.z));
+    }
+
+    // Exposed faces grouped by plane (axis, facing and layer), keyed by their in-plane position
+    const planes = new Map();
+    const rgb = [0, 0, 0];
+    const position = [0, 0, 0];
+    let faceCount = 0;
+
+    for (const cell of cells) {
+        colorize(cell, rgb, 0);
+        const color = (channel(rgb[0]) << 16) | (channel(rgb[1]) << 8) | channel(rgb[2]);
+        position[0] = cell.x;
+        position[1] = cell.y;
+        position[2] = cell.z;
+
+        for (let axis = 0; axis < 3; axis++) {
+            for (const sign of [1, -1]) {
+                position[axis] += sign;
+                const covered = solid.has(packKey(position[0], position[1], position[2]));
+                position[axis] -= sign;
+                if (covered) continue;
+
+                const planeKey = `${axis}${sign > 0 ? '+' : '-'}${position[axis]}`;
+                let plane = planes.get(planeKey);
+                if (!plane) {
+                    plane = { axis, sign, layer: position[axis], faces: new Map(), order: [] };
+                    planes.set(planeKey, plane);
+                }
+                const u = position[(axis + 1) % 3];
+                const v = position[(axis + 2) % 3];
+                plane.faces.set(faceKey(u, v), color);
+                plane.order.push(u, v);
+                faceCount++;
+            }
+        }
+    }
+
+    const mesh = { positions: [], normals: [], colors: [], indices: [] };
+    for (const plane of planes.values()) {
+        mergePlane(plane, mesh);
+    }
+
+    return {
+        positions: new Float32Array(mesh.positions),
+        normals: new Float32Array(mesh.normals),
+        colors: new Float32Array(mesh.colors),
+        indices: new Uint32Array(mesh.indices),
+        faceCount,
+        quadCount: mesh.indices.length / 6
+    };
+}
+
+function channel(value) {
+    return Math.round(Math.min(1, Math.max(0, value)) * 255);
+}
+
+// In-plane position as a number; a plane is a 2D slice, so the third coordinate is unused
+function faceKey(u, v) {
+    return packKey(u, v, 0);
+}
+
+/**
+ * Cover one plane's faces with rectangles: from the lowest remaining face (by v, then u), grow
+ * along u while the color holds, then along v while every face of the next row matches.
+ */
+function mergePlane(plane, mesh) {
+    const { faces, order } = plane;
+    const starts = [];
+    for (let i = 0; i < order.length; i += 2) {
+        starts.push([order[i], order[i + 1]]);
+    }
+    starts.sort((a, b) => a[1] - b[1] || a[0] - b[0]);
+
+    for (const [u, v] of starts) {
+        const color = faces.get(faceKey(u, v));
+        if (color === undefined) continue;  // Already inside an earlier rectangle
+
+        let width = 1;
+        while (faces.get(faceKey(u + width, v)) === color) width++;
+
+        let height = 1;
+        grow: while (true) {
+            for (let i = 0; i < width; i++) {
+                if (faces.get(faceKey(u + i, v + height)) !== color) break grow;
+            }
+            height++;
+        }
+
+        for (let j = 0; j < height; j++) {
+            for (let i = 0; i < width; i++) {
+                faces.delete(faceKey(u + i, v + j));
+            }
+        }
+        addQuad(mesh, plane, u, v, width, height, color);
+    }
+}
+
+function addQuad(mesh, { axis, sign, layer }, u, v, width, height, color) {
+    const first = mesh.positions.length / 3;
+    const depth = layer + sign * 0.5;
+    const u0 = u - 0.5;
+    const u1 = u + width - 0.5;
+    const v0 = v - 0.5;
+    const v1 = v + height - 0.5;
+    const r = ((color >> 16) & 255) / 255;
+    const g = ((color >> 8) & 255) / 255;
+    const b = (color & 255) / 255;
+
+    for (const [cu, cv] of [[u0, v0], [u1, v0], [u1, v1], [u0, v1]]) {
+        const point = [0, 0, 0];
+        const normal = [0, 0, 0];
+        point[axis] = depth;
+        point[(axis + 1) % 3] = cu;
+        point[(axis + 2) % 3] = cv;
+        normal[axis] = sign;
+        mesh.positions.push(point[0], point[1], point[2]);
+        mesh.normals.push(normal[0], normal[1], normal[2]);
+        mesh.colors.push(r, g, b, 1);
+    }
+
+    // The corners run counterclockwise around +axis; Babylon.js front faces wind clockwise
+    // seen from outside, so faces towards +axis take the corners in reverse
+    if (sign > 0) {
+        mesh.indices.push(first, first + 2, first + 1, first, first + 3, first + 2);
+    } else {
+        mesh.indices.push(first, first + 1, first + 2, first, first + 2, first + 3);
+    }
+}
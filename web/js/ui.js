@@ -3,30 +3,55 @@
  * Handles control panel, keyboard shortcuts, and stats display.
  */
 
+import { BACKENDS } from './simulationHost.js';
+import { cssColor } from './colorModes.js';
+
+// Legend swatch for dying cells, the middle of their ember range (see colorModes.js)
+const DYING_COLOR = cssColor([0.72, 0.3, 0.15]);
+
 export class UIController {
     constructor(options) {
         this.onSpeedChange = options.onSpeedChange || (() => {});
         this.onGridSizeChange = options.onGridSizeChange || (() => {});
         this.onSpawnRadiusChange = options.onSpawnRadiusChange || (() => {});
+        this.onSeedingChange = options.onSeedingChange || (() => {});
+        this.onSeedChange = options.onSeedChange || (() => {});
         this.onRulesChange = options.onRulesChange || (() => {});
+        this.onBoundaryChange = options.onBoundaryChange || (() => {});
+        this.onBackendChange = options.onBackendChange || (() => {});
         this.onAutoOrbitChange = options.onAutoOrbitChange || (() => {});
         this.onPauseChange = options.onPauseChange || (() => {});
         this.onReset = options.onReset || (() => {});
+        this.onStepBack = options.onStepBack || (() => {});
+        this.onStepForward = options.onStepForward || (() => {});
+        this.onSeek = options.onSeek || (() => {});
+        this.onCycleActionChange = options.onCycleActionChange || (() => {});
+        this.onRenderModeChange = options.onRenderModeChange || (() => {});
         this.onCellSizeChange = options.onCellSizeChange || (() => {});
         this.onNearAlphaChange = options.onNearAlphaChange || (() => {});
         this.onFarAlphaChange = options.onFarAlphaChange || (() => {});
         this.onSliceModeChange = options.onSliceModeChange || (() => {});
         this.onSliceLayerChange = options.onSliceLayerChange || (() => {});
         this.onSliceThicknessChange = options.onSliceThicknessChange || (() => {});
+        this.onColorModeChange = options.onColorModeChange || (() => {});
+        this.onPaletteChange = options.onPaletteChange || (() => {});
         this.onSoundChange = options.onSoundChange || (() => {});
+        this.onStatsChartChange = options.onStatsChartChange || (() => {});
+        this.onEditModeChange = options.onEditModeChange || (() => {});
+        this.onEditToolChange = options.onEditToolChange || (() => {});
+        this.onCopyLink = options.onCopyLink || (() => {});
+        this.onPatternImport = options.onPatternImport || (() => {});
+        this.onPatternExport = options.onPatternExport || (() => {});
 
         this.controlsVisible = true;
         this.paused = false;
+        this.scrubbing = false;
         this.currentGridSize = 40;
 
         this.cacheElements();
         this.bindEvents();
         this.bindKeyboard();
+        this.bindDragDrop();
     }
 
     cacheElements() {
@@ -42,32 +67,70 @@ export class UIController {
         this.spawnRadius = document.getElementById('spawnRadius');
         this.spawnRadiusValue = document.getElementById('spawnRadiusValue');
 
+        // Seeding
+        this.seedStrategy = document.getElementById('seedStrategy');
+        this.seedInput = document.getElementById('seedInput');
+        this.seedDensityControl = document.getElementById('seedDensityControl');
+        this.seedDensity = document.getElementById('seedDensity');
+        this.seedDensityValue = document.getElementById('seedDensityValue');
+        this.shellThicknessControl = document.getElementById('shellThicknessControl');
+        this.shellThickness = document.getElementById('shellThickness');
+        this.shellThicknessValue = document.getElementById('shellThicknessValue');
+
         // Other controls
         this.rulesSelect = document.getElementById('rulesSelect');
+        this.boundarySelect = document.getElementById('boundarySelect');
+        this.backendSelect = document.getElementById('backendSelect');
         this.autoOrbitCheckbox = document.getElementById('autoOrbit');
         this.pauseCheckbox = document.getElementById('pauseSimulation');
         this.soundCheckbox = document.getElementById('soundEnabled');
         this.resetBtn = document.getElementById('resetBtn');
+        this.stepBackBtn = document.getElementById('stepBackBtn');
+        this.stepForwardBtn = document.getElementById('stepForwardBtn');
+        this.timeline = document.getElementById('timeline');
+        this.timelineValue = document.getElementById('timelineValue');
+        this.cycleActionSelect = document.getElementById('cycleAction');
+        this.copyLinkBtn = document.getElementById('copyLinkBtn');
+
+        // Pattern files
+        this.patternFormat = document.getElementById('patternFormat');
+        this.importPatternBtn = document.getElementById('importPatternBtn');
+        this.exportPatternBtn = document.getElementById('exportPatternBtn');
+        this.patternFile = document.getElementById('patternFile');
+        this.canvas = document.getElementById('renderCanvas');
 
         // Stats
         this.populationCount = document.getElementById('populationCount');
-        this.growthStateRow = document.getElementById('growthStateRow');
-        this.growthState = document.getElementById('growthState');
+        this.phaseRow = document.getElementById('phaseRow');
+        this.phaseName = document.getElementById('phaseName');
+        this.generationCount = document.getElementById('generationCount');
+        this.runSeed = document.getElementById('runSeed');
+        this.cycleStatus = document.getElementById('cycleStatus');
         this.fpsCounter = document.getElementById('fpsCounter');
 
         // View settings
+        this.renderModeSelect = document.getElementById('renderMode');
         this.cellSizeSlider = document.getElementById('cellSize');
         this.cellSizeValue = document.getElementById('cellSizeValue');
         this.nearAlphaSlider = document.getElementById('nearAlpha');
         this.nearAlphaValue = document.getElementById('nearAlphaValue');
         this.farAlphaSlider = document.getElementById('farAlpha');
         this.farAlphaValue = document.getElementById('farAlphaValue');
+        this.editModeCheckbox = document.getElementById('editMode');
+        this.editControls = document.getElementById('editControls');
+        this.editToolSelect = document.getElementById('editTool');
+        this.statsChartCheckbox = document.getElementById('statsChartEnabled');
+        this.statsChartPanel = document.getElementById('statsChartPanel');
         this.sliceModeCheckbox = document.getElementById('sliceMode');
         this.sliceControls = document.getElementById('sliceControls');
         this.sliceLayerSlider = document.getElementById('sliceLayer');
         this.sliceLayerValue = document.getElementById('sliceLayerValue');
         this.sliceThicknessSlider = document.getElementById('sliceThickness');
         this.sliceThicknessValue = document.getElementById('sliceThicknessValue');
+        this.colorModeSelect = document.getElementById('colorMode');
+        this.paletteSelect = document.getElementById('colorPalette');
+        this.colorLegend = document.getElementById('colorLegend');
+        this.legendKey = null;
     }
 
     bindEvents() {
@@ -98,6 +161,34 @@ export class UIController {
             this.onSpawnRadiusChange(value);
         });
 
+        // Seeding strategy and its settings
+        this.seedStrategy.addEventListener('change', () => {
+            this.updateSeedingControls();
+            this.emitSeeding();
+        });
+        this.seedInput.addEventListener('change', (e) => {
+            this.onSeedChange(e.target.value);
+        });
+        this.seedDensity.addEventListener('input', (e) => {
+            this.seedDensityValue.textContent = e.target.value;
+        });
+        this.seedDensity.addEventListener('change', () => this.emitSeeding());
+        this.shellThickness.addEventListener('input', (e) => {
+            this.shellThicknessValue.textContent = e.target.value;
+        });
+        this.shellThickness.addEventListener('change', () => this.emitSeeding());
+
+        // Backend dropdown
+        this.backendSelect.addEventListener('change', (e) => {
+            this.updateBoundaryControl(e.target.value);
+            this.onBackendChange(e.target.value);
+        });
+
+        // Boundary dropdown
+        this.boundarySelect.addEventListener('change', (e) => {
+            this.onBoundaryChange(e.target.value);
+        });
+
         // Rules dropdown
         this.rulesSelect.addEventListener('change', (e) => {
             this.onRulesChange(e.target.value);
@@ -122,9 +213,49 @@ export class UIController {
         // Reset button
         this.resetBtn.addEventListener('click', () => this.onReset());
 
+        // Single steps and timeline scrubbing pause the simulation
+        this.stepBackBtn.addEventListener('click', () => this.stepBack());
+        this.stepForwardBtn.addEventListener('click', () => this.stepForward());
+        this.timeline.addEventListener('input', (e) => {
+            const value = parseInt(e.target.value);
+            this.scrubbing = true;
+            this.timelineValue.textContent = value;
+            this.setPaused(true);
+            this.onSeek(value);
+        });
+        this.timeline.addEventListener('change', () => {
+            this.scrubbing = false;
+        });
+
+        // What to do when a run dies out, freezes or starts repeating
+        this.cycleActionSelect.addEventListener('change', (e) => {
+            this.onCycleActionChange(e.target.value);
+        });
+
+        // Copy link button
+        this.copyLinkBtn.addEventListener('click', () => this.onCopyLink());
+
+        // Pattern import/export
+        this.importPatternBtn.addEventListener('click', () => this.patternFile.click());
+        this.patternFile.addEventListener('change', (e) => {
+            const file = e.target.files[0];
+            if (file) this.onPatternImport(file);
+            // Allow picking the same file again
+            e.target.value = '';
+        });
+        this.exportPatternBtn.addEventListener('click', () => {
+            this.onPatternExport(this.patternFormat.value);
+        });
+
         // Toggle controls button
         this.toggleBtn.addEventListener('click', () => this.toggleControls());
 
+        // Render mode (surface cells are always full size)
+        this.renderModeSelect.addEventListener('change', (e) => {
+            this.cellSizeSlider.disabled = e.target.value === 'surface';
+            this.onRenderModeChange(e.target.value);
+        });
+
         // Cell size slider
         this.cellSizeSlider.addEventListener('input', (e) => {
             const value = parseInt(e.target.value);
@@ -146,6 +277,20 @@ export class UIController {
             this.onFarAlphaChange(value / 100);
         });
 
+        // Edit mode checkbox and tool
+        this.editModeCheckbox.addEventListener('change', (e) => {
+            this.editControls.style.display = e.target.checked ? '' : 'none';
+            this.onEditModeChange(e.target.checked);
+        });
+        this.editToolSelect.addEventListener('change', (e) => {
+            this.onEditToolChange(e.target.value);
+        });
+
+        // Statistics chart checkbox
+        this.statsChartCheckbox.addEventListener('change', (e) => {
+            this.setStatsChartVisible(e.target.checked);
+        });
+
         // Slice mode checkbox
         this.sliceModeCheckbox.addEventListener('change', (e) => {
             const enabled = e.target.checked;
@@ -166,6 +311,15 @@ export class UIController {
             this.sliceThicknessValue.textContent = value;
             this.onSliceThicknessChange(value);
         });
+
+        // Color mode and palette (position coloring has no palette)
+        this.colorModeSelect.addEventListener('change', (e) => {
+            this.paletteSelect.disabled = e.target.value === 'position';
+            this.onColorModeChange(e.target.value);
+        });
+        this.paletteSelect.addEventListener('change', (e) => {
+            this.onPaletteChange(e.target.value);
+        });
     }
 
     bindKeyboard() {
@@ -184,6 +338,12 @@ export class UIController {
                 case 'r':
                     this.onReset();
                     break;
+                case ',':
+                    this.stepBack();
+                    break;
+                case '.':
+                    this.stepForward();
+                    break;
                 case 'o':
                     this.toggleAutoOrbit();
                     break;
@@ -193,6 +353,12 @@ export class UIController {
                 case 'l':
                     this.toggleSliceMode();
                     break;
+                case 'p':
+                    this.toggleEditMode();
+                    break;
+                case 'g':
+                    this.setStatsChartVisible(!this.statsChartCheckbox.checked);
+                    break;
                 case '[':
                     this.adjustSliceLayer(-1);
                     break;
@@ -203,6 +369,65 @@ export class UIController {
         });
     }
 
+    /**
+     * Show only the settings the selected seeding strategy uses.
+     */
+    updateSeedingControls() {
+        const strategy = this.seedStrategy.value;
+        const usesDensity = strategy === 'random' || strategy === 'blobs' || strategy === 'symmetric';
+        this.seedDensityControl.style.display = usesDensity ? '' : 'none';
+        this.shellThicknessControl.style.display = strategy === 'shell' ? '' : 'none';
+    }
+
+    emitSeeding() {
+        this.onSeedingChange(this.getSeeding());
+    }
+
+    getSeeding() {
+        return {
+            strategy: this.seedStrategy.value,
+            density: parseInt(this.seedDensity.value) / 100,
+            thickness: parseInt(this.shellThickness.value)
+        };
+    }
+
+    setSeedStrategy(strategy) {
+        this.seedStrategy.value = strategy;
+        this.updateSeedingControls();
+    }
+
+    /**
+     * Dropping a pattern file onto the canvas imports it.
+     */
+    bindDragDrop() {
+        this.canvas.addEventListener('dragover', (e) => {
+            e.preventDefault();
+            e.dataTransfer.dropEffect = 'copy';
+            document.body.classList.add('drag-over');
+        });
+        this.canvas.addEventListener('dragleave', () => {
+            document.body.classList.remove('drag-over');
+        });
+        this.canvas.addEventListener('drop', (e) => {
+            e.preventDefault();
+            document.body.classList.remove('drag-over');
+            const file = e.dataTransfer.files[0];
+            if (file) this.onPatternImport(file);
+        });
+    }
+
+    /**
+     * Save data (string or bytes) as a file download.
+     */
+    downloadFile(fileName, data, mimeType) {
+        const url = URL.createObjectURL(new Blob([data], { type: mimeType }));
+        const link = document.createElement('a');
+        link.href = url;
+        link.download = fileName;
+        link.click();
+        URL.revokeObjectURL(url);
+    }
+
     toggleControls() {
         this.controlsVisible = !this.controlsVisible;
         this.controls.classList.toggle('hidden', !this.controlsVisible);
@@ -215,6 +440,34 @@ export class UIController {
         this.onPauseChange(this.paused);
     }
 
+    setPaused(paused) {
+        if (this.paused === paused) return;
+        this.paused = paused;
+        this.pauseCheckbox.checked = paused;
+        this.onPauseChange(paused);
+    }
+
+    stepBack() {
+        this.setPaused(true);
+        this.onStepBack();
+    }
+
+    stepForward() {
+        this.setPaused(true);
+        this.onStepForward();
+    }
+
+    /**
+     * Keep the timeline slider on the available history, unless the user is dragging it.
+     */
+    updateTimeline(start, end, generation) {
+        if (this.scrubbing || start === null) return;
+        this.timeline.min = start;
+        this.timeline.max = end;
+        this.timeline.value = generation;
+        this.timelineValue.textContent = generation;
+    }
+
     toggleAutoOrbit() {
         this.autoOrbitCheckbox.checked = !this.autoOrbitCheckbox.checked;
         this.onAutoOrbitChange(this.autoOrbitCheckbox.checked);
@@ -231,6 +484,18 @@ export class UIController {
         this.onSliceModeChange(this.sliceModeCheckbox.checked);
     }
 
+    setStatsChartVisible(visible) {
+        this.statsChartCheckbox.checked = visible;
+        this.statsChartPanel.style.display = visible ? '' : 'none';
+        this.onStatsChartChange(visible);
+    }
+
+    toggleEditMode() {
+        this.editModeCheckbox.checked = !this.editModeCheckbox.checked;
+        this.editControls.style.display = this.editModeCheckbox.checked ? '' : 'none';
+        this.onEditModeChange(this.editModeCheckbox.checked);
+    }
+
     adjustSliceLayer(delta) {
         if (!this.sliceModeCheckbox.checked) return;
         const maxLayer = this.currentGridSize - 1;
@@ -250,17 +515,177 @@ export class UIController {
         }
     }
 
-    updateStats(population, growthState, fps) {
+    /**
+     * Fill the rules dropdown from the rule registry listing, with saved rules grouped last.
+     */
+    setRuleOptions(presets, selectedKey) {
+        this.rulesSelect.innerHTML = '';
+        const library = document.createElement('optgroup');
+        library.label = 'My Rules';
+        for (const preset of presets) {
+            const option = document.createElement('option');
+            option.value = preset.key;
+            option.textContent = preset.name;
+            option.title = preset.description;
+            (preset.library ? library : this.rulesSelect).appendChild(option);
+        }
+        if (library.children.length > 0) {
+            this.rulesSelect.appendChild(library);
+        }
+        if (selectedKey) {
+            this.rulesSelect.value = selectedKey;
+        }
+    }
+
+    updateStats(population, phaseName, fps) {
         this.populationCount.textContent = population.toLocaleString();
-        if (growthState) {
-            this.growthStateRow.style.display = '';
-            this.growthState.textContent = growthState;
+        if (phaseName) {
+            this.phaseRow.style.display = '';
+            this.phaseName.textContent = phaseName;
         } else {
-            this.growthStateRow.style.display = 'none';
+            this.phaseRow.style.display = 'none';
         }
         this.fpsCounter.textContent = fps;
     }
 
+    /**
+     * Show what the cell colors mean (see colorModes.describeLegend), or hide the legend for null.
+     */
+    setColorLegend(legend) {
+        const key = legend ? JSON.stringify(legend) : null;
+        if (key === this.legendKey) return;
+        this.legendKey = key;
+        this.colorLegend.classList.toggle('hidden', !legend);
+        if (!legend) return;
+
+        const swatch = (label, color, active) => {
+            const item = document.createElement('span');
+            item.className = active ? 'color-legend-item active' : 'color-legend-item';
+            const box = document.createElement('span');
+            box.className = 'color-legend-swatch';
+            box.style.background = color;
+            item.append(box, label);
+            return item;
+        };
+
+        const title = document.createElement('div');
+        title.textContent = legend.title;
+        const parts = [title];
+        if (legend.gradient) {
+            const bar = document.createElement('div');
+            bar.className = 'color-legend-bar';
+            bar.style.background = legend.gradient;
+            const range = document.createElement('div');
+            range.className = 'color-legend-range';
+            for (const text of [legend.min, legend.max]) {
+                const label = document.createElement('span');
+                label.textContent = text;
+                range.append(label);
+            }
+            parts.push(bar, range);
+        }
+        const items = (legend.items || []).map(({ label, color, active }) => swatch(label, color, active));
+        if (legend.dying) items.push(swatch('Dying', DYING_COLOR));
+        if (items.length) {
+            const row = document.createElement('div');
+            row.className = 'color-legend-items';
+            row.append(...items);
+            parts.push(row);
+        }
+        this.colorLegend.replaceChildren(...parts);
+    }
+
+    /**
+     * Sync every control with a session state (see urlState.js) without firing callbacks.
+     */
+    applyState(state) {
+        const setSlider = (slider, label, value) => {
+            slider.value = value;
+            label.textContent = value;
+        };
+
+        this.backendSelect.value = state.backend;
+        this.setGridSizeLimit(BACKENDS[state.backend].maxSize);
+        setSlider(this.gridSize, this.gridSizeValue, state.size);
+        this.updateGridSize(state.size);
+        this.boundarySelect.value = state.boundary;
+        this.updateBoundaryControl(state.backend);
+        setSlider(this.speedSlider, this.speedValue, state.speed);
+        if (state.preset) this.rulesSelect.value = state.preset;
+
+        setSlider(this.spawnRadius, this.spawnRadiusValue, state.seeding.radius);
+        setSlider(this.seedDensity, this.seedDensityValue, Math.round(state.seeding.density * 100));
+        setSlider(this.shellThickness, this.shellThicknessValue, state.seeding.thickness);
+        this.setSeedStrategy(state.seeding.strategy);
+
+        this.setAutoOrbit(state.camera.autoOrbit);
+
+        const view = state.view;
+        this.renderModeSelect.value = view.renderMode;
+        this.cellSizeSlider.disabled = view.renderMode === 'surface';
+        setSlider(this.cellSizeSlider, this.cellSizeValue, Math.round(view.cellScale * 100));
+        setSlider(this.nearAlphaSlider, this.nearAlphaValue, Math.round(view.nearAlpha * 100));
+        setSlider(this.farAlphaSlider, this.farAlphaValue, Math.round(view.farAlpha * 100));
+        this.sliceModeCheckbox.checked = view.sliceEnabled;
+        this.sliceControls.style.display = view.sliceEnabled ? '' : 'none';
+        setSlider(this.sliceLayerSlider, this.sliceLayerValue, view.sliceLayer);
+        setSlider(this.sliceThicknessSlider, this.sliceThicknessValue, view.sliceThickness);
+        this.colorModeSelect.value = view.colorMode;
+        this.paletteSelect.value = view.palette;
+        this.paletteSelect.disabled = view.colorMode === 'position';
+    }
+
+    /**
+     * Brief confirmation on the Copy link button.
+     */
+    showLinkCopied() {
+        this.copyLinkBtn.textContent = 'Link copied!';
+        clearTimeout(this.copyLinkTimer);
+        this.copyLinkTimer = setTimeout(() => {
+            this.copyLinkBtn.textContent = 'Copy link';
+        }, 1500);
+    }
+
+    /**
+     * Show the seed and generation of the running simulation.
+     */
+    updateRun(seed, generation) {
+        this.runSeed.textContent = seed === null ? '-' : seed;
+        this.generationCount.textContent = generation.toLocaleString();
+    }
+
+    /**
+     * Show the cycle detector's verdict on the run (see cycleDetector.js).
+     */
+    updateCycleStatus(text, settled) {
+        this.cycleStatus.textContent = text;
+        this.cycleStatus.classList.toggle('cycle-settled', settled);
+    }
+
+    setSeed(seed) {
+        this.seedInput.value = seed === null ? '' : seed;
+    }
+
+    /**
+     * Cap the grid size slider for the current backend.
+     */
+    setGridSizeLimit(maxSize) {
+        this.gridSize.max = maxSize;
+    }
+
+    setBoundary(mode) {
+        this.boundarySelect.value = mode;
+    }
+
+    /**
+     * The unbounded backend has no edges, so the boundary mode has nothing to apply to.
+     */
+    updateBoundaryControl(backend) {
+        const unbounded = backend === 'unbounded';
+        this.boundarySelect.disabled = unbounded;
+        this.boundarySelect.title = unbounded ? 'The unbounded engine has no edges' : '';
+    }
+
     setAutoOrbit(enabled) {
         this.autoOrbitCheckbox.checked = enabled;
     }
@@ -0,0 +1,167 @@
+/**
+ * URL State for 3D Game of Life
+ * Serializes a session (rules, grid, seeding, seed, camera and view settings) into the URL hash
+ * so a link reproduces what the sender saw, and reads it back on load.
+ *
+ * Hash format: "#" followed by URL-encoded key=value pairs, e.g.
+ *   #preset=amoeba&size=60&speed=10&seeding=random&radius=8&density=0.3&seed=1234&cam=0.79,1.05,120
+ * Custom rules are stored as base64url JSON under "rules" instead of "preset".
+ * Every key is optional; missing or invalid values leave the app default in place.
+ */
+
+import { BOUNDARY_MODES } from './simulation.js';
+import { BACKENDS } from './simulationHost.js';
+import { SEED_STRATEGIES } from './seeding.js';
+import { COLOR_MODES, PALETTES } from './colorModes.js';
+import { RENDER_MODES } from './renderer.js';
+
+// Accepted ranges, matching the control panel sliders
+const LIMITS = {
+    speed: [1, 60],
+    size: [20, 500],
+    radius: [2, 20],
+    density: [0.01, 1],
+    thickness: [1, 10],
+    cellScale: [0.1, 1],
+    alpha: [0, 1],
+    sliceLayer: [0, 499],
+    sliceThickness: [1, 10],
+    cameraRadius: [20, 300]
+};
+
+/**
+ * Build the hash (including "#") for a session state. See readStateFromHash for the shape.
+ */
+export function writeStateToHash(state) {
+    const params = new URLSearchParams();
+
+    if (state.rules) {
+        params.set('rules', encodeJSON(state.rules));
+    } else if (state.preset) {
+        params.set('preset', state.preset);
+    }
+    params.set('backend', state.backend);
+    params.set('size', state.size);
+    params.set('boundary', state.boundary);
+    params.set('speed', state.speed);
+
+    params.set('seeding', state.seeding.strategy);
+    params.set('radius', state.seeding.radius);
+    params.set('density', round(state.seeding.density));
+    params.set('thickness', state.seeding.thickness);
+    if (state.seed !== null && state.seed !== undefined) {
+        params.set('seed', state.seed);
+    }
+
+    const { alpha, beta, radius, autoOrbit } = state.camera;
+    params.set('cam', [alpha, beta, radius].map(round).join(','));
+    params.set('orbit', autoOrbit ? 1 : 0);
+
+    const view = state.view;
+    if (view.renderMode && view.renderMode !== 'cubes') {
+        params.set('render', view.renderMode);
+    }
+    params.set('cell', round(view.cellScale));
+    params.set('near', round(view.nearAlpha));
+    params.set('far', round(view.farAlpha));
+    if (view.sliceEnabled) {
+        params.set('slice', `${view.sliceLayer},${view.sliceThickness}`);
+    }
+    if (view.colorMode && view.colorMode !== 'position') {
+        params.set('color', `${view.colorMode},${view.palette}`);
+    }
+
+    // Commas are safe in a hash; keep "cam=0.79,1.05,120" readable
+    return `#${params.toString().replace(/%2C/g, ',')}`;
+}
+
+/**
+ * Parse a hash back into a partial session state:
+ *   { preset, rules, backend, size, boundary, speed,
+ *     seeding: { strategy, radius, density, thickness }, seed,
+ *     camera: { alpha, beta, radius, autoOrbit },
+ *     view: { renderMode, cellScale, nearAlpha, farAlpha, sliceEnabled, sliceLayer, sliceThickness,
+ *             colorMode, palette } }
+ * Only keys present and valid in the hash are set.
+ */
+export function readStateFromHash(hash) {
+    const params = new URLSearchParams(hash.replace(/^#/, ''));
+    const state = { seeding: {}, camera: {}, view: {} };
+
+    if (params.has('rules')) {
+        try {
+            state.rules = decodeJSON(params.get('rules'));
+        } catch (err) {
+            console.warn(`Ignoring unreadable rules in URL: ${err.message}`);
+        }
+    }
+    if (params.has('preset')) state.preset = params.get('preset');
+
+    const backend = params.get('backend');
+    if (BACKENDS[backend]) state.backend = backend;
+    const boundary = params.get('boundary');
+    if (BOUNDARY_MODES[boundary]) state.boundary = boundary;
+    const strategy = params.get('seeding');
+    if (SEED_STRATEGIES[strategy]) state.seeding.strategy = strategy;
+
+    setNumber(state, 'size', params.get('size'), LIMITS.size, true);
+    setNumber(state, 'speed', params.get('speed'), LIMITS.speed, true);
+    setNumber(state.seeding, 'radius', params.get('radius'), LIMITS.radius, true);
+    setNumber(state.seeding, 'density', params.get('density'), LIMITS.density);
+    setNumber(state.seeding, 'thickness', params.get('thickness'), LIMITS.thickness, true);
+
+    const seed = params.get('seed');
+    if (seed !== null && /^\d+$/.test(seed)) state.seed = Number(seed) >>> 0;
+
+    const cam = (params.get('cam') || '').split(',');
+    if (cam.length === 3) {
+        setNumber(state.camera, 'alpha', cam[0], [-Infinity, Infinity]);
+        setNumber(state.camera, 'beta', cam[1], [0.1, Math.PI - 0.1]);
+        setNumber(state.camera, 'radius', cam[2], LIMITS.cameraRadius);
+    }
+    if (params.has('orbit')) state.camera.autoOrbit = params.get('orbit') !== '0';
+
+    if (RENDER_MODES[params.get('render')]) state.view.renderMode = params.get('render');
+    setNumber(state.view, 'cellScale', params.get('cell'), LIMITS.cellScale);
+    setNumber(state.view, 'nearAlpha', params.get('near'), LIMITS.alpha);
+    setNumber(state.view, 'farAlpha', params.get('far'), LIMITS.alpha);
+    if (params.has('slice')) {
+        const [layer, thickness] = params.get('slice').split(',');
+        state.view.sliceEnabled = true;
+        setNumber(state.view, 'sliceLayer', layer, LIMITS.sliceLayer, true);
+        setNumber(state.view, 'sliceThickness', thickness, LIMITS.sliceThickness, true);
+    }
+    const [colorMode, palette] = (params.get('color') || '').split(',');
+    if (COLOR_MODES[colorMode]) state.view.colorMode = colorMode;
+    if (PALETTES[palette]) state.view.palette = palette;
+
+    return state;
+}
+
+function setNumber(target, key, text, [min, max], integer = false) {
+    if (text === null || text === undefined || text === '') return;
+    const value = Number(text);
+    if (!Number.isFinite(value) || (integer && !Number.isInteger(value))) {
+        console.warn(`Ignoring invalid ${key} "${text}" in URL`);
+        return;
+    }
+    target[key] = Math.max(min, Math.min(max, value));
+}
+
+function round(value) {
+    return Math.round(value * 1000) / 1000;
+}
+
+// base64url of UTF-8 JSON, so rule configs survive in a URL without escaping noise
+function encodeJSON(value) {
+    const bytes = new TextEncoder().encode(JSON.stringify(value));
+    let binary = '';
+    for (const byte of bytes) binary += String.fromCharCode(byte);
+    return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+function decodeJSON(text) {
+    const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+    const bytes = Uint8Array.from(binary, (ch) => ch.charCodeAt(0));
+    return JSON.parse(new TextDecoder().decode(bytes));
+}